@@ -0,0 +1,34 @@
+const { parseArgs } = require('../lib/args');
+const { SHELLS, generateCompletion } = require('../lib/completion');
+
+const OPTIONS = {};
+
+/**
+ * Prints the completion script of a shell. `context.commands` holds every
+ * command definition, built-in and plugin, so the script covers all of them.
+ */
+async function completion(args, context = {}) {
+  const options = parseArgs(args, OPTIONS);
+  const [shell] = options._;
+
+  if (!shell) {
+    throw new Error(`Shell is required. Use one of: ${SHELLS.join(', ')}`);
+  }
+
+  process.stdout.write(generateCompletion(shell, context.commands || []));
+}
+
+module.exports = {
+  name: 'completion',
+  usage: 'completion <shell>',
+  description: 'Print the shell completion script',
+  options: OPTIONS,
+  arguments: SHELLS,
+  notes: ['Regenerate the script after installing or removing plugins.'],
+  examples: [
+    'eval "$(tmi completion bash)"',
+    'source <(tmi completion zsh)',
+    'tmi completion fish > ~/.config/fish/completions/tmi.fish',
+  ],
+  handler: completion,
+};
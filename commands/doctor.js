@@ -0,0 +1,37 @@
+const chalk = require('chalk');
+const { parseArgs } = require('../lib/args');
+const { runChecks, printCheckResult } = require('../lib/doctor');
+
+const OPTIONS = {};
+
+async function doctor(args) {
+  parseArgs(args, OPTIONS);
+
+  console.log(chalk.cyan('\n🩺 TMI Doctor - React Native toolchain check\n'));
+
+  const results = runChecks();
+  results.forEach(printCheckResult);
+
+  const failed = results.filter(result => result.status === 'fail').length;
+  const warnings = results.filter(result => result.status === 'warn').length;
+
+  console.log('');
+  if (failed > 0) {
+    console.log(chalk.red(`  ${failed} check(s) failed, ${warnings} warning(s)\n`));
+    process.exit(1);
+  }
+  if (warnings > 0) {
+    console.log(chalk.yellow(`  All required checks passed, ${warnings} warning(s)\n`));
+  } else {
+    console.log(chalk.green('  All checks passed\n'));
+  }
+}
+
+module.exports = {
+  name: 'doctor',
+  usage: 'doctor',
+  description: 'Check the local React Native toolchain',
+  options: OPTIONS,
+  examples: ['tmi doctor'],
+  handler: doctor,
+};
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { printSuccess, printInfo, printWarning } = require('../lib/ui');
+const { parseArgs } = require('../lib/args');
+const { runShell } = require('../lib/exec');
+const { DEFAULT_MANIFEST, loadManifest } = require('../lib/manifest');
+const { FEATURES, getFeature, mergeFeatureDefinitions, setupFeature, removeFeature } = require('../lib/features');
+const { findProjectRoot } = require('../lib/feature-generator');
+const { readFeaturesConfig, writeFeatureFlags } = require('../lib/features-config');
+const {
+  validatePackageManager,
+  detectProjectPackageManager,
+  getPackageManager,
+} = require('../lib/package-manager');
+
+const OPTIONS = {
+  pm: { type: 'string', choices: ['npm', 'yarn', 'pnpm', 'bun'], description: 'Package manager (default: from the lockfile)' },
+  'skip-install': { type: 'boolean', key: 'skipInstall', description: 'Don\'t install or remove packages' },
+  'remove-code': { type: 'boolean', key: 'removeCode', description: 'Also delete the source folders of disabled features' },
+};
+
+const ACTIONS = ['list', 'enable', 'disable'];
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+function readDependencies(projectDir) {
+  const pkg = JSON.parse(fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8'));
+  return { ...pkg.dependencies, ...pkg.devDependencies };
+}
+
+/**
+ * A feature is enabled when its first config flag isn't `false`. Features
+ * without a flag in the config count as enabled when their packages are
+ * installed.
+ */
+function isEnabled(feature, flags, dependencies) {
+  const flagName = Object.keys(feature.configFlags || {})[0];
+  const flag = flags.find(property => property.name === flagName);
+  if (flag) return flag.value !== 'false';
+  return (feature.install || []).some(name => dependencies[name]);
+}
+
+function resolveFeatures(names, definitions) {
+  if (names.length === 0) {
+    throw new Error(`Feature name is required. Use one of: ${definitions.map(feature => feature.flag).join(', ')}`);
+  }
+  return names.map(name => {
+    const feature = getFeature(name, definitions);
+    if (!feature) {
+      throw new Error(`Unknown feature "${name}". Use one of: ${definitions.map(item => item.flag).join(', ')}`);
+    }
+    return feature;
+  });
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+function listFeatures(configPath, flags, dependencies, definitions) {
+  console.log(chalk.white('  Features:'));
+  console.log(chalk.gray('  ─────────────────────────────────'));
+  for (const feature of definitions) {
+    const enabled = isEnabled(feature, flags, dependencies);
+    const icon = enabled ? chalk.green('✓') : chalk.gray('✗');
+    console.log(`  ${icon} ${chalk.white(feature.label.padEnd(20))} ${chalk.gray(feature.flag)}`);
+  }
+
+  console.log(chalk.white(`\n  Flags (${configPath}):`));
+  console.log(chalk.gray('  ─────────────────────────────────'));
+  const width = Math.max(...flags.map(flag => flag.name.length));
+  for (const flag of flags) {
+    const color = flag.value === 'true' ? chalk.green : flag.value === 'false' ? chalk.gray : chalk.yellow;
+    console.log(`  ${chalk.white(flag.name.padEnd(width))}  ${color(flag.value)}`);
+  }
+  console.log('');
+}
+
+function enableFeatures(projectDir, configPath, requested, flags, dependencies, options, pm, definitions) {
+  const features = [];
+  const add = feature => {
+    if (features.includes(feature)) return;
+    for (const key of feature.requires || []) {
+      const requirement = getFeature(key, definitions);
+      if (!isEnabled(requirement, flags, dependencies) && !features.includes(requirement)) {
+        printInfo(`${feature.label} requires ${requirement.label}, enabling it too`);
+        add(requirement);
+      }
+    }
+    features.push(feature);
+  };
+  requested.forEach(add);
+
+  const configFlags = Object.assign({}, ...features.map(feature => feature.configFlags));
+  if (writeFeatureFlags(path.join(projectDir, configPath), configFlags)) {
+    printSuccess(`${path.basename(configPath)} updated (${Object.keys(configFlags).join(', ')})`);
+  }
+
+  const notes = [];
+  for (const feature of features) {
+    const result = setupFeature(projectDir, feature);
+    if (result.files.length > 0) {
+      printSuccess(`${feature.label} native configuration added to ${result.files.join(', ')}`);
+    }
+    notes.push(...result.notes);
+  }
+
+  const missing = features
+    .flatMap(feature => feature.install || [])
+    .filter((name, index, all) => !dependencies[name] && all.indexOf(name) === index);
+  if (missing.length > 0) {
+    if (options.skipInstall) {
+      notes.unshift(`Install the packages: ${pm.add(missing)}`);
+    } else {
+      console.log(chalk.gray(`\n  Installing ${missing.join(', ')}...\n`));
+      runShell(pm.add(missing), { cwd: projectDir });
+      printSuccess('Packages installed');
+    }
+  }
+
+  console.log(chalk.green(`\n  ✅ Enabled ${features.map(feature => feature.label).join(', ')}\n`));
+  notes.forEach(note => printWarning(note));
+  printInfo('Reinstall iOS pods: cd ios && pod install && cd ..\n');
+}
+
+function disableFeatures(projectDir, configPath, requested, flags, dependencies, options, pm, definitions) {
+  const features = [];
+  const remove = feature => {
+    if (features.includes(feature)) return;
+    features.push(feature);
+    for (const dependent of definitions.filter(item => (item.requires || []).includes(feature.key))) {
+      if (isEnabled(dependent, flags, dependencies) && !features.includes(dependent)) {
+        printInfo(`${dependent.label} requires ${feature.label}, disabling it too`);
+        remove(dependent);
+      }
+    }
+  };
+  requested.forEach(remove);
+
+  const configFlags = {};
+  for (const feature of features) {
+    for (const name of Object.keys(feature.configFlags || {})) configFlags[name] = 'false';
+  }
+  if (writeFeatureFlags(path.join(projectDir, configPath), configFlags)) {
+    printSuccess(`${path.basename(configPath)} updated (${Object.keys(configFlags).join(', ')})`);
+  }
+
+  const removed = { packages: [], paths: [], files: [] };
+  for (const feature of features) {
+    const result = removeFeature(projectDir, feature, { removeCode: options.removeCode });
+    removed.packages.push(...result.packages);
+    removed.paths.push(...result.paths);
+    removed.files.push(...result.files);
+  }
+  if (removed.packages.length > 0) printSuccess(`Removed ${removed.packages.join(', ')} from package.json`);
+  if (removed.files.length > 0) printSuccess(`Native configuration removed from ${[...new Set(removed.files)].join(', ')}`);
+  if (removed.paths.length > 0) printSuccess(`Removed ${removed.paths.join(', ')}`);
+
+  if (removed.packages.length > 0) {
+    if (options.skipInstall) {
+      printInfo(`Update the lockfile: ${pm.install}`);
+    } else {
+      console.log(chalk.gray('\n  Updating dependencies...\n'));
+      runShell(pm.install, { cwd: projectDir });
+      printSuccess('Dependencies updated');
+    }
+  }
+
+  console.log(chalk.green(`\n  ✅ Disabled ${features.map(feature => feature.label).join(', ')}\n`));
+  if (!options.removeCode) {
+    const kept = features.flatMap(feature => feature.paths || [])
+      .filter(pattern => !pattern.includes('*') && fs.existsSync(path.join(projectDir, pattern)));
+    if (kept.length > 0) {
+      printWarning(`Source code kept in ${kept.join(', ')}. It still imports the removed packages, delete it or run again with --remove-code.`);
+    }
+  }
+  printInfo('Reinstall iOS pods: cd ios && pod install && cd ..\n');
+}
+
+// ============================================================================
+// MAIN SCRIPT
+// ============================================================================
+
+async function features(args) {
+  const options = parseArgs(args, OPTIONS);
+  const [action = 'list', ...names] = options._;
+
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown action "${action}". Use one of: ${ACTIONS.join(', ')}`);
+  }
+  // Projects without src/app/modules (Expo) are only found from their root
+  const projectDir = findProjectRoot(process.cwd())
+    || (fs.existsSync(path.join(process.cwd(), 'package.json')) ? process.cwd() : null);
+  if (!projectDir) {
+    throw new Error('package.json not found. Run "tmi features" inside a React Native project.');
+  }
+
+  // The same definitions as the init wizard: built-in features plus the ones
+  // the template declared (kept in the project's tmi.template.json)
+  const manifest = loadManifest(projectDir);
+  const definitions = mergeFeatureDefinitions(manifest.features);
+  const configPath = manifest.featuresConfig || DEFAULT_MANIFEST.featuresConfig;
+
+  const flags = readFeaturesConfig(path.join(projectDir, configPath));
+  const dependencies = readDependencies(projectDir);
+
+  console.log(chalk.cyan('\n🧩 TMI Features - Manage app features\n'));
+
+  if (action === 'list') {
+    listFeatures(configPath, flags, dependencies, definitions);
+    return;
+  }
+
+  const requested = resolveFeatures(names, definitions);
+  const pmName = options.pm || detectProjectPackageManager(projectDir);
+  const pmError = validatePackageManager(pmName);
+  if (pmError) {
+    throw new Error(pmError);
+  }
+  const pm = getPackageManager(pmName);
+
+  if (action === 'enable') {
+    enableFeatures(projectDir, configPath, requested, flags, dependencies, options, pm, definitions);
+  } else {
+    disableFeatures(projectDir, configPath, requested, flags, dependencies, options, pm, definitions);
+  }
+}
+
+module.exports = {
+  name: 'features',
+  usage: 'features <action>',
+  description: 'List, enable or disable app features',
+  options: OPTIONS,
+  arguments: ACTIONS,
+  notes: [
+    `Actions: ${ACTIONS.join(', ')}. Features: ${FEATURES.map(feature => feature.flag).join(', ')}.`,
+    'Features declared by the template (tmi.template.json in the project root) are listed too.',
+  ],
+  examples: [
+    'tmi features',
+    'tmi features enable push',
+    'tmi features disable revenuecat --remove-code',
+  ],
+  handler: features,
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { printSuccess, printInfo, printWarning } = require('../lib/ui');
+const { parseArgs } = require('../lib/args');
+const { FEATURES_DIR, findProjectRoot, generateFeature } = require('../lib/feature-generator');
+const { REGISTRY_FILE, NAVIGATION_TYPES_FILE } = require('../lib/module-registry');
+const { readFieldsFile } = require('../lib/entity-fields');
+
+const OPTIONS = {
+  'ui-only': { type: 'boolean', key: 'uiOnly', description: 'Create only the UI layer (screens, components, hooks)' },
+  slice: { type: 'boolean', negatable: true, description: 'Generate a Redux slice (default: true)' },
+  fields: { type: 'string', value: '<spec>', description: 'Entity fields, e.g. "title:string,price?:number"' },
+  'fields-file': { type: 'string', key: 'fieldsFile', value: '<file>', path: 'file', description: 'Read the entity fields from a JSON or YAML file' },
+  register: { type: 'boolean', negatable: true, description: 'Register the module and its route type (default: true)' },
+  cwd: { type: 'string', value: '<dir>', path: 'dir', description: 'Run as if started in <dir>' },
+};
+
+// Generators by type, with their short aliases
+const GENERATORS = {
+  feature: { alias: 'f', handler: runFeatureGenerator },
+};
+
+function resolveGenerator(type) {
+  const types = Object.keys(GENERATORS);
+  if (!type) {
+    throw new Error(`Generator type is required. Use one of: ${types.join(', ')}`);
+  }
+  const name = types.find(key => key === type || GENERATORS[key].alias === type);
+  if (!name) {
+    throw new Error(`Unknown generator "${type}". Use one of: ${types.join(', ')}`);
+  }
+  return GENERATORS[name];
+}
+
+// ============================================================================
+// GENERATORS
+// ============================================================================
+
+// `startDir` is where relative paths in the options point, --cwd if given
+function runFeatureGenerator(projectDir, name, options, startDir) {
+  if (!name) {
+    throw new Error('Feature name is required, e.g. "tmi generate feature profile"');
+  }
+  if (options.fields && options.fieldsFile) {
+    throw new Error('Use either --fields or --fields-file, not both');
+  }
+  const fields = options.fieldsFile ? readFieldsFile(options.fieldsFile, startDir) : options.fields || [];
+
+  console.log(chalk.cyan('\n🧱 TMI Generate - Clean Architecture feature\n'));
+  printInfo(`Project: ${chalk.white(projectDir)}`);
+
+  const result = generateFeature(projectDir, name, {
+    uiOnly: options.uiOnly,
+    slice: options.slice !== false,
+    fields,
+    register: options.register !== false,
+    onProgress: event => {
+      if (event.type === 'success') printSuccess(event.message);
+      else if (event.type === 'info') printInfo(event.message);
+      else if (event.type === 'warning') printWarning(event.message);
+    },
+  });
+  const { pascalName: Feature, camelName: feature } = result;
+  // Without a registration (--no-register) both files are edited by hand
+  const { registry, navigation } = result.registration || {};
+  const manual = registration => !registration || registration.status === 'manual';
+
+  if (result.files.length === 0) {
+    printWarning(`Nothing created, every file of ${FEATURES_DIR}/${name} already exists`);
+  } else {
+    console.log(chalk.green(`\n✅ Feature "${name}" created with Clean Architecture!`));
+    console.log(chalk.white('\n📁 Structure:'));
+    console.log(chalk.gray(`  ${FEATURES_DIR}/${name}/`));
+    if (!options.uiOnly) {
+      console.log(chalk.gray('  ├── domain/          # Business logic (entities, repositories)'));
+      console.log(chalk.gray('  ├── data/            # Implementation (datasources, slices)'));
+    }
+    console.log(chalk.gray('  ├── ui/              # Presentation (screens, components)'));
+    console.log(chalk.gray('  ├── module.ts        # Module descriptor'));
+    console.log(chalk.gray('  └── index.ts'));
+  }
+
+  const steps = [];
+  if (result.files.length > 0 && !options.uiOnly) {
+    steps.push([`${fields.length > 0 ? 'Review' : 'Define'} your entities in domain/entities/${Feature}.ts`]);
+    steps.push(['Implement datasource API calls in data/datasources/']);
+  }
+  if (manual(registry)) {
+    steps.push([
+      `Add module to ${REGISTRY_FILE}:`,
+      `   import {${feature}Module} from '@features/${name}';`,
+      `   const appModules = [..., ${feature}Module];`,
+    ]);
+  }
+  if (manual(navigation)) {
+    steps.push([
+      `Add the route type to ${NAVIGATION_TYPES_FILE}:`,
+      `   ${Feature}: undefined;`,
+    ]);
+  }
+
+  if (steps.length > 0) {
+    console.log(chalk.white('\n📝 Next steps:\n'));
+    steps.forEach(([title, ...lines], index) => {
+      console.log(chalk.cyan(`${index + 1}. ${title}`));
+      lines.forEach(line => console.log(chalk.gray(line)));
+    });
+  }
+  console.log('');
+}
+
+// ============================================================================
+// MAIN SCRIPT
+// ============================================================================
+
+async function generate(args) {
+  const options = parseArgs(args, OPTIONS);
+  const [type, name] = options._;
+  const generator = resolveGenerator(type);
+
+  const startDir = path.resolve(process.cwd(), options.cwd || '.');
+  if (!fs.existsSync(startDir)) {
+    throw new Error(`Directory not found: ${options.cwd}`);
+  }
+  const projectDir = findProjectRoot(startDir);
+  if (!projectDir) {
+    throw new Error(`No TMI project found in ${startDir} or its parents (looked for package.json and src/app/modules). Run it inside a project generated with "tmi init-rn" or pass --cwd <dir>.`);
+  }
+
+  generator.handler(projectDir, name, options, startDir);
+}
+
+module.exports = {
+  name: 'generate',
+  aliases: ['g'],
+  usage: 'generate <type>',
+  description: 'Generate code in an existing project',
+  options: OPTIONS,
+  arguments: Object.keys(GENERATORS),
+  notes: [
+    `Types: ${Object.entries(GENERATORS).map(([type, { alias }]) => `${type} (${alias})`).join(', ')}. "tmi g f <name>" is short for "tmi generate feature <name>".`,
+    'The project root is the nearest directory with a package.json and src/app/modules.',
+    'Field types: string, number, boolean, date, enum(a|b), add [] for arrays and ? to the name for optional fields.',
+    'Fields files map field names to types, as JSON or YAML ("title: string" lines), optionally below a "fields" key.',
+  ],
+  examples: [
+    'tmi generate feature profile',
+    'tmi g f settings --ui-only',
+    'tmi g f products --fields "title:string,price:number,tags:string[],note?:string,status:enum(draft|live)"',
+    'tmi g f invoices --fields-file invoice.yml',
+    'tmi generate feature orders --no-slice --cwd ./my-app',
+  ],
+  handler: generate,
+};
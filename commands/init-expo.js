@@ -0,0 +1,405 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const {
+  createReadlineInterface,
+  confirm,
+  printStep,
+  printSuccess,
+  printInfo,
+  printWarning,
+  printProgress,
+} = require('../lib/ui');
+const { parseArgs } = require('../lib/args');
+const { DEFAULT_EXPO_TEMPLATE } = require('../lib/template');
+const { mergeFeatureDefinitions, pruneDisabledFeatures } = require('../lib/features');
+const { generateFeaturesConfig } = require('../lib/features-config');
+const { DEFAULT_EXPO_MANIFEST, resolvePlaceholders } = require('../lib/manifest');
+const { printCheckResult } = require('../lib/doctor');
+const { applyPackageManager } = require('../lib/package-manager');
+const { ensureGitignore } = require('../lib/git');
+const { validateUrlScheme } = require('../lib/linking');
+const { getExpoFeatureDefinitions, configureExpoApp } = require('../lib/expo');
+const { toPascalCase, toKebabCase } = require('../lib/naming');
+const { replaceInDirectory } = require('../lib/transform');
+const { createReporter } = require('../lib/progress');
+const { startRunLog } = require('../lib/run-log');
+const {
+  checkRequirements,
+  stageTemplate,
+  updatePackageJson,
+  verifyProject,
+  moveProject,
+  installProject,
+} = require('../lib/project');
+const {
+  resolveSettings,
+  trackPartialOutput,
+  missingValueError,
+  askProjectName,
+  askBundleId,
+  askDisplayName,
+  askTemplateValues,
+  askFeatures,
+} = require('../lib/wizard');
+
+const OPTIONS = {
+  'bundle-id': { type: 'string', key: 'bundleId', value: '<id>', description: 'Bundle identifier (e.g., com.company.app)' },
+  'display-name': { type: 'string', key: 'displayName', value: '<name>', description: 'App display name' },
+  firebase: { type: 'boolean', negatable: true, description: 'Include Firebase' },
+  revenuecat: { type: 'boolean', key: 'revenueCat', negatable: true, description: 'Include RevenueCat' },
+  biometric: { type: 'boolean', negatable: true, description: 'Include Biometric Authentication' },
+  push: { type: 'boolean', key: 'pushNotifications', negatable: true, description: 'Include Push Notifications' },
+  'url-scheme': { type: 'string', key: 'urlScheme', value: '<scheme>', description: 'Expo scheme (default: project name)' },
+  template: { type: 'string', value: '<source>', path: 'file', description: 'Local path, .tgz or git URL, with optional #ref' },
+  config: { type: 'string', value: '<answers.json>', path: 'file', description: 'Read answers from a JSON file' },
+  preset: { type: 'string', value: '<name>', description: 'Use a named preset from .tmirc' },
+  pm: { type: 'string', choices: ['npm', 'yarn', 'pnpm', 'bun'], description: 'Package manager (default: detected, else yarn)' },
+  'skip-install': { type: 'boolean', key: 'skipInstall', description: 'Don\'t install dependencies' },
+  'skip-git': { type: 'boolean', key: 'skipGit', description: 'Don\'t initialize a git repository' },
+  'initial-branch': { type: 'string', key: 'initialBranch', value: '<name>', description: 'Name of the initial git branch' },
+  'git-remote': { type: 'string', key: 'gitRemote', value: '<url>', description: 'Add <url> as the origin remote' },
+  strict: { type: 'boolean', description: 'Fail when template identifiers are left over' },
+  'keep-on-failure': { type: 'boolean', key: 'keepOnFailure', description: 'Keep partial output when generation fails' },
+  yes: { type: 'boolean', alias: 'y', description: 'Accept defaults and skip all prompts' },
+  verbose: { type: 'boolean', description: 'Show the commands that run and their stderr' },
+};
+
+// ============================================================================
+// MAIN SCRIPT
+// ============================================================================
+
+async function initExpo(args) {
+  // --verbose is picked out before parsing, like in init-rn
+  const runLog = startRunLog({ command: 'init-expo', verbose: args.includes('--verbose') });
+  const reporter = createReporter(printProgress);
+  let rl = null;
+  let partial = null;
+  // Set once the project is moved into place, the run log is written there
+  // when it is kept
+  let projectDir = null;
+
+  try {
+    const options = parseArgs(args, OPTIONS);
+    // Same .tmirc handling as init-rn, the Expo template is read from "expoTemplate"
+    const settings = resolveSettings(options, { templateKey: 'expoTemplate' });
+    const { rc, defaults, answers, pm, skipInstall, skipGit, initialBranch, gitRemote } = settings;
+    const answerFeatures = answers.features || {};
+    const interactive = !options.yes && Boolean(process.stdin.isTTY);
+    rl = interactive ? createReadlineInterface() : null;
+    const wizard = { rl, interactive, yes: options.yes };
+    const TOTAL_STEPS = 8;
+
+    partial = trackPartialOutput({ rl, keepOnFailure: options.keepOnFailure });
+
+    console.log(chalk.cyan('\n════════════════════════════════════════════════════════════'));
+    console.log(chalk.cyan.bold('   🚀 TMI Expo Boilerplate Generator'));
+    console.log(chalk.cyan('════════════════════════════════════════════════════════════\n'));
+
+    if (interactive) {
+      console.log(chalk.white('This wizard will guide you through setting up a new Expo'));
+      console.log(chalk.white('project using the TMI boilerplate.\n'));
+    } else {
+      console.log(chalk.white('Running in non-interactive mode.\n'));
+    }
+    if (rc.files.length > 0) {
+      printInfo(`Defaults from ${rc.files.join(', ')}${options.preset ? ` (preset: ${options.preset})` : ''}`);
+    }
+
+    // ========================================================================
+    // STEP 1: Project Name
+    // ========================================================================
+    printStep(1, TOTAL_STEPS, 'Project Configuration');
+
+    const projectName = await askProjectName(wizard, {
+      value: options._[0] || answers.name,
+      usage: ['Directory name (kebab-case)', 'Expo slug (kebab-case)'],
+    });
+
+    const pascalName = toPascalCase(projectName);
+    const kebabName = toKebabCase(projectName);
+    const targetDir = path.resolve(process.cwd(), kebabName);
+
+    printSuccess(`Project name: ${chalk.white(pascalName)}`);
+    printInfo(`Directory: ${chalk.white(kebabName)}/`);
+
+    if (fs.existsSync(targetDir)) {
+      throw new Error(`Directory "${kebabName}" already exists! Please choose a different name or remove the existing directory.`);
+    }
+
+    // Check the tools generation relies on before touching the file system
+    const checks = checkRequirements({ packageManager: pm.name, skipInstall, skipGit });
+    checks.filter(check => check.status !== 'pass').forEach(printCheckResult);
+    const failedChecks = checks.filter(check => check.status === 'fail');
+    if (failedChecks.length > 0) {
+      throw new Error(`Missing requirements: ${failedChecks.map(check => check.label).join(', ')}. Run "tmi doctor" for details.`);
+    }
+
+    console.log('');
+    const template = await stageTemplate({
+      template: settings.template,
+      name: projectName,
+      cwd: settings.templateCwd,
+      defaultTemplate: DEFAULT_EXPO_TEMPLATE,
+      defaultManifest: DEFAULT_EXPO_MANIFEST,
+      reporter,
+    });
+    partial.add(template.dir);
+    const { manifest } = template;
+    const stagingDir = template.dir;
+    const featureDefinitions = getExpoFeatureDefinitions(mergeFeatureDefinitions(manifest.features));
+
+    // ========================================================================
+    // STEP 2: Bundle Identifier
+    // ========================================================================
+    printStep(2, TOTAL_STEPS, 'Bundle Identifier');
+
+    const bundleSuffix = kebabName.replace(/-/g, '').toLowerCase();
+    const bundleId = await askBundleId(wizard, {
+      value: options.bundleId || answers.bundleId
+        || (answers.bundleIdPrefix ? `${answers.bundleIdPrefix}.${bundleSuffix}` : undefined),
+      defaultValue: defaults.bundleId || `${defaults.bundleIdPrefix || 'com'}.${bundleSuffix}`,
+    });
+
+    // Expo needs a scheme for deep links in standalone builds
+    const answerLinking = answers.deepLinking || {};
+    const defaultLinking = defaults.deepLinking || {};
+    const urlScheme = options.urlScheme || answerLinking.urlScheme || defaultLinking.urlScheme || bundleSuffix;
+    const schemeError = validateUrlScheme(urlScheme);
+    if (schemeError) {
+      throw new Error(schemeError);
+    }
+    printSuccess(`URL scheme: ${chalk.white(`${urlScheme}://`)}`);
+
+    // ========================================================================
+    // STEP 3: Display Name
+    // ========================================================================
+    printStep(3, TOTAL_STEPS, 'App Display Name');
+
+    const displayName = await askDisplayName(wizard, {
+      value: options.displayName || answers.displayName,
+      defaultValue: defaults.displayName || pascalName,
+    });
+
+    const templateValues = await askTemplateValues(wizard, {
+      prompts: manifest.prompts,
+      values: answers.values,
+      defaults: defaults.values,
+    });
+
+    // ========================================================================
+    // STEP 4: Features Selection
+    // ========================================================================
+    printStep(4, TOTAL_STEPS, 'Feature Selection');
+
+    const chosenFeatures = {};
+    for (const feature of featureDefinitions) {
+      chosenFeatures[feature.key] = options[feature.key] !== undefined ? options[feature.key] : answerFeatures[feature.key];
+    }
+    const features = await askFeatures(wizard, {
+      definitions: featureDefinitions,
+      values: chosenFeatures,
+      defaults: defaults.features,
+    });
+
+    // ========================================================================
+    // STEP 5: Confirmation
+    // ========================================================================
+    printStep(5, TOTAL_STEPS, 'Confirmation');
+
+    console.log(chalk.white('\n  Summary:'));
+    console.log(chalk.gray('  ─────────────────────────────────'));
+    if (options.preset) {
+      console.log(chalk.gray(`  Preset:          ${chalk.white(options.preset)}`));
+    }
+    console.log(chalk.gray(`  Project name:    ${chalk.white(pascalName)}`));
+    console.log(chalk.gray(`  Directory:       ${chalk.white(kebabName)}/`));
+    console.log(chalk.gray(`  Bundle ID:       ${chalk.white(bundleId)}`));
+    console.log(chalk.gray(`  Display name:    ${chalk.white(displayName)}`));
+    console.log(chalk.gray(`  URL scheme:      ${chalk.white(`${urlScheme}://`)}`));
+    console.log(chalk.gray(`  Template:        ${chalk.white(template.source.label)}`));
+    console.log(chalk.gray(`  Package manager: ${chalk.white(pm.name)}${skipInstall ? chalk.gray(' (install skipped)') : ''}`));
+    console.log(chalk.gray('  ─────────────────────────────────\n'));
+
+    if (!interactive && !options.yes) {
+      throw missingValueError('confirmation', 'Pass --yes to proceed with project creation.');
+    }
+
+    const proceed = interactive ? await confirm(rl, '  Proceed with project creation?') : true;
+    if (!proceed) {
+      console.log(chalk.yellow('\n  Project creation cancelled.\n'));
+      template.dispose();
+      partial.release();
+      rl.close();
+      runLog.finish();
+      return;
+    }
+
+    // ========================================================================
+    // STEP 6: Clone & Configure
+    // ========================================================================
+    printStep(6, TOTAL_STEPS, 'Creating Project');
+
+    console.log(chalk.gray('\n  Cleaning up template files...'));
+    for (const entry of manifest.remove) {
+      fs.rmSync(path.join(stagingDir, entry), { recursive: true, force: true });
+    }
+    printSuccess('Template files cleaned');
+
+    console.log(chalk.gray('  Updating project configuration...'));
+
+    const templateVars = {
+      ...templateValues,
+      pascalName,
+      kebabName,
+      snakeName: kebabName.replace(/-/g, '_'),
+      bundleId,
+      displayName,
+    };
+    const replacements = resolvePlaceholders(manifest, templateVars);
+
+    replaceInDirectory(stagingDir, replacements, manifest);
+    printSuccess('Configuration files updated');
+
+    updatePackageJson(stagingDir, { name: kebabName, manifest, reporter });
+
+    // Remove packages and sources of declined features
+    if (featureDefinitions.some(feature => !features[feature.key])) {
+      console.log(chalk.gray('  Removing disabled features...'));
+      const pruned = pruneDisabledFeatures(stagingDir, features, featureDefinitions);
+      printSuccess(`Disabled features removed (${pruned.packages.length} packages, ${pruned.paths.length} paths, ${pruned.files.length} files updated)`);
+    }
+
+    // Identifiers, scheme and config plugins of the selected features
+    const appConfig = configureExpoApp(stagingDir, {
+      displayName,
+      slug: kebabName,
+      bundleId,
+      scheme: urlScheme,
+      features,
+      definitions: featureDefinitions,
+    });
+    appConfig.warnings.forEach(warning => printWarning(warning));
+    printSuccess(`Expo config updated (${appConfig.updated.join(', ')})`);
+
+    const removedPmFiles = applyPackageManager(stagingDir, pm.name);
+    if (removedPmFiles.length > 0) {
+      printSuccess(`Configured for ${pm.name} (removed ${removedPmFiles.join(', ')})`);
+    }
+
+    const ignoredEntries = ensureGitignore(stagingDir);
+    if (ignoredEntries.length > 0) {
+      printSuccess(`.gitignore updated (${ignoredEntries.join(', ')})`);
+    }
+
+    // Same FeaturesConfig contract as the React Native flavor
+    if (manifest.featuresConfig) {
+      console.log(chalk.gray('  Generating features configuration...'));
+      const featuresConfigPath = path.join(stagingDir, manifest.featuresConfig);
+      fs.mkdirSync(path.dirname(featuresConfigPath), { recursive: true });
+      fs.writeFileSync(featuresConfigPath, generateFeaturesConfig(features, featureDefinitions), 'utf8');
+      printSuccess(`${path.basename(manifest.featuresConfig)} generated`);
+    }
+
+    verifyProject(stagingDir, { replacements, manifest, strict: options.strict, reporter });
+    moveProject(stagingDir, targetDir, { manifest, reporter });
+    projectDir = targetDir;
+    partial.add(targetDir);
+
+    // ========================================================================
+    // STEP 7: Install Dependencies
+    // ========================================================================
+    printStep(7, TOTAL_STEPS, 'Installing Dependencies');
+
+    await installProject(targetDir, {
+      manifest,
+      templateVars,
+      pm,
+      skipInstall,
+      skipGit,
+      initialBranch,
+      gitRemote,
+      reporter,
+    });
+
+    // ========================================================================
+    // STEP 8: Final Instructions
+    // ========================================================================
+    printStep(8, TOTAL_STEPS, 'Setup Complete!');
+
+    console.log(chalk.green('\n════════════════════════════════════════════════════════════'));
+    console.log(chalk.green.bold('   ✅ Project created successfully!'));
+    console.log(chalk.green('════════════════════════════════════════════════════════════\n'));
+
+    console.log(chalk.white.bold('📁 Next Steps:\n'));
+
+    let nextStep = 1;
+    const printNextStep = title => console.log(chalk.cyan(`${nextStep++}. ${title}`));
+
+    printNextStep('Navigate to your project:');
+    console.log(chalk.gray(`   cd ${kebabName}\n`));
+
+    if (skipInstall) {
+      printNextStep('Install dependencies:');
+      console.log(chalk.gray(`   ${pm.install}\n`));
+    }
+
+    if (features.firebase) {
+      printNextStep('Configure Firebase:');
+      console.log(chalk.gray('   • Create a Firebase project at https://console.firebase.google.com'));
+      console.log(chalk.gray('   • Download GoogleService-Info.plist and google-services.json to the project root'));
+      console.log(chalk.gray('   • Enable Authentication, Firestore, and Analytics\n'));
+    }
+
+    if (features.revenueCat) {
+      printNextStep('Configure RevenueCat:');
+      console.log(chalk.gray('   • Create a project at https://app.revenuecat.com'));
+      console.log(chalk.gray('   • Add your API keys to .env file\n'));
+    }
+
+    if (features.pushNotifications) {
+      printNextStep('Configure Push Notifications:');
+      console.log(chalk.gray('   • Upload an APNs key in the Firebase console\n'));
+    }
+
+    console.log(chalk.cyan('🚀 Run your app:\n'));
+    console.log(chalk.gray('   npx expo run:ios       # Development build on iOS Simulator'));
+    console.log(chalk.gray('   npx expo run:android   # Development build on Android Emulator\n'));
+    if (featureDefinitions.some(feature => features[feature.key])) {
+      printInfo('The selected features use native modules, Expo Go can\'t run them. Use a development build.\n');
+    }
+
+    console.log(chalk.white('📚 Documentation:'));
+    console.log(chalk.gray('   See README.md for detailed documentation\n'));
+
+    console.log(chalk.cyan('════════════════════════════════════════════════════════════\n'));
+
+    runLog.finish();
+    partial.release();
+    if (rl) rl.close();
+
+  } catch (error) {
+    if (partial) partial.rollback();
+    // The log goes next to a kept partial project, else into the temp dir
+    error.log = runLog.fail(error, { dir: projectDir });
+    if (partial) partial.release();
+    if (rl) rl.close();
+    throw error;
+  }
+}
+
+module.exports = {
+  name: 'init-expo',
+  usage: 'init-expo [name]',
+  description: 'Create a new Expo project',
+  options: OPTIONS,
+  notes: [
+    'Defaults and presets are read from ~/.tmirc and every .tmirc up the directory tree.',
+    'When a run fails, a log of its output and commands is written to the project directory (if kept) or the temp dir.',
+  ],
+  examples: [
+    'tmi init-expo MyApp',
+    'tmi init-expo MyApp --no-revenuecat --url-scheme myapp --yes',
+  ],
+  handler: initExpo,
+};
@@ -0,0 +1,370 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const {
+  createReadlineInterface,
+  confirm,
+  printStep,
+  printSuccess,
+  printInfo,
+  printProgress,
+} = require('../lib/ui');
+const { parseArgs } = require('../lib/args');
+const { DEFAULT_NEXT_TEMPLATE } = require('../lib/template');
+const { pruneDisabledFeatures } = require('../lib/features');
+const { generateFeaturesConfig } = require('../lib/features-config');
+const { DEFAULT_NEXT_MANIFEST, resolvePlaceholders } = require('../lib/manifest');
+const { printCheckResult } = require('../lib/doctor');
+const { applyPackageManager } = require('../lib/package-manager');
+const { ensureGitignore } = require('../lib/git');
+const { NEXT_DEV_EXPRESSION, WEB_FEATURES, readMobileProject, generateWebFeatures } = require('../lib/next');
+const { toPascalCase, toKebabCase } = require('../lib/naming');
+const { replaceInDirectory } = require('../lib/transform');
+const { createReporter } = require('../lib/progress');
+const { startRunLog } = require('../lib/run-log');
+const {
+  checkRequirements,
+  stageTemplate,
+  updatePackageJson,
+  verifyProject,
+  moveProject,
+  installProject,
+} = require('../lib/project');
+const {
+  resolveSettings,
+  trackPartialOutput,
+  missingValueError,
+  askProjectName,
+  askDisplayName,
+  askTemplateValues,
+  askFeatures,
+} = require('../lib/wizard');
+
+const OPTIONS = {
+  'display-name': { type: 'string', key: 'displayName', value: '<name>', description: 'Site name' },
+  firebase: { type: 'boolean', negatable: true, description: 'Generate the Firebase web SDK config' },
+  'auth-pages': { type: 'boolean', key: 'authPages', negatable: true, description: 'Generate sign-in and sign-up pages' },
+  mobile: { type: 'string', value: '<dir>', path: 'dir', description: 'Share name and features with a generated mobile app' },
+  template: { type: 'string', value: '<source>', path: 'file', description: 'Local path, .tgz or git URL, with optional #ref' },
+  config: { type: 'string', value: '<answers.json>', path: 'file', description: 'Read answers from a JSON file' },
+  preset: { type: 'string', value: '<name>', description: 'Use a named preset from .tmirc' },
+  pm: { type: 'string', choices: ['npm', 'yarn', 'pnpm', 'bun'], description: 'Package manager (default: detected, else yarn)' },
+  'skip-install': { type: 'boolean', key: 'skipInstall', description: 'Don\'t install dependencies' },
+  'skip-git': { type: 'boolean', key: 'skipGit', description: 'Don\'t initialize a git repository' },
+  'initial-branch': { type: 'string', key: 'initialBranch', value: '<name>', description: 'Name of the initial git branch' },
+  'git-remote': { type: 'string', key: 'gitRemote', value: '<url>', description: 'Add <url> as the origin remote' },
+  strict: { type: 'boolean', description: 'Fail when template identifiers are left over' },
+  'keep-on-failure': { type: 'boolean', key: 'keepOnFailure', description: 'Keep partial output when generation fails' },
+  yes: { type: 'boolean', alias: 'y', description: 'Accept defaults and skip all prompts' },
+  verbose: { type: 'boolean', description: 'Show the commands that run and their stderr' },
+};
+
+// ============================================================================
+// MAIN SCRIPT
+// ============================================================================
+
+async function initNext(args) {
+  // --verbose is picked out before parsing, like in init-rn
+  const runLog = startRunLog({ command: 'init-next', verbose: args.includes('--verbose') });
+  const reporter = createReporter(printProgress);
+  let rl = null;
+  let partial = null;
+  // Set once the project is moved into place, the run log is written there
+  // when it is kept
+  let projectDir = null;
+
+  try {
+    const options = parseArgs(args, OPTIONS);
+    // Same .tmirc handling as init-rn, the Next.js template is read from "nextTemplate"
+    const settings = resolveSettings(options, { templateKey: 'nextTemplate' });
+    const { rc, defaults, answers, pm, skipInstall, skipGit, initialBranch, gitRemote } = settings;
+    const answerFeatures = answers.features || {};
+    // Naming and Firebase of the mobile app become the defaults of the web project
+    const mobileDir = options.mobile || answers.mobile;
+    const mobile = mobileDir ? readMobileProject(path.resolve(process.cwd(), mobileDir)) : null;
+    const interactive = !options.yes && Boolean(process.stdin.isTTY);
+    rl = interactive ? createReadlineInterface() : null;
+    const wizard = { rl, interactive, yes: options.yes };
+    const TOTAL_STEPS = 7;
+
+    partial = trackPartialOutput({ rl, keepOnFailure: options.keepOnFailure });
+
+    console.log(chalk.cyan('\n════════════════════════════════════════════════════════════'));
+    console.log(chalk.cyan.bold('   🚀 TMI Next.js Boilerplate Generator'));
+    console.log(chalk.cyan('════════════════════════════════════════════════════════════\n'));
+
+    if (interactive) {
+      console.log(chalk.white('This wizard will guide you through setting up a new Next.js'));
+      console.log(chalk.white('project using the TMI boilerplate.\n'));
+    } else {
+      console.log(chalk.white('Running in non-interactive mode.\n'));
+    }
+    if (rc.files.length > 0) {
+      printInfo(`Defaults from ${rc.files.join(', ')}${options.preset ? ` (preset: ${options.preset})` : ''}`);
+    }
+    if (mobile) {
+      printInfo(`Sharing name and features with ${mobileDir} (${mobile.displayName})`);
+    }
+
+    // ========================================================================
+    // STEP 1: Project Name
+    // ========================================================================
+    printStep(1, TOTAL_STEPS, 'Project Configuration');
+
+    const projectName = await askProjectName(wizard, {
+      value: options._[0] || answers.name,
+      defaultValue: mobile && mobile.name ? `${toPascalCase(mobile.name)}Web` : undefined,
+      usage: ['Directory name (kebab-case)', 'package.json name (kebab-case)'],
+    });
+
+    const pascalName = toPascalCase(projectName);
+    const kebabName = toKebabCase(projectName);
+    const targetDir = path.resolve(process.cwd(), kebabName);
+
+    printSuccess(`Project name: ${chalk.white(pascalName)}`);
+    printInfo(`Directory: ${chalk.white(kebabName)}/`);
+
+    if (fs.existsSync(targetDir)) {
+      throw new Error(`Directory "${kebabName}" already exists! Please choose a different name or remove the existing directory.`);
+    }
+
+    // Check the tools generation relies on before touching the file system
+    const checks = checkRequirements({ packageManager: pm.name, skipInstall, skipGit });
+    checks.filter(check => check.status !== 'pass').forEach(printCheckResult);
+    const failedChecks = checks.filter(check => check.status === 'fail');
+    if (failedChecks.length > 0) {
+      throw new Error(`Missing requirements: ${failedChecks.map(check => check.label).join(', ')}. Run "tmi doctor" for details.`);
+    }
+
+    console.log('');
+    const template = await stageTemplate({
+      template: settings.template,
+      name: projectName,
+      cwd: settings.templateCwd,
+      defaultTemplate: DEFAULT_NEXT_TEMPLATE,
+      defaultManifest: DEFAULT_NEXT_MANIFEST,
+      reporter,
+    });
+    partial.add(template.dir);
+    const { manifest } = template;
+    const stagingDir = template.dir;
+
+    // ========================================================================
+    // STEP 2: Display Name
+    // ========================================================================
+    printStep(2, TOTAL_STEPS, 'Site Name');
+
+    const displayName = await askDisplayName(wizard, {
+      value: options.displayName || answers.displayName,
+      defaultValue: defaults.displayName || (mobile && mobile.displayName) || pascalName,
+      description: 'The site name is used in page titles and metadata.',
+    });
+
+    const templateValues = await askTemplateValues(wizard, {
+      prompts: manifest.prompts,
+      values: answers.values,
+      defaults: defaults.values,
+    });
+
+    // ========================================================================
+    // STEP 3: Features Selection
+    // ========================================================================
+    printStep(3, TOTAL_STEPS, 'Feature Selection');
+
+    const chosenFeatures = {};
+    for (const feature of WEB_FEATURES) {
+      chosenFeatures[feature.key] = options[feature.key] !== undefined ? options[feature.key] : answerFeatures[feature.key];
+    }
+    const features = await askFeatures(wizard, {
+      definitions: WEB_FEATURES,
+      values: chosenFeatures,
+      defaults: { ...defaults.features, ...(mobile && mobile.features) },
+    });
+
+    // ========================================================================
+    // STEP 4: Confirmation
+    // ========================================================================
+    printStep(4, TOTAL_STEPS, 'Confirmation');
+
+    console.log(chalk.white('\n  Summary:'));
+    console.log(chalk.gray('  ─────────────────────────────────'));
+    if (options.preset) {
+      console.log(chalk.gray(`  Preset:          ${chalk.white(options.preset)}`));
+    }
+    console.log(chalk.gray(`  Project name:    ${chalk.white(pascalName)}`));
+    console.log(chalk.gray(`  Directory:       ${chalk.white(kebabName)}/`));
+    console.log(chalk.gray(`  Site name:       ${chalk.white(displayName)}`));
+    if (mobile) {
+      console.log(chalk.gray(`  Mobile app:      ${chalk.white(mobileDir)}`));
+    }
+    console.log(chalk.gray(`  Template:        ${chalk.white(template.source.label)}`));
+    console.log(chalk.gray(`  Package manager: ${chalk.white(pm.name)}${skipInstall ? chalk.gray(' (install skipped)') : ''}`));
+    console.log(chalk.gray('  ─────────────────────────────────\n'));
+
+    if (!interactive && !options.yes) {
+      throw missingValueError('confirmation', 'Pass --yes to proceed with project creation.');
+    }
+
+    const proceed = interactive ? await confirm(rl, '  Proceed with project creation?') : true;
+    if (!proceed) {
+      console.log(chalk.yellow('\n  Project creation cancelled.\n'));
+      template.dispose();
+      partial.release();
+      rl.close();
+      runLog.finish();
+      return;
+    }
+
+    // ========================================================================
+    // STEP 5: Clone & Configure
+    // ========================================================================
+    printStep(5, TOTAL_STEPS, 'Creating Project');
+
+    console.log(chalk.gray('\n  Cleaning up template files...'));
+    for (const entry of manifest.remove) {
+      fs.rmSync(path.join(stagingDir, entry), { recursive: true, force: true });
+    }
+    printSuccess('Template files cleaned');
+
+    console.log(chalk.gray('  Updating project configuration...'));
+
+    const templateVars = {
+      ...templateValues,
+      pascalName,
+      kebabName,
+      snakeName: kebabName.replace(/-/g, '_'),
+      displayName,
+    };
+    const replacements = resolvePlaceholders(manifest, templateVars);
+
+    replaceInDirectory(stagingDir, replacements, manifest);
+    printSuccess('Configuration files updated');
+
+    updatePackageJson(stagingDir, { name: kebabName, manifest, reporter });
+
+    // Remove packages and sources of declined features
+    if (WEB_FEATURES.some(feature => !features[feature.key])) {
+      console.log(chalk.gray('  Removing disabled features...'));
+      const pruned = pruneDisabledFeatures(stagingDir, features, WEB_FEATURES);
+      printSuccess(`Disabled features removed (${pruned.packages.length} packages, ${pruned.paths.length} paths, ${pruned.files.length} files updated)`);
+    }
+
+    // Web code of the selected features
+    if (WEB_FEATURES.some(feature => features[feature.key])) {
+      console.log(chalk.gray('  Generating feature code...'));
+      const generated = generateWebFeatures(stagingDir, features);
+      if (generated.files.length > 0) printSuccess(`Generated ${generated.files.join(', ')}`);
+      if (generated.skipped.length > 0) printInfo(`Kept the template's ${generated.skipped.join(', ')}`);
+      if (generated.packages.length > 0) printSuccess(`Added ${generated.packages.join(', ')} to package.json`);
+    }
+
+    const removedPmFiles = applyPackageManager(stagingDir, pm.name);
+    if (removedPmFiles.length > 0) {
+      printSuccess(`Configured for ${pm.name} (removed ${removedPmFiles.join(', ')})`);
+    }
+
+    const ignoredEntries = ensureGitignore(stagingDir);
+    if (ignoredEntries.length > 0) {
+      printSuccess(`.gitignore updated (${ignoredEntries.join(', ')})`);
+    }
+
+    // Same FeaturesConfig contract as the mobile app, mobile-only features are off
+    if (manifest.featuresConfig) {
+      console.log(chalk.gray('  Generating features configuration...'));
+      const featuresConfigPath = path.join(stagingDir, manifest.featuresConfig);
+      const webFeatures = { firebase: false, revenueCat: false, biometric: false, pushNotifications: false, ...features };
+      fs.mkdirSync(path.dirname(featuresConfigPath), { recursive: true });
+      fs.writeFileSync(featuresConfigPath, generateFeaturesConfig(webFeatures, WEB_FEATURES, { devExpression: NEXT_DEV_EXPRESSION, featuresCommand: false }), 'utf8');
+      printSuccess(`${path.basename(manifest.featuresConfig)} generated`);
+    }
+
+    verifyProject(stagingDir, { replacements, manifest, strict: options.strict, reporter });
+    moveProject(stagingDir, targetDir, { manifest, reporter });
+    projectDir = targetDir;
+    partial.add(targetDir);
+
+    // ========================================================================
+    // STEP 6: Install Dependencies
+    // ========================================================================
+    printStep(6, TOTAL_STEPS, 'Installing Dependencies');
+
+    await installProject(targetDir, {
+      manifest,
+      templateVars,
+      pm,
+      skipInstall,
+      skipGit,
+      initialBranch,
+      gitRemote,
+      reporter,
+    });
+
+    // ========================================================================
+    // STEP 7: Final Instructions
+    // ========================================================================
+    printStep(7, TOTAL_STEPS, 'Setup Complete!');
+
+    console.log(chalk.green('\n════════════════════════════════════════════════════════════'));
+    console.log(chalk.green.bold('   ✅ Project created successfully!'));
+    console.log(chalk.green('════════════════════════════════════════════════════════════\n'));
+
+    console.log(chalk.white.bold('📁 Next Steps:\n'));
+
+    let nextStep = 1;
+    const printNextStep = title => console.log(chalk.cyan(`${nextStep++}. ${title}`));
+
+    printNextStep('Navigate to your project:');
+    console.log(chalk.gray(`   cd ${kebabName}\n`));
+
+    if (skipInstall) {
+      printNextStep('Install dependencies:');
+      console.log(chalk.gray(`   ${pm.install}\n`));
+    }
+
+    if (features.firebase) {
+      printNextStep('Configure Firebase:');
+      console.log(chalk.gray(`   • Add a web app to ${mobile ? 'the Firebase project of the mobile app' : 'your Firebase project'}`));
+      console.log(chalk.gray('   • Copy .env.example to .env.local and fill in the NEXT_PUBLIC_FIREBASE_* values'));
+      if (features.authPages) {
+        console.log(chalk.gray('   • Enable the Email/Password sign-in provider in Authentication'));
+      }
+      console.log('');
+    }
+
+    console.log(chalk.cyan('🚀 Run your site:\n'));
+    console.log(chalk.gray(`   ${pm.run('dev').padEnd(14)} # Start the development server\n`));
+
+    console.log(chalk.white('📚 Documentation:'));
+    console.log(chalk.gray('   See README.md for detailed documentation\n'));
+
+    console.log(chalk.cyan('════════════════════════════════════════════════════════════\n'));
+
+    runLog.finish();
+    partial.release();
+    if (rl) rl.close();
+
+  } catch (error) {
+    if (partial) partial.rollback();
+    // The log goes next to a kept partial project, else into the temp dir
+    error.log = runLog.fail(error, { dir: projectDir });
+    if (partial) partial.release();
+    if (rl) rl.close();
+    throw error;
+  }
+}
+
+module.exports = {
+  name: 'init-next',
+  usage: 'init-next [name]',
+  description: 'Create a new Next.js web project',
+  options: OPTIONS,
+  notes: [
+    'Defaults and presets are read from ~/.tmirc and every .tmirc up the directory tree.',
+    'When a run fails, a log of its output and commands is written to the project directory (if kept) or the temp dir.',
+  ],
+  examples: [
+    'tmi init-next AcmeWeb',
+    'tmi init-next --mobile ./my-app',
+  ],
+  handler: initNext,
+};
@@ -1,551 +1,448 @@
-const { execSync, spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
 const chalk = require('chalk');
-
-const TEMPLATE_REPO = 'https://github.com/DEV-TMI/tmi-rn-base.git';
+const {
+  createReadlineInterface,
+  prompt,
+  confirm,
+  select,
+  printStep,
+  printSuccess,
+  printInfo,
+  printWarning,
+  printError,
+  printProgress,
+} = require('../lib/ui');
+const { parseArgs } = require('../lib/args');
+const { runChecks, printCheckResult } = require('../lib/doctor');
+const { ENVIRONMENTS, envFileName } = require('../lib/environments');
+const { validateUrlScheme, validateLinkDomain, parseLinkDomains } = require('../lib/linking');
+const {
+  PROVISIONING_STYLES,
+  validateTeamId,
+  normalizeProvisioningStyle,
+} = require('../lib/signing');
+const { toPascalCase, toKebabCase } = require('../lib/naming');
+const { startRunLog } = require('../lib/run-log');
+const { checkRequirements } = require('../lib/project');
+const { fetchProjectTemplate, createReactNativeProject } = require('../lib/react-native');
+const {
+  resolveSettings,
+  trackPartialOutput,
+  missingValueError,
+  askProjectName,
+  askBundleId,
+  askDisplayName,
+  askTemplateValues,
+  askFeatures,
+} = require('../lib/wizard');
+
+const OPTIONS = {
+  'bundle-id': { type: 'string', key: 'bundleId', value: '<id>', description: 'Bundle identifier (e.g., com.company.app)' },
+  'display-name': { type: 'string', key: 'displayName', value: '<name>', description: 'App display name' },
+  firebase: { type: 'boolean', negatable: true, description: 'Include Firebase' },
+  revenuecat: { type: 'boolean', key: 'revenueCat', negatable: true, description: 'Include RevenueCat' },
+  biometric: { type: 'boolean', negatable: true, description: 'Include Biometric Authentication' },
+  push: { type: 'boolean', key: 'pushNotifications', negatable: true, description: 'Include Push Notifications' },
+  'api-url-dev': { type: 'string', key: 'apiUrlDevelopment', value: '<url>', description: 'API base URL for development' },
+  'api-url-staging': { type: 'string', key: 'apiUrlStaging', value: '<url>', description: 'API base URL for staging' },
+  'api-url-prod': { type: 'string', key: 'apiUrlProduction', value: '<url>', description: 'API base URL for production' },
+  'url-scheme': { type: 'string', key: 'urlScheme', value: '<scheme>', description: 'Custom URL scheme for deep links (e.g., myapp)' },
+  'link-domains': { type: 'string', key: 'linkDomains', value: '<list>', description: 'Comma separated universal/app link domains' },
+  'android-keystore': { type: 'boolean', key: 'androidKeystore', description: 'Generate a release keystore with keytool' },
+  'ios-team': { type: 'string', key: 'iosTeam', value: '<id>', description: 'Apple Developer Team ID' },
+  'ios-signing': { type: 'string', key: 'iosSigning', value: '<style>', choices: ['automatic', 'manual'], description: 'iOS provisioning style: automatic or manual' },
+  template: { type: 'string', value: '<source>', path: 'file', description: 'Local path, .tgz or git URL, with optional #ref' },
+  config: { type: 'string', value: '<answers.json>', path: 'file', description: 'Read answers from a JSON file' },
+  preset: { type: 'string', value: '<name>', description: 'Use a named preset from .tmirc' },
+  pm: { type: 'string', choices: ['npm', 'yarn', 'pnpm', 'bun'], description: 'Package manager (default: detected, else yarn)' },
+  'skip-install': { type: 'boolean', key: 'skipInstall', description: 'Don\'t install dependencies' },
+  'skip-git': { type: 'boolean', key: 'skipGit', description: 'Don\'t initialize a git repository' },
+  'initial-branch': { type: 'string', key: 'initialBranch', value: '<name>', description: 'Name of the initial git branch' },
+  'git-remote': { type: 'string', key: 'gitRemote', value: '<url>', description: 'Add <url> as the origin remote' },
+  strict: { type: 'boolean', description: 'Fail when template identifiers are left over' },
+  'keep-on-failure': { type: 'boolean', key: 'keepOnFailure', description: 'Keep partial output when generation fails' },
+  yes: { type: 'boolean', alias: 'y', description: 'Accept defaults and skip all prompts' },
+  verbose: { type: 'boolean', description: 'Show the commands that run and their stderr' },
+  json: { type: 'boolean', description: 'Print newline-delimited JSON events instead (no prompts)' },
+};
 
 // ============================================================================
-// UTILITIES
+// MAIN SCRIPT
 // ============================================================================
 
-function createReadlineInterface() {
-  return readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
-}
-
-function prompt(rl, question) {
-  return new Promise(resolve => {
-    rl.question(question, answer => resolve(answer.trim()));
-  });
-}
-
-async function confirm(rl, question) {
-  const answer = await prompt(rl, chalk.yellow(`${question} (Y/n): `));
-  return answer.toLowerCase() !== 'n';
-}
-
-async function select(rl, question, options) {
-  console.log(chalk.yellow(`\n${question}`));
-  options.forEach((opt, i) => {
-    console.log(chalk.gray(`  ${i + 1}. ${opt.label}`));
-  });
-  const answer = await prompt(rl, chalk.white(`Enter choice (1-${options.length}): `));
-  const index = parseInt(answer, 10) - 1;
-  if (index >= 0 && index < options.length) {
-    return options[index].value;
-  }
-  return options[0].value;
-}
-
-function toPascalCase(str) {
-  return str
-    .replace(/[-_\s]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''))
-    .replace(/^(.)/, c => c.toUpperCase());
-}
-
-function toKebabCase(str) {
-  return str
-    .replace(/([a-z])([A-Z])/g, '$1-$2')
-    .replace(/[\s_]+/g, '-')
-    .toLowerCase();
-}
+async function initReactNative(args) {
+  // --json and --verbose are picked out before parsing, so that invalid flags
+  // or a broken .tmirc still end in the run log (and a "failed" event)
+  const json = args.includes('--json');
+  const runLog = startRunLog({ command: 'init-rn', json, verbose: args.includes('--verbose') });
+
+  // Partial output that has to be removed if the run fails: the fetched
+  // template, and the project directory once generation started (failed
+  // generations clean up after themselves, only interrupts need this)
+  let rl = null;
+  let partial = null;
+  let targetDir = null;
+  let generating = false;
 
-function validateProjectName(name) {
-  if (!name) return 'Project name is required';
-  if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(name)) {
-    return 'Project name must start with a letter and contain only letters, numbers, hyphens, or underscores';
-  }
-  if (name.length < 2) return 'Project name must be at least 2 characters';
-  if (name.length > 50) return 'Project name must be less than 50 characters';
-  return null;
-}
+  try {
+    const options = parseArgs(args, OPTIONS);
+    const settings = resolveSettings(options);
+    const { rc, defaults, answers, pm, skipInstall, skipGit, initialBranch, gitRemote } = settings;
+    const answerFeatures = answers.features || {};
+    const interactive = !options.yes && !json && Boolean(process.stdin.isTTY);
+    rl = interactive ? createReadlineInterface() : null;
+    const wizard = { rl, interactive, yes: options.yes };
+    const TOTAL_STEPS = 11;
+
+    partial = trackPartialOutput({ rl, keepOnFailure: options.keepOnFailure });
+
+    console.log(chalk.cyan('\n════════════════════════════════════════════════════════════'));
+    console.log(chalk.cyan.bold('   🚀 TMI React Native Boilerplate Generator'));
+    console.log(chalk.cyan('════════════════════════════════════════════════════════════\n'));
 
-function validateBundleId(bundleId) {
-  if (!bundleId) return 'Bundle identifier is required';
-  if (!/^[a-z][a-z0-9]*(\.[a-z][a-z0-9]*)+$/.test(bundleId)) {
-    return 'Bundle identifier must be in format: com.company.appname (lowercase)';
-  }
-  return null;
-}
+    if (interactive) {
+      console.log(chalk.white('This wizard will guide you through setting up a new React Native'));
+      console.log(chalk.white('project using the TMI boilerplate.\n'));
+    } else {
+      console.log(chalk.white('Running in non-interactive mode.\n'));
+    }
+    if (rc.files.length > 0) {
+      printInfo(`Defaults from ${rc.files.join(', ')}${options.preset ? ` (preset: ${options.preset})` : ''}`);
+    }
 
-function replaceInFile(filePath, replacements) {
-  if (!fs.existsSync(filePath)) return;
+    // ========================================================================
+    // STEP 1: Project Name
+    // ========================================================================
+    printStep(1, TOTAL_STEPS, 'Project Configuration');
 
-  let content = fs.readFileSync(filePath, 'utf8');
-  for (const [from, to] of Object.entries(replacements)) {
-    content = content.replace(new RegExp(from, 'g'), to);
-  }
-  fs.writeFileSync(filePath, content, 'utf8');
-}
+    const projectName = await askProjectName(wizard, {
+      value: options._[0] || answers.name,
+      usage: ['Directory name (kebab-case)', 'iOS scheme and project name (PascalCase)', 'Android app name (PascalCase)'],
+    });
 
-function replaceInDirectory(dirPath, replacements, extensions = ['.json', '.js', '.ts', '.tsx', '.java', '.kt', '.m', '.h', '.swift', '.pbxproj', '.plist', '.xml', '.gradle', '.xcconfig', '.xcscheme', '.xcworkspacedata', '.storyboard', '.entitlements']) {
-  const items = fs.readdirSync(dirPath, { withFileTypes: true });
+    const pascalName = toPascalCase(projectName);
+    const kebabName = toKebabCase(projectName);
+    targetDir = path.resolve(process.cwd(), kebabName);
 
-  for (const item of items) {
-    const fullPath = path.join(dirPath, item.name);
+    printSuccess(`Project name: ${chalk.white(pascalName)}`);
+    printInfo(`Directory: ${chalk.white(kebabName)}/`);
 
-    if (item.isDirectory()) {
-      if (!['node_modules', '.git', '.yarn', 'Pods', 'build', '.beads', '.claude', '.cursor', '.github', 'conductor', 'docs', 'history', 'mayor', 'polecats', 'refinery'].includes(item.name)) {
-        replaceInDirectory(fullPath, replacements, extensions);
-      }
-    } else if (item.isFile()) {
-      const ext = path.extname(item.name);
-      if (extensions.includes(ext) || item.name === 'Podfile') {
-        replaceInFile(fullPath, replacements);
-      }
+    if (fs.existsSync(targetDir)) {
+      throw new Error(`Directory "${kebabName}" already exists! Please choose a different name or remove the existing directory.`);
     }
-  }
-}
 
-function renameFilesAndFolders(dirPath, oldName, newName) {
-  const items = fs.readdirSync(dirPath, { withFileTypes: true });
+    // Check the tools generation relies on before touching the file system
+    const checks = checkRequirements({ packageManager: pm.name, skipInstall, skipGit });
+    checks.filter(check => check.status !== 'pass').forEach(printCheckResult);
+    const failedChecks = checks.filter(check => check.status === 'fail');
+    if (failedChecks.length > 0) {
+      throw new Error(`Missing requirements: ${failedChecks.map(check => check.label).join(', ')}. Run "tmi doctor" for details.`);
+    }
 
-  for (const item of items) {
-    const fullPath = path.join(dirPath, item.name);
+    console.log('');
+    const template = await fetchProjectTemplate({
+      template: settings.template,
+      name: projectName,
+      cwd: settings.templateCwd,
+      onProgress: printProgress,
+    });
+    partial.add(template.dir);
+    const { manifest, featureDefinitions } = template;
 
-    if (item.isDirectory()) {
-      if (!['node_modules', '.git', '.yarn', 'Pods', 'build'].includes(item.name)) {
-        renameFilesAndFolders(fullPath, oldName, newName);
+    // ========================================================================
+    // STEP 2: Bundle Identifier
+    // ========================================================================
+    printStep(2, TOTAL_STEPS, 'Bundle Identifier');
 
-        if (item.name.includes(oldName)) {
-          const newDirName = item.name.replace(new RegExp(oldName, 'g'), newName);
-          const newDirPath = path.join(dirPath, newDirName);
-          fs.renameSync(fullPath, newDirPath);
-        }
-      }
-    } else if (item.name.includes(oldName)) {
-      const newFileName = item.name.replace(new RegExp(oldName, 'g'), newName);
-      const newFilePath = path.join(dirPath, newFileName);
-      fs.renameSync(fullPath, newFilePath);
-    }
-  }
-}
+    const bundleSuffix = kebabName.replace(/-/g, '').toLowerCase();
+    const defaultBundleId = defaults.bundleId || `${defaults.bundleIdPrefix || 'com'}.${bundleSuffix}`;
+    const bundleId = await askBundleId(wizard, {
+      value: options.bundleId || answers.bundleId
+        || (answers.bundleIdPrefix ? `${answers.bundleIdPrefix}.${bundleSuffix}` : undefined),
+      defaultValue: defaultBundleId,
+    });
 
-function printStep(step, total, message) {
-  console.log(chalk.cyan(`\n[${step}/${total}] ${message}`));
-}
+    // ========================================================================
+    // STEP 3: Display Name
+    // ========================================================================
+    printStep(3, TOTAL_STEPS, 'App Display Name');
 
-function printSuccess(message) {
-  console.log(chalk.green(`  ✓ ${message}`));
-}
+    const displayName = await askDisplayName(wizard, {
+      value: options.displayName || answers.displayName,
+      defaultValue: defaults.displayName || pascalName,
+    });
 
-function printInfo(message) {
-  console.log(chalk.gray(`  ℹ ${message}`));
-}
+    const templateValues = await askTemplateValues(wizard, {
+      prompts: manifest.prompts,
+      values: answers.values,
+      defaults: defaults.values,
+    });
 
-function printWarning(message) {
-  console.log(chalk.yellow(`  ⚠ ${message}`));
-}
+    // ========================================================================
+    // STEP 4: Environments
+    // ========================================================================
+    printStep(4, TOTAL_STEPS, 'Environments');
 
-function printError(message) {
-  console.log(chalk.red(`  ✗ ${message}`));
-}
+    const envDefaults = template.envDefaults;
+    const answerEnvironments = answers.environments || {};
+    const defaultEnvironments = defaults.environments || {};
+    const environmentValues = {};
 
-// ============================================================================
-// MAIN SCRIPT
-// ============================================================================
+    if (interactive) {
+      console.log(chalk.gray('\n  Each environment gets its own .env file and app name suffix.'));
+      console.log(chalk.gray('  Press Enter to keep the defaults.\n'));
+    }
 
-async function initReactNative(args) {
-  const rl = createReadlineInterface();
-  const TOTAL_STEPS = 8;
+    for (const environment of ENVIRONMENTS) {
+      const answered = answerEnvironments[environment.key] || {};
+      const defaulted = defaultEnvironments[environment.key] || {};
+      const flagKey = `apiUrl${environment.label}`;
+      let apiUrl = options[flagKey] !== undefined ? options[flagKey] : answered.apiUrl;
+      let nameSuffix = answered.nameSuffix;
+      const defaultApiUrl = defaulted.apiUrl !== undefined ? defaulted.apiUrl : envDefaults.apiUrl;
+      const defaultSuffix = defaulted.nameSuffix !== undefined ? defaulted.nameSuffix : environment.nameSuffix;
+
+      // Optional values: non-interactive runs fall back to the defaults
+      if (apiUrl === undefined) {
+        apiUrl = interactive
+          ? (await prompt(rl, chalk.yellow(`  ${environment.label} ${envDefaults.apiUrlKey} (default: ${defaultApiUrl || 'empty'}): `))) || defaultApiUrl
+          : defaultApiUrl;
+      }
+      if (nameSuffix === undefined) {
+        const suffixDefault = defaultSuffix ? `"${defaultSuffix.trim()}"` : 'none';
+        nameSuffix = interactive
+          ? await prompt(rl, chalk.yellow(`  ${environment.label} app name suffix (default: ${suffixDefault}): `))
+          : '';
+        nameSuffix = nameSuffix ? ` ${nameSuffix}` : defaultSuffix;
+      }
 
-  console.log(chalk.cyan('\n════════════════════════════════════════════════════════════'));
-  console.log(chalk.cyan.bold('   🚀 TMI React Native Boilerplate Generator'));
-  console.log(chalk.cyan('════════════════════════════════════════════════════════════\n'));
+      environmentValues[environment.key] = { apiUrl, nameSuffix };
+    }
 
-  console.log(chalk.white('This wizard will guide you through setting up a new React Native'));
-  console.log(chalk.white('project using the TMI boilerplate.\n'));
+    console.log('');
+    for (const environment of ENVIRONMENTS) {
+      const { apiUrl, nameSuffix } = environmentValues[environment.key];
+      printSuccess(`${environment.label}: ${chalk.white(`${displayName}${nameSuffix}`)} → ${chalk.white(apiUrl || '(no API URL)')}`);
+    }
 
-  try {
     // ========================================================================
-    // STEP 1: Project Name
+    // STEP 5: Deep Linking
     // ========================================================================
-    printStep(1, TOTAL_STEPS, 'Project Configuration');
-
-    let projectName = args[0];
-    if (!projectName) {
-      console.log(chalk.gray('\n  The project name will be used for:'));
-      console.log(chalk.gray('  • Directory name (kebab-case)'));
-      console.log(chalk.gray('  • iOS scheme and project name (PascalCase)'));
-      console.log(chalk.gray('  • Android app name (PascalCase)\n'));
-
-      while (true) {
-        projectName = await prompt(rl, chalk.yellow('  Enter project name (e.g., MyAwesomeApp): '));
-        const error = validateProjectName(projectName);
-        if (error) {
+    printStep(5, TOTAL_STEPS, 'Deep Linking');
+
+    const answerLinking = answers.deepLinking || {};
+    const defaultLinking = defaults.deepLinking || {};
+    const defaultDomains = parseLinkDomains(defaultLinking.domains);
+    let urlScheme = options.urlScheme !== undefined ? options.urlScheme : answerLinking.urlScheme;
+    let linkDomains = parseLinkDomains(options.linkDomains !== undefined ? options.linkDomains : answerLinking.domains);
+
+    // Optional step: non-interactive runs only configure what was passed (or
+    // the .tmirc defaults)
+    if (!interactive && urlScheme === undefined && linkDomains.length === 0) {
+      urlScheme = defaultLinking.urlScheme;
+      linkDomains = defaultDomains;
+    } else if (interactive && urlScheme === undefined && linkDomains.length === 0) {
+      console.log(chalk.gray('\n  A URL scheme opens the app from links like myapp://profile,'));
+      console.log(chalk.gray('  link domains enable universal links (iOS) and app links (Android).\n'));
+
+      if (await confirm(rl, '  Set up deep linking?', Boolean(defaultLinking.urlScheme || defaultDomains.length > 0))) {
+        const defaultScheme = defaultLinking.urlScheme || kebabName.replace(/-/g, '');
+        const domainsHint = defaultDomains.length > 0 ? `default: ${defaultDomains.join(', ')}` : 'optional';
+        while (true) {
+          urlScheme = (await prompt(rl, chalk.yellow(`  URL scheme (default: ${defaultScheme}): `))) || defaultScheme;
+          const error = validateUrlScheme(urlScheme);
+          if (!error) break;
+          printError(error);
+        }
+        while (true) {
+          const domains = await prompt(rl, chalk.yellow(`  Link domains, comma separated (${domainsHint}): `));
+          linkDomains = domains ? parseLinkDomains(domains) : defaultDomains;
+          const error = linkDomains.map(validateLinkDomain).find(Boolean);
+          if (!error) break;
           printError(error);
-        } else {
-          break;
         }
       }
-    } else {
-      const error = validateProjectName(projectName);
+    }
+
+    urlScheme = urlScheme || null;
+    if (urlScheme) {
+      const error = validateUrlScheme(urlScheme);
+      if (error) {
+        throw new Error(error);
+      }
+    }
+    for (const domain of linkDomains) {
+      const error = validateLinkDomain(domain);
       if (error) {
         throw new Error(error);
       }
     }
 
-    const pascalName = toPascalCase(projectName);
-    const kebabName = toKebabCase(projectName);
-    const targetDir = path.resolve(process.cwd(), kebabName);
-
-    printSuccess(`Project name: ${chalk.white(pascalName)}`);
-    printInfo(`Directory: ${chalk.white(kebabName)}/`);
-
-    if (fs.existsSync(targetDir)) {
-      throw new Error(`Directory "${kebabName}" already exists! Please choose a different name or remove the existing directory.`);
+    if (urlScheme || linkDomains.length > 0) {
+      if (urlScheme) printSuccess(`URL scheme: ${chalk.white(`${urlScheme}://`)}`);
+      if (linkDomains.length > 0) printSuccess(`Link domains: ${chalk.white(linkDomains.join(', '))}`);
+    } else {
+      printInfo('Deep linking: Skipped');
     }
 
     // ========================================================================
-    // STEP 2: Bundle Identifier
+    // STEP 6: Signing
     // ========================================================================
-    printStep(2, TOTAL_STEPS, 'Bundle Identifier');
-
-    console.log(chalk.gray('\n  The bundle identifier uniquely identifies your app on:'));
-    console.log(chalk.gray('  • App Store (iOS)'));
-    console.log(chalk.gray('  • Google Play Store (Android)\n'));
+    printStep(6, TOTAL_STEPS, 'Signing');
+
+    const answerSigning = answers.signing || {};
+    const defaultSigning = defaults.signing || {};
+    let androidKeystore = options.androidKeystore !== undefined ? options.androidKeystore : answerSigning.androidKeystore;
+    let iosTeam = options.iosTeam !== undefined ? options.iosTeam : answerSigning.iosTeam;
+    let provisioningStyle = options.iosSigning || answerSigning.iosSigning;
+
+    // Optional step: non-interactive runs only configure what was passed (or
+    // the .tmirc defaults)
+    if (!interactive) {
+      if (androidKeystore === undefined) androidKeystore = defaultSigning.androidKeystore;
+      if (iosTeam === undefined) iosTeam = defaultSigning.iosTeam;
+      provisioningStyle = provisioningStyle || defaultSigning.iosSigning;
+    }
+    if (interactive && androidKeystore === undefined) {
+      console.log(chalk.gray('\n  Release builds are signed with the debug keystore until you create one.'));
+      console.log(chalk.gray('  The keystore password is generated and stored in android/keystore.properties.\n'));
+      androidKeystore = await confirm(rl, '  Generate an Android release keystore?', defaultSigning.androidKeystore === true);
+    }
+    androidKeystore = Boolean(androidKeystore);
 
-    const defaultBundleId = `com.${kebabName.replace(/-/g, '').toLowerCase()}`;
-    let bundleId;
+    if (androidKeystore) {
+      const [keytool] = runChecks(['keytool']);
+      if (keytool.status !== 'pass') {
+        if (!interactive) {
+          throw new Error('keytool not found, install a JDK or drop --android-keystore');
+        }
+        printCheckResult(keytool);
+        printWarning('Skipping the Android release keystore');
+        androidKeystore = false;
+      }
+    }
 
-    while (true) {
-      bundleId = await prompt(rl, chalk.yellow(`  Enter bundle identifier (default: ${defaultBundleId}): `));
-      bundleId = bundleId || defaultBundleId;
-      const error = validateBundleId(bundleId);
-      if (error) {
+    if (interactive && iosTeam === undefined) {
+      const teamHint = defaultSigning.iosTeam ? `default: ${defaultSigning.iosTeam}` : 'optional';
+      while (true) {
+        iosTeam = (await prompt(rl, chalk.yellow(`  Apple Developer Team ID (${teamHint}): `))) || defaultSigning.iosTeam;
+        const error = iosTeam && validateTeamId(iosTeam);
+        if (!error) break;
         printError(error);
-      } else {
-        break;
+      }
+      if (iosTeam && !provisioningStyle) {
+        provisioningStyle = await select(
+          rl,
+          '  iOS provisioning style:',
+          PROVISIONING_STYLES.map(style => ({ label: style, value: style })),
+          normalizeProvisioningStyle(defaultSigning.iosSigning),
+        );
       }
     }
 
-    printSuccess(`Bundle ID: ${chalk.white(bundleId)}`);
-
-    // ========================================================================
-    // STEP 3: Display Name
-    // ========================================================================
-    printStep(3, TOTAL_STEPS, 'App Display Name');
-
-    console.log(chalk.gray('\n  The display name appears on the home screen under the app icon.\n'));
-
-    const defaultDisplayName = pascalName;
-    let displayName = await prompt(rl, chalk.yellow(`  Enter display name (default: ${defaultDisplayName}): `));
-    displayName = displayName || defaultDisplayName;
+    iosTeam = iosTeam || null;
+    if (iosTeam) {
+      const error = validateTeamId(iosTeam);
+      if (error) {
+        throw new Error(error);
+      }
+    }
+    if (provisioningStyle && !normalizeProvisioningStyle(provisioningStyle)) {
+      throw new Error(`Invalid iOS provisioning style "${provisioningStyle}". Use one of: ${PROVISIONING_STYLES.join(', ').toLowerCase()}`);
+    }
+    provisioningStyle = normalizeProvisioningStyle(provisioningStyle) || PROVISIONING_STYLES[0];
 
-    printSuccess(`Display name: ${chalk.white(displayName)}`);
+    console.log('');
+    if (androidKeystore) printSuccess('Android: release keystore');
+    else printInfo('Android: debug keystore');
+    if (iosTeam) printSuccess(`iOS: team ${chalk.white(iosTeam)} (${provisioningStyle} signing)`);
+    else printInfo('iOS: team not set');
 
     // ========================================================================
-    // STEP 4: Features Selection
+    // STEP 7: Features Selection
     // ========================================================================
-    printStep(4, TOTAL_STEPS, 'Feature Selection');
-
-    console.log(chalk.gray('\n  Select which features to include in your project:\n'));
-
-    const features = {
-      firebase: await confirm(rl, '  Include Firebase (Auth, Firestore, Analytics)?'),
-      revenueCat: await confirm(rl, '  Include RevenueCat (In-App Purchases)?'),
-      biometric: await confirm(rl, '  Include Biometric Authentication?'),
-      pushNotifications: await confirm(rl, '  Include Push Notifications?'),
-    };
+    printStep(7, TOTAL_STEPS, 'Feature Selection');
 
-    console.log('');
-    if (features.firebase) printSuccess('Firebase: Enabled');
-    else printInfo('Firebase: Disabled');
-    if (features.revenueCat) printSuccess('RevenueCat: Enabled');
-    else printInfo('RevenueCat: Disabled');
-    if (features.biometric) printSuccess('Biometric Auth: Enabled');
-    else printInfo('Biometric Auth: Disabled');
-    if (features.pushNotifications) printSuccess('Push Notifications: Enabled');
-    else printInfo('Push Notifications: Disabled');
+    const chosenFeatures = {};
+    for (const feature of featureDefinitions) {
+      chosenFeatures[feature.key] = options[feature.key] !== undefined ? options[feature.key] : answerFeatures[feature.key];
+    }
+    const features = await askFeatures(wizard, {
+      definitions: featureDefinitions,
+      values: chosenFeatures,
+      defaults: defaults.features,
+    });
 
     // ========================================================================
-    // STEP 5: Confirmation
+    // STEP 8: Confirmation
     // ========================================================================
-    printStep(5, TOTAL_STEPS, 'Confirmation');
+    printStep(8, TOTAL_STEPS, 'Confirmation');
 
     console.log(chalk.white('\n  Summary:'));
     console.log(chalk.gray('  ─────────────────────────────────'));
+    if (options.preset) {
+      console.log(chalk.gray(`  Preset:          ${chalk.white(options.preset)}`));
+    }
     console.log(chalk.gray(`  Project name:    ${chalk.white(pascalName)}`));
     console.log(chalk.gray(`  Directory:       ${chalk.white(kebabName)}/`));
     console.log(chalk.gray(`  Bundle ID:       ${chalk.white(bundleId)}`));
     console.log(chalk.gray(`  Display name:    ${chalk.white(displayName)}`));
+    console.log(chalk.gray(`  Template:        ${chalk.white(template.source.label)}`));
+    console.log(chalk.gray(`  Package manager: ${chalk.white(pm.name)}${skipInstall ? chalk.gray(' (install skipped)') : ''}`));
+    if (androidKeystore || iosTeam) {
+      const signing = [androidKeystore && 'Android release keystore', iosTeam && `iOS team ${iosTeam}`];
+      console.log(chalk.gray(`  Signing:         ${chalk.white(signing.filter(Boolean).join(', '))}`));
+    }
+    if (urlScheme || linkDomains.length > 0) {
+      console.log(chalk.gray(`  Deep linking:    ${chalk.white([urlScheme && `${urlScheme}://`, ...linkDomains].filter(Boolean).join(', '))}`));
+    }
     console.log(chalk.gray('  ─────────────────────────────────\n'));
 
-    const proceed = await confirm(rl, '  Proceed with project creation?');
+    if (!interactive && !options.yes) {
+      throw missingValueError('confirmation', 'Pass --yes to proceed with project creation.');
+    }
+
+    const proceed = interactive ? await confirm(rl, '  Proceed with project creation?') : true;
     if (!proceed) {
       console.log(chalk.yellow('\n  Project creation cancelled.\n'));
+      template.dispose();
+      partial.release();
       rl.close();
       process.exit(0);
     }
 
     // ========================================================================
-    // STEP 6: Clone & Configure
+    // STEPS 9-10: Create Project & Install Dependencies
     // ========================================================================
-    printStep(6, TOTAL_STEPS, 'Creating Project');
-
-    console.log(chalk.gray('\n  Cloning boilerplate template...'));
-    execSync(`git clone --depth 1 ${TEMPLATE_REPO} "${targetDir}"`, { stdio: 'pipe' });
-    printSuccess('Template cloned successfully');
-
-    console.log(chalk.gray('  Cleaning up template files...'));
-    fs.rmSync(path.join(targetDir, '.git'), { recursive: true, force: true });
-    fs.rmSync(path.join(targetDir, 'cli'), { recursive: true, force: true });
-    fs.rmSync(path.join(targetDir, '.beads'), { recursive: true, force: true });
-    fs.rmSync(path.join(targetDir, '.claude'), { recursive: true, force: true });
-    fs.rmSync(path.join(targetDir, '.cursor'), { recursive: true, force: true });
-    fs.rmSync(path.join(targetDir, '.github'), { recursive: true, force: true });
-    fs.rmSync(path.join(targetDir, 'conductor'), { recursive: true, force: true });
-    fs.rmSync(path.join(targetDir, 'docs'), { recursive: true, force: true });
-    fs.rmSync(path.join(targetDir, 'history'), { recursive: true, force: true });
-    fs.rmSync(path.join(targetDir, 'mayor'), { recursive: true, force: true });
-    fs.rmSync(path.join(targetDir, 'polecats'), { recursive: true, force: true });
-    fs.rmSync(path.join(targetDir, 'refinery'), { recursive: true, force: true });
-    printSuccess('Template files cleaned');
-
-    console.log(chalk.gray('  Updating project configuration...'));
-
-    const oldName = 'TMI';
-    const oldBundleId = 'com.tmi.app';
-    const oldBundleIdDev = 'com.tmisoft.app.dev';
-    const oldBundleIdStaging = 'com.tmisoft.app.staging';
-    const oldBundleIdProd = 'com.tmisoft.app';
-
-    const replacements = {
-      // Project name replacements (order matters - more specific first)
-      'TMI\\.app': `${pascalName}.app`,
-      'TMI\\.xcodeproj': `${pascalName}.xcodeproj`,
-      'TMI\\.xcworkspace': `${pascalName}.xcworkspace`,
-      [oldName]: pascalName,
-      'tmi-rn-base': kebabName,
-      'tmi_rn_base': kebabName.replace(/-/g, '_'),
-      // Bundle ID replacements
-      [oldBundleIdDev]: `${bundleId}.dev`,
-      [oldBundleIdStaging]: `${bundleId}.staging`,
-      [oldBundleIdProd]: bundleId,
-      [oldBundleId]: bundleId,
-      'com\\.tmisoft\\.base': bundleId,
-      // Display name
-      '"displayName": "TMI"': `"displayName": "${displayName}"`,
-    };
-
-    replaceInDirectory(targetDir, replacements);
-    printSuccess('Configuration files updated');
-
-    // Fix xcworkspacedata to remove duplicate/old references
-    const xcworkspaceDataPath = path.join(targetDir, 'ios', `${pascalName}.xcworkspace`, 'contents.xcworkspacedata');
-    if (fs.existsSync(xcworkspaceDataPath)) {
-      const xcworkspaceContent = `<?xml version="1.0" encoding="UTF-8"?>
-<Workspace
-   version = "1.0">
-   <FileRef
-      location = "group:${pascalName}.xcodeproj">
-   </FileRef>
-   <FileRef
-      location = "group:Pods/Pods.xcodeproj">
-   </FileRef>
-</Workspace>
-`;
-      fs.writeFileSync(xcworkspaceDataPath, xcworkspaceContent, 'utf8');
-      printSuccess('xcworkspace fixed');
-    }
-
-    // Update package.json
-    const pkgPath = path.join(targetDir, 'package.json');
-    const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
-    pkg.name = kebabName;
-    pkg.version = '1.0.0';
-    pkg.private = true;
-    delete pkg.bin;
-    delete pkg.files;
-    delete pkg.repository;
-    delete pkg.keywords;
-    fs.writeFileSync(pkgPath, JSON.stringify(pkg, null, 2) + '\n', 'utf8');
-    printSuccess('package.json updated');
-
-    // Update app.json
-    const appJsonPath = path.join(targetDir, 'app.json');
-    const appJson = {
-      name: pascalName,
-      displayName: displayName,
-    };
-    fs.writeFileSync(appJsonPath, JSON.stringify(appJson, null, 2) + '\n', 'utf8');
-    printSuccess('app.json updated');
-
-    // Rename iOS files and folders
-    console.log(chalk.gray('  Renaming iOS project files...'));
-    const iosDir = path.join(targetDir, 'ios');
-    if (fs.existsSync(iosDir)) {
-      renameFilesAndFolders(iosDir, oldName, pascalName);
-
-      const oldFolders = [
-        path.join(iosDir, oldName),
-        path.join(iosDir, `${oldName}.xcodeproj`),
-        path.join(iosDir, `${oldName}.xcworkspace`),
-      ];
-      for (const oldFolder of oldFolders) {
-        if (fs.existsSync(oldFolder)) {
-          fs.rmSync(oldFolder, { recursive: true, force: true });
-        }
-      }
-    }
-    printSuccess('iOS project renamed');
-
-    // Rename Android package
-    console.log(chalk.gray('  Renaming Android project files...'));
-    const androidMainDir = path.join(targetDir, 'android', 'app', 'src', 'main', 'java', 'com');
-    if (fs.existsSync(androidMainDir)) {
-      const oldPackageDir = path.join(androidMainDir, 'tmi');
-      const bundleParts = bundleId.split('.');
-      const newPackageName = bundleParts.length > 1 ? bundleParts[1] : kebabName.replace(/-/g, '');
-      const newPackageDir = path.join(androidMainDir, newPackageName);
-
-      if (fs.existsSync(oldPackageDir) && oldPackageDir !== newPackageDir) {
-        fs.cpSync(oldPackageDir, newPackageDir, { recursive: true });
-        fs.rmSync(oldPackageDir, { recursive: true, force: true });
-      }
-    }
-    printSuccess('Android project renamed');
-
-    // Create .env file
-    console.log(chalk.gray('  Creating environment file...'));
-    const envExamplePath = path.join(targetDir, '.env.example');
-    const envPath = path.join(targetDir, '.env');
-    if (fs.existsSync(envExamplePath)) {
-      fs.copyFileSync(envExamplePath, envPath);
-    }
-    printSuccess('.env file created from .env.example');
-
-    // Generate features.config.ts based on user selections
-    console.log(chalk.gray('  Generating features configuration...'));
-    const featuresConfigPath = path.join(targetDir, 'src', 'shared', 'config', 'features.config.ts');
-    const featuresConfigContent = `/**
- * Feature Configuration
- *
- * This file controls which features are enabled in the app.
- * Modify these flags to enable/disable features without removing code.
- *
- * When a feature is disabled:
- * - Related UI components won't render
- * - Related services won't initialize
- * - Related navigation routes won't be registered
- *
- * Note: Disabling a feature here does NOT remove the code/dependencies.
- * To reduce bundle size, you need to remove the actual packages.
- */
-
-export const FeaturesConfig = {
-  // ============================================================================
-  // CORE FEATURES
-  // ============================================================================
-
-  /**
-   * Firebase services (Auth, Firestore, Analytics, Crashlytics, Remote Config)
-   * When disabled: App uses local/mock authentication and storage
-   */
-  FIREBASE_ENABLED: ${features.firebase},
-
-  /**
-   * RevenueCat / In-App Purchases
-   * When disabled: Billing screens hidden, all premium features unlocked (dev mode)
-   */
-  BILLING_ENABLED: ${features.revenueCat ? '!__DEV__' : 'false'},
-
-  /**
-   * Biometric Authentication (Face ID, Touch ID, Fingerprint)
-   * When disabled: Biometric options hidden in settings
-   */
-  BIOMETRIC_ENABLED: ${features.biometric},
-
-  /**
-   * Push Notifications (Firebase Cloud Messaging + Notifee)
-   * When disabled: Notification permissions not requested, push handlers not registered
-   */
-  PUSH_NOTIFICATIONS_ENABLED: ${features.pushNotifications},
-
-  // ============================================================================
-  // OPTIONAL FEATURES
-  // ============================================================================
-
-  /**
-   * Analytics tracking (Firebase Analytics)
-   * When disabled: No events sent to analytics
-   */
-  ANALYTICS_ENABLED: ${features.firebase ? '!__DEV__' : 'false'},
-
-  /**
-   * Crashlytics error reporting
-   * When disabled: Crashes not reported to Firebase Crashlytics
-   */
-  CRASHLYTICS_ENABLED: ${features.firebase ? '!__DEV__' : 'false'},
-
-  /**
-   * Remote Config (Firebase Remote Config)
-   * When disabled: Uses local default values only
-   */
-  REMOTE_CONFIG_ENABLED: ${features.firebase},
-
-  /**
-   * Onboarding flow
-   * When disabled: Skips onboarding, goes directly to main app
-   */
-  ONBOARDING_ENABLED: true,
-
-  /**
-   * Demo screens (component showcase)
-   * When disabled: Demo tab/screens hidden
-   */
-  DEMO_SCREENS_ENABLED: __DEV__,
-
-  // ============================================================================
-  // DEV FEATURES
-  // ============================================================================
-
-  /**
-   * Dev bypass for authentication (skip login in development)
-   */
-  DEV_BYPASS_AUTH: __DEV__ && false,
-
-  /**
-   * Show dev menu in settings
-   */
-  DEV_MENU_ENABLED: __DEV__,
-} as const;
-
-// Type for feature keys
-export type FeatureKey = keyof typeof FeaturesConfig;
-
-// Helper to check if a feature is enabled
-export function isFeatureEnabled(feature: FeatureKey): boolean {
-  return FeaturesConfig[feature];
-}
-`;
-    fs.writeFileSync(featuresConfigPath, featuresConfigContent, 'utf8');
-    printSuccess('features.config.ts generated');
-
-    // ========================================================================
-    // STEP 7: Install Dependencies
-    // ========================================================================
-    printStep(7, TOTAL_STEPS, 'Installing Dependencies');
-
-    console.log(chalk.gray('\n  This may take a few minutes...\n'));
-    execSync('yarn install', { cwd: targetDir, stdio: 'inherit' });
-    printSuccess('Dependencies installed');
-
-    // Initialize git
-    console.log(chalk.gray('\n  Initializing git repository...'));
-    execSync('git init', { cwd: targetDir, stdio: 'ignore' });
-    execSync('git add .', { cwd: targetDir, stdio: 'ignore' });
-    execSync('git commit -m "Initial commit from TMI boilerplate"', { cwd: targetDir, stdio: 'ignore' });
-    printSuccess('Git repository initialized');
+    generating = true;
+    partial.add(targetDir);
+    const result = await createReactNativeProject({
+      name: projectName,
+      template,
+      bundleId,
+      displayName,
+      values: templateValues,
+      environments: environmentValues,
+      deepLinking: { urlScheme, domains: linkDomains },
+      signing: { androidKeystore, iosTeam, iosSigning: provisioningStyle },
+      features,
+      packageManager: pm.name,
+      skipInstall,
+      skipGit,
+      initialBranch,
+      gitRemote,
+      strict: options.strict,
+      keepOnFailure: options.keepOnFailure,
+      skipChecks: true,
+      stdio: json ? 'pipe' : 'inherit',
+      onProgress: event => printProgress(event, { stepOffset: 8, totalSteps: TOTAL_STEPS }),
+    });
 
     // ========================================================================
-    // STEP 8: Final Instructions
+    // STEP 11: Final Instructions
     // ========================================================================
-    printStep(8, TOTAL_STEPS, 'Setup Complete!');
+    printStep(11, TOTAL_STEPS, 'Setup Complete!');
 
     console.log(chalk.green('\n════════════════════════════════════════════════════════════'));
     console.log(chalk.green.bold('   ✅ Project created successfully!'));
@@ -553,14 +450,22 @@ export function isFeatureEnabled(feature: FeatureKey): boolean {
 
     console.log(chalk.white.bold('📁 Next Steps:\n'));
 
-    console.log(chalk.cyan('1. Navigate to your project:'));
+    let nextStep = 1;
+    const printNextStep = title => console.log(chalk.cyan(`${nextStep++}. ${title}`));
+
+    printNextStep('Navigate to your project:');
     console.log(chalk.gray(`   cd ${kebabName}\n`));
 
-    console.log(chalk.cyan('2. Install iOS dependencies (CocoaPods):'));
+    if (skipInstall) {
+      printNextStep('Install dependencies:');
+      console.log(chalk.gray(`   ${pm.install}\n`));
+    }
+
+    printNextStep('Install iOS dependencies (CocoaPods):');
     console.log(chalk.gray('   cd ios && pod install && cd ..\n'));
 
     if (features.firebase) {
-      console.log(chalk.cyan('3. Configure Firebase:'));
+      printNextStep('Configure Firebase:');
       console.log(chalk.gray('   • Create a Firebase project at https://console.firebase.google.com'));
       console.log(chalk.gray('   • Download GoogleService-Info.plist (iOS) → ios/' + pascalName + '/'));
       console.log(chalk.gray('   • Download google-services.json (Android) → android/app/'));
@@ -568,30 +473,69 @@ export function isFeatureEnabled(feature: FeatureKey): boolean {
     }
 
     if (features.revenueCat) {
-      console.log(chalk.cyan(`${features.firebase ? '4' : '3'}. Configure RevenueCat:`));
+      printNextStep('Configure RevenueCat:');
       console.log(chalk.gray('   • Create a project at https://app.revenuecat.com'));
       console.log(chalk.gray('   • Add your API keys to .env file\n'));
     }
 
-    console.log(chalk.cyan(`${features.firebase && features.revenueCat ? '5' : features.firebase || features.revenueCat ? '4' : '3'}. Update environment variables:`));
-    console.log(chalk.gray('   • Edit .env file with your API keys and configuration\n'));
+    if (linkDomains.length > 0) {
+      printNextStep('Verify your link domains:');
+      console.log(chalk.gray('   • Host /.well-known/apple-app-site-association (iOS) and'));
+      console.log(chalk.gray(`     /.well-known/assetlinks.json (Android) on ${linkDomains.join(', ')}\n`));
+    }
+
+    if (androidKeystore) {
+      printNextStep('Back up your release keystore:');
+      console.log(chalk.gray('   • android/app/release.keystore and android/keystore.properties are git-ignored'));
+      console.log(chalk.gray('   • Store both in a password manager, Play only accepts updates signed with them\n'));
+    }
+
+    printNextStep('Update environment variables:');
+    console.log(chalk.gray(`   • Edit ${ENVIRONMENTS.map(envFileName).join(', ')} with your API keys and configuration\n`));
 
     console.log(chalk.cyan('🚀 Run your app:\n'));
-    console.log(chalk.gray('   yarn ios       # Run on iOS Simulator'));
-    console.log(chalk.gray('   yarn android   # Run on Android Emulator\n'));
+    console.log(chalk.gray(`   ${pm.run('ios').padEnd(14)} # Run on iOS Simulator`));
+    console.log(chalk.gray(`   ${pm.run('android').padEnd(14)} # Run on Android Emulator\n`));
 
     console.log(chalk.white('📚 Documentation:'));
     console.log(chalk.gray('   See README.md for detailed documentation\n'));
 
     console.log(chalk.cyan('════════════════════════════════════════════════════════════\n'));
 
-    rl.close();
+    const { files, ...summary } = result;
+    runLog.finish(summary);
+    partial.release();
+    if (rl) rl.close();
 
   } catch (error) {
-    console.error(chalk.red('\n❌ Error:'), error.message);
-    rl.close();
+    if (partial && !generating) partial.rollback();
+    // The log goes next to a kept partial project, else into the temp dir
+    const logPath = runLog.fail(error, { dir: generating ? targetDir : null });
+    if (!json) {
+      console.error(chalk.red('\n❌ Error:'), error.message);
+      if (logPath) console.error(chalk.gray(`   Log written to ${logPath}`));
+    }
+    if (rl) rl.close();
     process.exit(1);
   }
 }
 
-module.exports = initReactNative;
+module.exports = {
+  name: 'init-rn',
+  usage: 'init-rn [name]',
+  description: 'Create a new React Native project',
+  options: OPTIONS,
+  notes: [
+    'Defaults and presets are read from ~/.tmirc and every .tmirc up the directory tree.',
+    'When a run fails, a log of its output and commands is written to the project directory (if kept) or the temp dir.',
+  ],
+  examples: [
+    'tmi init-rn MyApp',
+    'tmi init-rn MyApp --bundle-id com.acme.myapp --no-revenuecat --yes',
+    'tmi init-rn --config answers.json --yes',
+    'tmi init-rn MyApp --preset internal-tool',
+    'tmi init-rn MyApp --template github:DEV-TMI/tmi-rn-base#v1.2.0',
+    'tmi init-rn MyApp --yes --json > events.ndjson',
+  ],
+  handler: initReactNative,
+};
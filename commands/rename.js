@@ -0,0 +1,288 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const {
+  createReadlineInterface,
+  confirm,
+  printSuccess,
+  printInfo,
+  printWarning,
+} = require('../lib/ui');
+const { parseArgs } = require('../lib/args');
+const { updateFile } = require('../lib/files');
+const { migrateAndroidPackage } = require('../lib/android');
+const { DEFAULT_MANIFEST } = require('../lib/manifest');
+const { findLeftoverTokens, formatLeftover } = require('../lib/verify');
+const { toPascalCase, toKebabCase, validateProjectName, validateBundleId, escapeRegExp, wholeNamePattern } = require('../lib/naming');
+const { replaceInDirectory, renameFilesAndFolders, writeXcworkspaceData } = require('../lib/transform');
+
+const OPTIONS = {
+  name: { type: 'string', value: '<name>', description: 'New project name' },
+  'bundle-id': { type: 'string', key: 'bundleId', value: '<id>', description: 'New bundle identifier' },
+  'display-name': { type: 'string', key: 'displayName', value: '<name>', description: 'New app display name' },
+  force: { type: 'boolean', alias: 'f', description: 'Run even with uncommitted changes' },
+  yes: { type: 'boolean', alias: 'y', description: 'Skip the confirmation' },
+};
+
+// ============================================================================
+// CURRENT VALUES
+// ============================================================================
+
+function readJson(filePath) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+}
+
+function readGradleValue(content, key) {
+  const match = new RegExp(`\\b${key}\\s*=?\\s*["']([^"']+)["']`).exec(content);
+  return match ? match[1] : null;
+}
+
+function readIosBundleId(iosDir) {
+  if (!fs.existsSync(iosDir)) return null;
+  const project = fs.readdirSync(iosDir).find(name => name.endsWith('.xcodeproj'));
+  const pbxprojPath = project && path.join(iosDir, project, 'project.pbxproj');
+  if (!pbxprojPath || !fs.existsSync(pbxprojPath)) return null;
+
+  // The shortest identifier is the base one, flavors add .dev/.staging
+  const ids = [...fs.readFileSync(pbxprojPath, 'utf8').matchAll(/PRODUCT_BUNDLE_IDENTIFIER = "?([^";]+)"?;/g)]
+    .map(match => match[1])
+    .filter(id => !id.includes('$'))
+    .sort((a, b) => a.length - b.length);
+  return ids[0] || null;
+}
+
+/**
+ * Reads the project's current name, display name, bundle ID and Android
+ * package from app.json, package.json and the native projects.
+ */
+function readCurrentValues(projectDir) {
+  const appJson = readJson(path.join(projectDir, 'app.json'));
+  const pkg = readJson(path.join(projectDir, 'package.json'));
+  const gradlePath = path.join(projectDir, 'android', 'app', 'build.gradle');
+  const gradle = fs.existsSync(gradlePath) ? fs.readFileSync(gradlePath, 'utf8') : '';
+
+  const namespace = readGradleValue(gradle, 'namespace');
+  const bundleId = readGradleValue(gradle, 'applicationId') || namespace || readIosBundleId(path.join(projectDir, 'ios'));
+  return {
+    name: appJson.name || null,
+    kebabName: pkg.name || null,
+    displayName: appJson.displayName || appJson.name || null,
+    bundleId,
+    androidPackage: namespace || bundleId,
+  };
+}
+
+// ============================================================================
+// GIT GUARD
+// ============================================================================
+
+function getUncommittedChanges(projectDir) {
+  const result = spawnSync('git', ['status', '--porcelain'], { cwd: projectDir, encoding: 'utf8' });
+  if (result.error || result.status !== 0) return null;
+  return result.stdout.split('\n').filter(Boolean);
+}
+
+// ============================================================================
+// DISPLAY NAME
+// ============================================================================
+
+function renameDisplayName(projectDir, oldDisplayName, newDisplayName) {
+  const updated = [];
+  const track = filePath => updated.push(path.relative(projectDir, filePath));
+  const oldName = escapeRegExp(oldDisplayName);
+
+  const appJsonPath = path.join(projectDir, 'app.json');
+  const appJson = readJson(appJsonPath);
+  if (appJson.displayName !== newDisplayName) {
+    appJson.displayName = newDisplayName;
+    fs.writeFileSync(appJsonPath, JSON.stringify(appJson, null, 2) + '\n', 'utf8');
+    track(appJsonPath);
+  }
+
+  // Android app_name, flavors keep their suffix ("Old Dev" -> "New Dev")
+  const stringsPath = path.join(projectDir, 'android', 'app', 'src', 'main', 'res', 'values', 'strings.xml');
+  if (updateFile(stringsPath, content => content.replace(
+    new RegExp(`(<string name="app_name">)${oldName}`), `$1${newDisplayName}`))) {
+    track(stringsPath);
+  }
+  const gradlePath = path.join(projectDir, 'android', 'app', 'build.gradle');
+  if (updateFile(gradlePath, content => content.replace(
+    new RegExp(`(["']app_name["']\\s*,\\s*["'])${oldName}`, 'g'), `$1${newDisplayName}`))) {
+    track(gradlePath);
+  }
+
+  const iosDir = path.join(projectDir, 'ios');
+  if (fs.existsSync(iosDir)) {
+    for (const entry of fs.readdirSync(iosDir)) {
+      const plistPath = path.join(iosDir, entry, 'Info.plist');
+      if (updateFile(plistPath, content => content.replace(
+        new RegExp(`(<key>CFBundleDisplayName</key>\\s*<string>)${oldName}`), `$1${newDisplayName}`))) {
+        track(plistPath);
+      }
+    }
+  }
+
+  for (const envFile of fs.readdirSync(projectDir).filter(name => name.startsWith('.env'))) {
+    const envPath = path.join(projectDir, envFile);
+    if (updateFile(envPath, content => content.replace(
+      new RegExp(`^(APP_DISPLAY_NAME=)${oldName}`, 'm'), `$1${newDisplayName}`))) {
+      track(envPath);
+    }
+  }
+
+  return updated;
+}
+
+// ============================================================================
+// MAIN SCRIPT
+// ============================================================================
+
+async function rename(args) {
+  const options = parseArgs(args, OPTIONS);
+  const projectDir = process.cwd();
+
+  console.log(chalk.cyan('\n✏️  TMI Rename - Rebrand an existing project\n'));
+
+  if (!options.name && !options.bundleId && !options.displayName) {
+    throw new Error('Nothing to rename. Pass --name, --bundle-id and/or --display-name.');
+  }
+  if (!fs.existsSync(path.join(projectDir, 'app.json')) || !fs.existsSync(path.join(projectDir, 'package.json'))) {
+    throw new Error('app.json and package.json not found. Run "tmi rename" from the root of a React Native project.');
+  }
+
+  if (options.name) {
+    const error = validateProjectName(options.name);
+    if (error) throw new Error(error);
+  }
+  if (options.bundleId) {
+    const error = validateBundleId(options.bundleId);
+    if (error) throw new Error(error);
+  }
+
+  const current = readCurrentValues(projectDir);
+  if (options.name && !current.name) {
+    throw new Error('Could not read the current project name from app.json');
+  }
+  if (options.bundleId && !current.bundleId) {
+    throw new Error('Could not read the current bundle identifier from android/app/build.gradle or the Xcode project');
+  }
+
+  const changes = getUncommittedChanges(projectDir);
+  if (!options.force) {
+    if (changes === null) {
+      throw new Error('Not a git repository, the rename could not be reviewed or reverted. Use --force to continue anyway.');
+    }
+    if (changes.length > 0) {
+      throw new Error(`You have ${changes.length} uncommitted change(s). Commit or stash them first, or use --force.`);
+    }
+  }
+
+  const pascalName = options.name ? toPascalCase(options.name) : current.name;
+  const kebabName = options.name ? toKebabCase(options.name) : current.kebabName;
+  const bundleId = options.bundleId || current.bundleId;
+  // A display name that mirrors the project name follows it
+  const displayName = options.displayName ||
+    (options.name && current.displayName === current.name ? pascalName : current.displayName);
+
+  console.log(chalk.white('  Changes:'));
+  console.log(chalk.gray('  ─────────────────────────────────'));
+  if (options.name) console.log(chalk.gray(`  Project name:    ${current.name} → ${chalk.white(pascalName)}`));
+  if (options.bundleId) console.log(chalk.gray(`  Bundle ID:       ${current.bundleId} → ${chalk.white(bundleId)}`));
+  if (displayName !== current.displayName) console.log(chalk.gray(`  Display name:    ${current.displayName} → ${chalk.white(displayName)}`));
+  console.log(chalk.gray('  ─────────────────────────────────\n'));
+
+  if (!options.yes) {
+    if (!process.stdin.isTTY) {
+      throw new Error('Missing confirmation in non-interactive mode. Pass --yes to apply the rename.');
+    }
+    const rl = createReadlineInterface();
+    const proceed = await confirm(rl, '  Apply these changes?');
+    rl.close();
+    if (!proceed) {
+      console.log(chalk.yellow('\n  Rename cancelled.\n'));
+      return;
+    }
+  }
+
+  const replacements = {};
+  if (options.bundleId && bundleId !== current.bundleId) {
+    // Also covers the flavor suffixes (.dev, .staging)
+    replacements[`${escapeRegExp(current.bundleId)}(?!\\w)`] = bundleId;
+  }
+  if (options.name && pascalName !== current.name) {
+    // Whole names only, like the iOS file and folder names renamed below
+    replacements[wholeNamePattern(current.name)] = pascalName;
+    if (current.kebabName && current.kebabName !== kebabName) {
+      replacements[`(?<![\\w-])${escapeRegExp(current.kebabName)}(?![\\w-])`] = kebabName;
+      if (current.kebabName.includes('-')) {
+        replacements[`(?<!\\w)${escapeRegExp(current.kebabName.replace(/-/g, '_'))}(?!\\w)`] = kebabName.replace(/-/g, '_');
+      }
+    }
+  }
+
+  // Before the token replacement, which would otherwise rewrite a display
+  // name that contains the old project name
+  if (displayName !== current.displayName) {
+    const updated = renameDisplayName(projectDir, current.displayName, displayName);
+    printSuccess(`Display name updated in ${updated.length} file(s)`);
+  }
+
+  if (Object.keys(replacements).length > 0) {
+    console.log(chalk.gray('  Updating project files...'));
+    replaceInDirectory(projectDir, replacements, DEFAULT_MANIFEST);
+    printSuccess('Project files updated');
+  }
+
+  if (options.name && pascalName !== current.name) {
+    const iosDir = path.join(projectDir, 'ios');
+    if (fs.existsSync(iosDir)) {
+      renameFilesAndFolders(iosDir, current.name, pascalName, DEFAULT_MANIFEST.skipDirs);
+      writeXcworkspaceData(iosDir, pascalName);
+      printSuccess('iOS project renamed');
+    }
+
+    const pkgPath = path.join(projectDir, 'package.json');
+    const pkg = readJson(pkgPath);
+    pkg.name = kebabName;
+    fs.writeFileSync(pkgPath, JSON.stringify(pkg, null, 2) + '\n', 'utf8');
+
+    const appJsonPath = path.join(projectDir, 'app.json');
+    const appJson = readJson(appJsonPath);
+    appJson.name = pascalName;
+    fs.writeFileSync(appJsonPath, JSON.stringify(appJson, null, 2) + '\n', 'utf8');
+    printSuccess('package.json and app.json updated');
+  }
+
+  if (options.bundleId && current.androidPackage && current.androidPackage !== bundleId) {
+    const migrated = migrateAndroidPackage(path.join(projectDir, 'android'), current.androidPackage, bundleId);
+    printSuccess(`Android package moved to ${bundleId} (${migrated.movedFiles.length} files)`);
+  }
+
+  const leftovers = findLeftoverTokens(projectDir, replacements, DEFAULT_MANIFEST.skipDirs);
+  if (leftovers.length > 0) {
+    printWarning(`${leftovers.length} occurrence(s) of the old values remain, review them manually:`);
+    for (const leftover of leftovers.slice(0, 50)) {
+      console.log(chalk.gray(`      ${formatLeftover(leftover)}`));
+    }
+  }
+
+  console.log(chalk.green('\n  ✅ Rename complete!\n'));
+  printInfo('Review the changes with: git diff');
+  if (options.name) {
+    printInfo('Reinstall iOS pods: cd ios && pod install && cd ..');
+  }
+  printInfo('Clean native builds before running the app again\n');
+}
+
+module.exports = {
+  name: 'rename',
+  usage: 'rename',
+  description: 'Rename an existing React Native project',
+  options: OPTIONS,
+  examples: [
+    'tmi rename --name Acme --bundle-id com.acme.app',
+    'tmi rename --display-name "Acme Staging" --yes',
+  ],
+  handler: rename,
+};
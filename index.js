@@ -1,32 +1,84 @@
 #!/usr/bin/env node
 
+const path = require('path');
 const chalk = require('chalk');
+const { findClosest, hasHelpFlag } = require('./lib/args');
+const { printCommandHelp, formatCommandList } = require('./lib/help');
+const { loadPlugins } = require('./lib/plugins');
 
 const commands = {
   'init-rn': require('./commands/init-rn'),
-  // Future commands:
-  // 'init-next': require('./commands/init-next'),
-  // 'init-expo': require('./commands/init-expo'),
+  'init-expo': require('./commands/init-expo'),
+  'init-next': require('./commands/init-next'),
+  rename: require('./commands/rename'),
+  features: require('./commands/features'),
+  generate: require('./commands/generate'),
+  doctor: require('./commands/doctor'),
+  completion: require('./commands/completion'),
 };
 
+// Short names like "tmi g" for "tmi generate"
+const aliases = {};
+for (const [name, definition] of Object.entries(commands)) {
+  (definition.aliases || []).forEach(alias => {
+    aliases[alias] = name;
+  });
+}
+
 const args = process.argv.slice(2);
 const command = args[0];
 const commandArgs = args.slice(1);
 
-function showHelp() {
+// Plugins are only loaded for help and commands that aren't built in, so a
+// broken plugin can never affect the built-in commands.
+function getPlugins() {
+  return loadPlugins({ reserved: [...Object.keys(commands), ...Object.keys(aliases)] });
+}
+
+function printPluginErrors(errors) {
+  for (const { plugin, message } of errors) {
+    console.log(chalk.yellow(`⚠️  Plugin ${plugin}: ${message}`));
+  }
+}
+
+function showPluginCommands(plugins) {
+  const pluginCommands = Object.values(plugins.commands);
+  if (pluginCommands.length > 0) {
+    console.log(chalk.yellow('\nPlugin commands:\n'));
+    formatCommandList(pluginCommands, pluginCommand => `(${pluginCommand.plugin})`).forEach(line => console.log(line));
+  }
+  if (plugins.errors.length > 0) {
+    console.log('');
+    printPluginErrors(plugins.errors);
+  }
+}
+
+function showHelp(plugins = getPlugins()) {
   console.log(chalk.cyan('\n🚀 TMI CLI - Project Generator\n'));
   console.log(chalk.white('Usage: tmi <command> [options]\n'));
   console.log(chalk.yellow('Available commands:\n'));
-  console.log(chalk.white('  init-rn [name]    Create a new React Native project'));
-  // console.log(chalk.white('  init-next [name]  Create a new Next.js project'));
-  // console.log(chalk.white('  init-expo [name]  Create a new Expo project'));
+  formatCommandList(Object.values(commands)).forEach(line => console.log(line));
+  showPluginCommands(plugins);
+  console.log(chalk.yellow('\nOptions:\n'));
+  console.log(chalk.white('  -h, --help          Show help, "tmi <command> --help" shows the options of a command'));
+  console.log(chalk.white('  -v, --version       Show the version'));
+  console.log(chalk.gray('\n  Plugins are tmi-plugin-* and @scope/tmi-plugin-* packages in the local or global'));
+  console.log(chalk.gray('  node_modules, and the packages or paths listed under "plugins" in .tmirc.'));
   console.log(chalk.white('\nExamples:\n'));
   console.log(chalk.gray('  tmi init-rn MyApp'));
-  console.log(chalk.gray('  tmi init-rn\n'));
+  console.log(chalk.gray('  tmi init-rn MyApp --bundle-id com.acme.myapp --no-revenuecat --yes'));
+  console.log(chalk.gray('  tmi init-rn --help'));
+  console.log(chalk.gray('  tmi init-expo MyApp --no-revenuecat'));
+  console.log(chalk.gray('  tmi init-next --mobile ./my-app'));
+  console.log(chalk.gray('  tmi rename --name Acme --bundle-id com.acme.app'));
+  console.log(chalk.gray('  tmi features enable push'));
+  console.log(chalk.gray('  tmi g f profile'));
+  console.log(chalk.gray('  tmi doctor'));
+  console.log(chalk.gray('  eval "$(tmi completion bash)"\n'));
 }
 
 function showVersion() {
-  const pkg = require('../package.json');
+  const pkg = require(path.join(__dirname, 'package.json'));
   console.log(`tmi-cli v${pkg.version}`);
 }
 
@@ -41,18 +93,55 @@ async function main() {
     process.exit(0);
   }
 
-  const commandHandler = commands[command];
+  const definition = commands[command] || commands[aliases[command]];
 
-  if (!commandHandler) {
-    console.log(chalk.red(`\n❌ Unknown command: ${command}\n`));
-    showHelp();
-    process.exit(1);
+  if (!definition) {
+    await runPluginCommand();
+    return;
+  }
+
+  if (hasHelpFlag(commandArgs, definition.options)) {
+    printCommandHelp(definition);
+    return;
   }
 
   try {
-    await commandHandler(commandArgs);
+    const context = command === 'completion'
+      ? { commands: [...Object.values(commands), ...Object.values(getPlugins().commands)] }
+      : {};
+    await definition.handler(commandArgs, context);
   } catch (error) {
     console.error(chalk.red('\n❌ Error:'), error.message);
+    // Set by the commands that keep a run log
+    if (error.log) console.error(chalk.gray(`   Log written to ${error.log}`));
+    process.exit(1);
+  }
+}
+
+async function runPluginCommand() {
+  const plugins = getPlugins();
+  const pluginCommand = plugins.commands[command];
+
+  if (!pluginCommand) {
+    const suggestion = findClosest(command, [...Object.keys(commands), ...Object.keys(plugins.commands)]);
+    console.log(chalk.red(`\n❌ Unknown command: ${command}`));
+    if (suggestion) {
+      console.log(chalk.yellow(`   Did you mean "tmi ${suggestion}"?`));
+    }
+    showHelp(plugins);
+    process.exit(1);
+  }
+
+  if (pluginCommand.options && hasHelpFlag(commandArgs, pluginCommand.options)) {
+    printCommandHelp(pluginCommand);
+    return;
+  }
+
+  try {
+    await pluginCommand.handler(commandArgs);
+  } catch (error) {
+    const message = error && error.message ? error.message : String(error);
+    console.error(chalk.red(`\n❌ Error in plugin ${pluginCommand.plugin} (${command}):`), message);
     process.exit(1);
   }
 }
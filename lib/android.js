@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeRegExp } = require('./naming');
+const { updateFile } = require('./files');
+
+const SOURCE_ROOTS = ['java', 'kotlin'];
+const SOURCE_EXTENSIONS = ['.java', '.kt'];
+const GRADLE_FILES = ['build.gradle', 'build.gradle.kts'];
+
+function listFiles(dirPath) {
+  const files = [];
+  for (const item of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const fullPath = path.join(dirPath, item.name);
+    if (item.isDirectory()) {
+      files.push(...listFiles(fullPath));
+    } else if (item.isFile()) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+function removeEmptyParents(dirPath, stopDir) {
+  let current = dirPath;
+  while (current.startsWith(stopDir + path.sep) && fs.existsSync(current)) {
+    if (fs.readdirSync(current).length > 0) break;
+    fs.rmdirSync(current);
+    current = path.dirname(current);
+  }
+}
+
+/**
+ * Returns every source set directory of the app module (main, debug, release,
+ * flavors, ...).
+ */
+function getSourceSets(appDir) {
+  const srcDir = path.join(appDir, 'src');
+  if (!fs.existsSync(srcDir)) return [];
+  return fs.readdirSync(srcDir, { withFileTypes: true })
+    .filter(item => item.isDirectory())
+    .map(item => path.join(srcDir, item.name));
+}
+
+function moveSources(rootDir, oldPackage, newPackage) {
+  const oldDir = path.join(rootDir, ...oldPackage.split('.'));
+  const newDir = path.join(rootDir, ...newPackage.split('.'));
+  if (!fs.existsSync(oldDir) || oldDir === newDir) return [];
+
+  // List before moving, the new package may be nested inside the old one
+  const files = listFiles(oldDir);
+  const moved = [];
+  for (const file of files) {
+    const destination = path.join(newDir, path.relative(oldDir, file));
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.renameSync(file, destination);
+    moved.push(destination);
+  }
+
+  for (const file of files) {
+    removeEmptyParents(path.dirname(file), rootDir);
+  }
+  return moved;
+}
+
+function rewriteDeclarations(content, oldPackage, newPackage) {
+  const pattern = new RegExp(`^(\\s*(?:package|import)\\s+(?:static\\s+)?)${escapeRegExp(oldPackage)}(?=[.;\\s]|$)`, 'gm');
+  return content.replace(pattern, `$1${newPackage}`);
+}
+
+function rewriteManifest(content, oldPackage, newPackage) {
+  const oldPattern = escapeRegExp(oldPackage);
+  return content
+    .replace(new RegExp(`(\\spackage=")${oldPattern}(")`, 'g'), `$1${newPackage}$2`)
+    .replace(new RegExp(`(android:name=")${oldPattern}(\\.)`, 'g'), `$1${newPackage}$2`);
+}
+
+function rewriteGradle(content, oldPackage, newPackage) {
+  return content
+    .replace(/(\bnamespace\s*=?\s*)(["'])[^"']*\2/, `$1$2${newPackage}$2`)
+    .replace(new RegExp(`(\\bapplicationId\\s*=?\\s*)(["'])${escapeRegExp(oldPackage)}\\2`, 'g'), `$1$2${newPackage}$2`);
+}
+
+/**
+ * Moves the app module from `oldPackage` to `newPackage`: relocates Java and
+ * Kotlin sources in every source set to the full package path, rewrites
+ * package/import declarations and manifests, updates the gradle namespace and
+ * removes the emptied directories.
+ */
+function migrateAndroidPackage(androidDir, oldPackage, newPackage) {
+  const appDir = path.join(androidDir, 'app');
+  const result = { movedFiles: [], updatedFiles: [] };
+  if (!fs.existsSync(appDir)) return result;
+
+  for (const sourceSet of getSourceSets(appDir)) {
+    for (const root of SOURCE_ROOTS) {
+      const rootDir = path.join(sourceSet, root);
+      if (!fs.existsSync(rootDir)) continue;
+
+      result.movedFiles.push(...moveSources(rootDir, oldPackage, newPackage));
+
+      for (const file of listFiles(rootDir)) {
+        if (!SOURCE_EXTENSIONS.includes(path.extname(file))) continue;
+        if (updateFile(file, content => rewriteDeclarations(content, oldPackage, newPackage))) {
+          result.updatedFiles.push(file);
+        }
+      }
+    }
+
+    const manifestPath = path.join(sourceSet, 'AndroidManifest.xml');
+    if (updateFile(manifestPath, content => rewriteManifest(content, oldPackage, newPackage))) {
+      result.updatedFiles.push(manifestPath);
+    }
+  }
+
+  for (const gradleFile of GRADLE_FILES) {
+    const gradlePath = path.join(appDir, gradleFile);
+    if (updateFile(gradlePath, content => rewriteGradle(content, oldPackage, newPackage))) {
+      result.updatedFiles.push(gradlePath);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  migrateAndroidPackage,
+};
@@ -0,0 +1,131 @@
+const HELP_FLAGS = ['--help', '-h'];
+
+/**
+ * Levenshtein distance, used to suggest options and commands on typos.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Returns the candidate closest to `input`, or null when none is close enough
+ * to be a typo. Unambiguous prefixes ("--bundle" for "--bundle-id") match too.
+ */
+function findClosest(input, candidates) {
+  const prefixed = candidates.filter(candidate => input.length >= 3 && candidate.startsWith(input));
+  if (prefixed.length === 1) return prefixed[0];
+
+  const maxDistance = Math.max(1, Math.floor(input.length / 3));
+  let closest = null;
+  let closestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(input, candidate);
+    if (distance <= maxDistance && distance < closestDistance) {
+      closest = candidate;
+      closestDistance = distance;
+    }
+  }
+  return closest;
+}
+
+function suggestOption(name, options) {
+  const negated = name.startsWith('no-');
+  const candidates = Object.keys(options)
+    .filter(option => !negated || options[option].type === 'boolean')
+    .map(option => (negated ? `no-${option}` : option));
+  const match = findClosest(name, candidates);
+  return match ? `--${match}` : null;
+}
+
+/**
+ * True when `args` ask for help. Values of string options are skipped, so
+ * `--display-name -h` is not a help request.
+ */
+function hasHelpFlag(args, options = {}) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (HELP_FLAGS.includes(arg)) return true;
+    const def = arg.startsWith('--') && !arg.includes('=') ? options[arg.slice(2)] : null;
+    if (def && def.type === 'string') i++;
+  }
+  return false;
+}
+
+/**
+ * Parses command arguments against an option table:
+ *
+ *   { 'bundle-id': { type: 'string', key: 'bundleId' }, yes: { type: 'boolean', alias: 'y' } }
+ *
+ * Supports --name value, --name=value, -alias and --no-name for booleans.
+ * Positional arguments are collected in `_`. The other fields of an option
+ * (`description`, `value`, `choices`, `negatable`, `path`) are only used for
+ * help and shell completion.
+ */
+function parseArgs(args, options) {
+  const result = { _: [] };
+  const aliases = {};
+  for (const [name, def] of Object.entries(options)) {
+    if (def.alias) aliases[def.alias] = name;
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (!arg.startsWith('-') || arg === '-') {
+      result._.push(arg);
+      continue;
+    }
+
+    let [name, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    if (!arg.startsWith('--')) name = aliases[name] || name;
+
+    let negated = false;
+    if (!options[name] && name.startsWith('no-') && options[name.slice(3)]) {
+      name = name.slice(3);
+      negated = true;
+    }
+
+    const def = options[name];
+    if (!def) {
+      const suggestion = arg.startsWith('--') ? suggestOption(name, options) : null;
+      throw new Error(suggestion
+        ? `Unknown option: ${arg}. Did you mean ${suggestion}?`
+        : `Unknown option: ${arg}. Use --help to list the available options.`);
+    }
+    const key = def.key || name;
+
+    if (def.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw new Error(`Option --${name} does not take a value`);
+      }
+      result[key] = !negated;
+    } else {
+      if (negated) {
+        throw new Error(`Option --${name} cannot be negated`);
+      }
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined || (inlineValue === undefined && value.startsWith('--'))) {
+        throw new Error(`Option --${name} requires a value`);
+      }
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  HELP_FLAGS,
+  findClosest,
+  hasHelpFlag,
+  parseArgs,
+};
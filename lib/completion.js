@@ -0,0 +1,220 @@
+// Shell completion scripts generated from the command definitions. The
+// scripts are static: regenerate them after installing plugins or updating.
+
+const SHELLS = ['bash', 'zsh', 'fish'];
+
+const GLOBAL_FLAGS = ['--help', '--version'];
+
+function optionFlags(options) {
+  const flags = [];
+  for (const [name, def] of Object.entries(options || {})) {
+    flags.push(`--${name}`);
+    if (def.type === 'boolean' && def.negatable) flags.push(`--no-${name}`);
+    if (def.alias) flags.push(`-${def.alias}`);
+  }
+  return [...flags, '--help'];
+}
+
+// The command and its aliases, completed the same way
+function commandNames(definition) {
+  return [definition.name, ...(definition.aliases || [])];
+}
+
+function stringOptions(options) {
+  return Object.entries(options || {}).filter(([, def]) => def.type === 'string');
+}
+
+// ============================================================================
+// BASH
+// ============================================================================
+
+function bashCase(definition) {
+  const lines = [`    ${commandNames(definition).join('|')})`];
+  const valueCases = stringOptions(definition.options).map(([name, def]) => {
+    if (def.choices) return `        --${name}) COMPREPLY=( $(compgen -W "${def.choices.join(' ')}" -- "$cur") ); return ;;`;
+    if (def.path === 'dir') return `        --${name}) COMPREPLY=( $(compgen -d -- "$cur") ); return ;;`;
+    if (def.path === 'file') return `        --${name}) COMPREPLY=( $(compgen -f -- "$cur") ); return ;;`;
+    return `        --${name}) return ;;`;
+  });
+  if (valueCases.length > 0) {
+    lines.push('      case "$prev" in', ...valueCases, '      esac');
+  }
+
+  const words = optionFlags(definition.options);
+  if (definition.arguments) {
+    lines.push(
+      '      if [[ "$cur" != -* && $COMP_CWORD -eq 2 ]]; then',
+      `        COMPREPLY=( $(compgen -W "${definition.arguments.join(' ')}" -- "$cur") )`,
+      '        return',
+      '      fi'
+    );
+  }
+  lines.push(`      COMPREPLY=( $(compgen -W "${words.join(' ')}" -- "$cur") )`, '      ;;');
+  return lines.join('\n');
+}
+
+function bashScript(definitions) {
+  const commands = definitions.map(definition => definition.name);
+  return `# tmi bash completion
+# Add to ~/.bashrc: eval "$(tmi completion bash)"
+
+_tmi_completion() {
+  local cur="\${COMP_WORDS[COMP_CWORD]}"
+  local prev="\${COMP_WORDS[COMP_CWORD-1]}"
+
+  if [[ $COMP_CWORD -eq 1 ]]; then
+    COMPREPLY=( $(compgen -W "${[...commands, ...GLOBAL_FLAGS].join(' ')}" -- "$cur") )
+    return
+  fi
+
+  case "\${COMP_WORDS[1]}" in
+${definitions.map(bashCase).join('\n')}
+  esac
+}
+
+complete -F _tmi_completion tmi
+`;
+}
+
+// ============================================================================
+// ZSH
+// ============================================================================
+
+function zshEscape(text) {
+  return String(text).replace(/'/g, "'\\''").replace(/([[\]:])/g, '\\$1');
+}
+
+function zshOption(name, def) {
+  const description = `[${zshEscape(def.description || '')}]`;
+  let action = '';
+  if (def.type === 'string') {
+    const message = zshEscape((def.value || '<value>').replace(/[<>]/g, ''));
+    if (def.choices) action = `:${message}:(${def.choices.join(' ')})`;
+    else if (def.path === 'dir') action = `:${message}:_directories`;
+    else if (def.path === 'file') action = `:${message}:_files`;
+    else action = `:${message}: `;
+  }
+
+  const specs = [];
+  if (def.alias) {
+    specs.push(`'(-${def.alias} --${name})'{-${def.alias},--${name}}'${description}${action}'`);
+  } else {
+    specs.push(`'--${name}${description}${action}'`);
+  }
+  if (def.type === 'boolean' && def.negatable) {
+    specs.push(`'--no-${name}[${zshEscape(`Don't ${(def.description || name).replace(/^\w/, char => char.toLowerCase())}`)}]'`);
+  }
+  return specs;
+}
+
+function zshCase(definition) {
+  const specs = Object.entries(definition.options || {}).flatMap(([name, def]) => zshOption(name, def));
+  specs.push("'(-h --help)'{-h,--help}'[Show help for this command]'");
+  if (definition.arguments) {
+    specs.push(`'1:action:(${definition.arguments.join(' ')})'`);
+  }
+  return `    ${commandNames(definition).join('|')})
+      _arguments -s \\
+        ${specs.join(' \\\n        ')}
+      ;;`;
+}
+
+function zshScript(definitions) {
+  const commands = definitions.map(definition => `    '${zshEscape(definition.name)}:${zshEscape(definition.description || '')}'`);
+  return `#compdef tmi
+# tmi zsh completion
+# Add to ~/.zshrc: source <(tmi completion zsh)
+
+_tmi() {
+  local -a commands
+  commands=(
+${commands.join('\n')}
+  )
+
+  if (( CURRENT == 2 )); then
+    _describe 'command' commands
+    return
+  fi
+
+  words=("\${words[@]:1}")
+  (( CURRENT-- ))
+
+  case "\${words[1]}" in
+${definitions.map(zshCase).join('\n')}
+  esac
+}
+
+if [[ "\${funcstack[1]}" == "_tmi" ]]; then
+  _tmi "$@"
+else
+  compdef _tmi tmi
+fi
+`;
+}
+
+// ============================================================================
+// FISH
+// ============================================================================
+
+function fishEscape(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+function fishOption(definition, name, def) {
+  const condition = `-n '__fish_seen_subcommand_from ${commandNames(definition).join(' ')}'`;
+  const description = def.description ? ` -d '${fishEscape(def.description)}'` : '';
+  let spec = `complete -c tmi ${condition}${def.alias ? ` -s ${def.alias}` : ''} -l ${name}`;
+  if (def.type === 'string') {
+    if (def.choices) spec += ` -x -a '${def.choices.join(' ')}'`;
+    else if (def.path === 'dir') spec += " -x -a '(__fish_complete_directories)'";
+    else if (def.path === 'file') spec += ' -r -F';
+    else spec += ' -x';
+  }
+  const lines = [`${spec}${description}`];
+  if (def.type === 'boolean' && def.negatable) {
+    lines.push(`complete -c tmi ${condition} -l no-${name}`);
+  }
+  return lines;
+}
+
+function fishScript(definitions) {
+  const lines = [
+    '# tmi fish completion',
+    '# Save to ~/.config/fish/completions/tmi.fish: tmi completion fish > ~/.config/fish/completions/tmi.fish',
+    '',
+    'complete -c tmi -f',
+    "complete -c tmi -n '__fish_use_subcommand' -s h -l help -d 'Show help'",
+    "complete -c tmi -n '__fish_use_subcommand' -s v -l version -d 'Show the version'",
+  ];
+  for (const definition of definitions) {
+    lines.push(`complete -c tmi -n '__fish_use_subcommand' -a ${definition.name} -d '${fishEscape(definition.description || '')}'`);
+  }
+  for (const definition of definitions) {
+    lines.push('');
+    for (const [name, def] of Object.entries(definition.options || {})) {
+      lines.push(...fishOption(definition, name, def));
+    }
+    const seen = `__fish_seen_subcommand_from ${commandNames(definition).join(' ')}`;
+    lines.push(`complete -c tmi -n '${seen}' -s h -l help -d 'Show help for this command'`);
+    if (definition.arguments) {
+      lines.push(`complete -c tmi -n '${seen}; and not __fish_seen_subcommand_from ${definition.arguments.join(' ')}' -a '${definition.arguments.join(' ')}'`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Returns the completion script of `shell` for the given command definitions
+ * ({ name, aliases, description, options, arguments }).
+ */
+function generateCompletion(shell, definitions) {
+  if (shell === 'bash') return bashScript(definitions);
+  if (shell === 'zsh') return zshScript(definitions);
+  if (shell === 'fish') return fishScript(definitions);
+  throw new Error(`Unknown shell "${shell}". Use one of: ${SHELLS.join(', ')}`);
+}
+
+module.exports = {
+  SHELLS,
+  generateCompletion,
+};
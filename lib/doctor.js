@@ -0,0 +1,235 @@
+const { runCommand } = require('./exec');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+
+const pkg = require('../package.json');
+
+const MIN_JDK_VERSION = 17;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function run(command, args, { includeStderr = false, cwd } = {}) {
+  const result = runCommand(command, args, {
+    cwd,
+    timeout: 15000,
+    shell: process.platform === 'win32',
+  });
+  if (result.error || result.status !== 0) return null;
+  // Some tools (java -version) print their version to stderr
+  return (includeStderr ? `${result.stdout}${result.stderr}` : result.stdout).trim() || null;
+}
+
+function parseVersion(str) {
+  const match = /(\d+)(?:\.(\d+))?(?:\.(\d+))?/.exec(str || '');
+  if (!match) return null;
+  return match.slice(1).map(part => parseInt(part || '0', 10));
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+function satisfiesRange(version, range) {
+  // Only the ">=x.y.z" form used in package.json engines is supported
+  const minimum = parseVersion(range.replace(/^>=\s*/, ''));
+  return !minimum || compareVersions(parseVersion(version), minimum) >= 0;
+}
+
+function pass(message) {
+  return { status: 'pass', message };
+}
+
+function info(message, hint) {
+  return { status: 'info', message, hint };
+}
+
+function warn(message, hint) {
+  return { status: 'warn', message, hint };
+}
+
+function fail(message, hint) {
+  return { status: 'fail', message, hint };
+}
+
+function toolCheck(command, args, name, hint, missing = fail) {
+  const output = run(command, args);
+  if (!output) return missing(`${name} not found`, hint);
+  const version = /\d+(\.\d+)+/.exec(output);
+  return pass(`${name} ${version ? version[0] : output.split('\n')[0]}`);
+}
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+const CHECKS = [
+  {
+    id: 'node',
+    label: 'Node.js',
+    run() {
+      const range = (pkg.engines && pkg.engines.node) || '>=18';
+      if (!satisfiesRange(process.versions.node, range)) {
+        return fail(`Node.js ${process.versions.node} does not satisfy ${range}`, `Install Node.js ${range} (https://nodejs.org or nvm)`);
+      }
+      return pass(`Node.js ${process.versions.node} (requires ${range})`);
+    },
+  },
+  {
+    id: 'yarn',
+    label: 'Yarn',
+    run: () => toolCheck('yarn', ['--version'], 'Yarn', 'Install with: npm install -g yarn', warn),
+  },
+  {
+    id: 'npm',
+    label: 'npm',
+    run: () => toolCheck('npm', ['--version'], 'npm', 'npm ships with Node.js, reinstall Node.js', warn),
+  },
+  {
+    id: 'pnpm',
+    label: 'pnpm',
+    run: () => toolCheck('pnpm', ['--version'], 'pnpm', 'Optional, install with: npm install -g pnpm', info),
+  },
+  {
+    id: 'bun',
+    label: 'Bun',
+    run: () => toolCheck('bun', ['--version'], 'Bun', 'Optional, install from https://bun.sh', info),
+  },
+  {
+    id: 'git',
+    label: 'Git',
+    run: () => toolCheck('git', ['--version'], 'Git', 'Install Git from https://git-scm.com/downloads'),
+  },
+  {
+    id: 'git-identity',
+    label: 'Git identity',
+    run() {
+      // Outside of any repository, so a local config doesn't hide a missing global identity
+      const name = run('git', ['config', '--get', 'user.name'], { cwd: os.tmpdir() });
+      const email = run('git', ['config', '--get', 'user.email'], { cwd: os.tmpdir() });
+      if (!name || !email) {
+        const missing = [!name && 'user.name', !email && 'user.email'].filter(Boolean).join(' and ');
+        return warn(`Git ${missing} not configured`, 'Run: git config --global user.name "Your Name" && git config --global user.email "you@example.com"');
+      }
+      return pass(`Git identity ${name} <${email}>`);
+    },
+  },
+  {
+    id: 'jdk',
+    label: 'JDK',
+    run() {
+      const output = run('java', ['-version'], { includeStderr: true });
+      if (!output) {
+        return fail('JDK not found', `Install JDK ${MIN_JDK_VERSION} (e.g. Zulu or Temurin) and set JAVA_HOME`);
+      }
+      const versionMatch = /version "([^"]+)"/.exec(output);
+      const version = parseVersion(versionMatch ? versionMatch[1] : output);
+      // Java 8 and older report themselves as 1.x
+      const major = version && version[0] === 1 ? version[1] : version && version[0];
+      if (!major || major < MIN_JDK_VERSION) {
+        return warn(`JDK ${versionMatch ? versionMatch[1] : 'unknown version'} found, React Native requires JDK ${MIN_JDK_VERSION}`, `Install JDK ${MIN_JDK_VERSION} and point JAVA_HOME at it`);
+      }
+      return pass(`JDK ${versionMatch ? versionMatch[1] : major}`);
+    },
+  },
+  {
+    id: 'keytool',
+    label: 'keytool',
+    run() {
+      // keytool has no version flag, -help prints its usage to stderr
+      if (!run('keytool', ['-help'], { includeStderr: true })) {
+        return warn('keytool not found', 'keytool ships with the JDK, add $JAVA_HOME/bin to your PATH');
+      }
+      return pass('keytool available');
+    },
+  },
+  {
+    id: 'android-sdk',
+    label: 'Android SDK',
+    run() {
+      const sdkRoot = process.env.ANDROID_HOME || process.env.ANDROID_SDK_ROOT;
+      if (!sdkRoot) {
+        return fail('ANDROID_HOME is not set', 'Install Android Studio and export ANDROID_HOME (e.g. ~/Library/Android/sdk or ~/Android/Sdk)');
+      }
+      if (!fs.existsSync(sdkRoot)) {
+        return fail(`ANDROID_HOME points to a missing directory: ${sdkRoot}`, 'Fix ANDROID_HOME to point at your Android SDK');
+      }
+
+      const exe = process.platform === 'win32' ? '.exe' : '';
+      const missingTools = [
+        ['platform-tools', `adb${exe}`],
+        ['emulator', `emulator${exe}`],
+      ].filter(([dir, tool]) => !fs.existsSync(path.join(sdkRoot, dir, tool))).map(([dir]) => dir);
+      if (missingTools.length > 0) {
+        return warn(`Android SDK at ${sdkRoot} is missing ${missingTools.join(', ')}`, 'Install them from Android Studio > SDK Manager > SDK Tools');
+      }
+      return pass(`Android SDK ${sdkRoot}`);
+    },
+  },
+  {
+    id: 'watchman',
+    label: 'Watchman',
+    run: () => toolCheck('watchman', ['--version'], 'Watchman', 'Install with: brew install watchman (recommended for Metro)', warn),
+  },
+  {
+    id: 'cocoapods',
+    label: 'CocoaPods',
+    platform: 'darwin',
+    run: () => toolCheck('pod', ['--version'], 'CocoaPods', 'Install with: brew install cocoapods (or sudo gem install cocoapods)'),
+  },
+  {
+    id: 'xcode',
+    label: 'Xcode',
+    platform: 'darwin',
+    run() {
+      const output = run('xcodebuild', ['-version']);
+      if (!output) {
+        return fail('Xcode not found', 'Install Xcode from the App Store, then run: sudo xcode-select -s /Applications/Xcode.app');
+      }
+      return pass(output.split('\n')[0]);
+    },
+  },
+];
+
+const STATUS_ICONS = {
+  pass: chalk.green('✓'),
+  info: chalk.gray('ℹ'),
+  warn: chalk.yellow('⚠'),
+  fail: chalk.red('✗'),
+};
+
+/**
+ * Runs the checks with the given ids (all checks for the current platform by
+ * default) and returns their results in order. Checks listed in `required`
+ * fail unless they pass.
+ */
+function runChecks(ids, { required = [] } = {}) {
+  return CHECKS
+    .filter(check => !ids || ids.includes(check.id))
+    .filter(check => !check.platform || check.platform === process.platform)
+    .map(check => {
+      const result = { id: check.id, label: check.label, ...check.run() };
+      if (result.status !== 'pass' && required.includes(check.id)) result.status = 'fail';
+      return result;
+    });
+}
+
+function printCheckResult(result) {
+  const color = result.status === 'fail' ? chalk.red : result.status === 'warn' ? chalk.yellow : chalk.white;
+  console.log(`  ${STATUS_ICONS[result.status]} ${chalk.gray(result.label.padEnd(14))} ${color(result.message)}`);
+  if (result.hint && result.status !== 'pass') {
+    console.log(chalk.gray(`  ${' '.repeat(16)} → ${result.hint}`));
+  }
+}
+
+module.exports = {
+  CHECKS,
+  runChecks,
+  printCheckResult,
+};
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+// Entity fields of generated features, written as `name:type` with `name?`
+// for optional fields. Types: string, number, boolean, date (ISO string),
+// enum(a|b) and arrays of them (`string[]`).
+
+const BASE_TYPES = ['string', 'number', 'boolean', 'date'];
+const RESERVED_FIELDS = ['id', 'createdAt', 'updatedAt'];
+const FIELD_NAME_PATTERN = /^[a-zA-Z_$][\w$]*$/;
+const FIELD_TYPE_PATTERN = /^(\w+|enum\(([^)]*)\))(\[\])?$/;
+
+// Shown when a fields file has another shape
+const FIELDS_FILE_EXAMPLES = {
+  yaml: 'fields:\n  title: string\n  price?: number',
+  json: '{ "fields": { "title": "string", "price?": "number" } }',
+};
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+function parseField(entry) {
+  const separator = entry.indexOf(':');
+  if (separator === -1) {
+    throw new ValidationError(`Invalid field "${entry}", use name:type (e.g. title:string)`, 'fields');
+  }
+  const rawName = entry.slice(0, separator).trim();
+  const rawType = entry.slice(separator + 1).replace(/\s+/g, '');
+  const optional = rawName.endsWith('?');
+  const name = optional ? rawName.slice(0, -1) : rawName;
+
+  if (!FIELD_NAME_PATTERN.test(name)) {
+    throw new ValidationError(`Invalid field name "${name}", use letters, numbers, "_" and "$"`, 'fields');
+  }
+  if (RESERVED_FIELDS.includes(name)) {
+    throw new ValidationError(`Field "${name}" is always generated, remove it from the spec`, 'fields');
+  }
+
+  const match = FIELD_TYPE_PATTERN.exec(rawType);
+  const isEnum = Boolean(match && match[2] !== undefined);
+  if (!match || (!isEnum && !BASE_TYPES.includes(match[1]))) {
+    throw new ValidationError(`Invalid type "${rawType}" of field "${name}". Use ${BASE_TYPES.join(', ')} or enum(a|b), optionally with []`, 'fields');
+  }
+  const values = isEnum ? match[2].split('|').filter(Boolean) : null;
+  if (isEnum && values.length === 0) {
+    throw new ValidationError(`Field "${name}" needs at least one enum value, e.g. enum(draft|live)`, 'fields');
+  }
+  if (isEnum && values.some(value => /['"\\]/.test(value))) {
+    throw new ValidationError(`Enum values of field "${name}" can't contain quotes or backslashes`, 'fields');
+  }
+
+  return { name, type: isEnum ? 'enum' : match[1], values, array: Boolean(match[3]), optional };
+}
+
+/**
+ * Parses a spec like "title:string,price:number,note?:string". Also accepts
+ * an array of `name:type` strings.
+ */
+function parseFieldSpec(spec) {
+  const entries = Array.isArray(spec) ? spec : String(spec).split(',');
+  const fields = entries.map(entry => String(entry).trim()).filter(Boolean).map(parseField);
+  const seen = new Set();
+  for (const field of fields) {
+    if (seen.has(field.name)) {
+      throw new ValidationError(`Field "${field.name}" is defined twice`, 'fields');
+    }
+    seen.add(field.name);
+  }
+  return fields;
+}
+
+function invalidFieldsFile(location, reason, format) {
+  return new ValidationError(`${location}: ${reason}. Expected a mapping of field names to types:\n${FIELDS_FILE_EXAMPLES[format]}`, 'fields');
+}
+
+// `name: type` lines, optionally indented below a first `fields:` line.
+// Enough for field lists without pulling in a YAML parser.
+function parseYamlMapping(content, fileName) {
+  const mapping = {};
+  let nested = false;
+  let first = true;
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trimEnd();
+    if (!line.trim()) return;
+    const location = `${fileName}:${index + 1}`;
+    const indented = /^\s/.test(line);
+
+    if (first && line === 'fields:') {
+      nested = true;
+      first = false;
+      return;
+    }
+    first = false;
+    if (line.trim() === 'fields:') {
+      throw invalidFieldsFile(location, '"fields:" has to be the first line', 'yaml');
+    }
+    if (/^\s*-(\s|$)/.test(line)) {
+      throw invalidFieldsFile(location, 'lists are not supported', 'yaml');
+    }
+    if (indented !== nested) {
+      throw invalidFieldsFile(location, nested ? `unexpected top-level line "${line}"` : 'unexpected indentation', 'yaml');
+    }
+    const match = /^\s*(["']?)([^"':]+)\1\s*:\s*(["']?)(.+)\3$/.exec(line);
+    if (!match) {
+      throw invalidFieldsFile(location, 'expected "name: type"', 'yaml');
+    }
+    mapping[match[2].trim()] = match[4].trim();
+  });
+  return mapping;
+}
+
+// `{ "name": "type" }`, or the same below a `fields` key that is the only one
+function parseJsonMapping(content, fileName) {
+  let mapping;
+  try {
+    mapping = JSON.parse(content);
+  } catch (error) {
+    throw new ValidationError(`Could not parse fields file ${fileName}: ${error.message}`, 'fields');
+  }
+  const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  if (isObject(mapping) && 'fields' in mapping) {
+    if (Object.keys(mapping).length > 1 || !isObject(mapping.fields)) {
+      throw invalidFieldsFile(fileName, '"fields" must be the only key and hold an object', 'json');
+    }
+    mapping = mapping.fields;
+  }
+  if (!isObject(mapping)) {
+    throw invalidFieldsFile(fileName, 'not an object', 'json');
+  }
+  const invalid = Object.keys(mapping).find(name => typeof mapping[name] !== 'string');
+  if (invalid) {
+    throw invalidFieldsFile(fileName, `the type of "${invalid}" is not a string`, 'json');
+  }
+  return mapping;
+}
+
+/**
+ * Reads fields from a JSON or YAML file mapping names to types, the mapping
+ * may be nested under `fields`. A relative `filePath` is resolved against
+ * `baseDir`.
+ */
+function readFieldsFile(filePath, baseDir = process.cwd()) {
+  const fullPath = path.resolve(baseDir, filePath);
+  if (!fs.existsSync(fullPath)) {
+    throw new ValidationError(`Fields file not found: ${filePath}`, 'fields');
+  }
+
+  const content = fs.readFileSync(fullPath, 'utf8');
+  const mapping = /\.ya?ml$/i.test(filePath) ? parseYamlMapping(content, filePath) : parseJsonMapping(content, filePath);
+  if (Object.keys(mapping).length === 0) {
+    throw new ValidationError(`Fields file ${filePath} doesn't define any fields`, 'fields');
+  }
+  return parseFieldSpec(Object.entries(mapping).map(([name, type]) => `${name}:${type}`));
+}
+
+// ============================================================================
+// CODE
+// ============================================================================
+
+function formatType(field) {
+  const base = field.type === 'enum'
+    ? field.values.map(value => `'${value}'`).join(' | ')
+    : field.type === 'date' ? 'string' : field.type;
+  if (!field.array) return base;
+  return field.type === 'enum' && field.values.length > 1 ? `(${base})[]` : `${base}[]`;
+}
+
+// Interface members, `allOptional` for update requests
+function formatFields(fields, { allOptional = false } = {}) {
+  return fields.map(field => `  ${field.name}${allOptional || field.optional ? '?' : ''}: ${formatType(field)};\n`).join('');
+}
+
+function mockValue(field) {
+  let value;
+  if (field.type === 'enum') value = `'${field.values[0]}'`;
+  else if (field.type === 'number') value = '1';
+  else if (field.type === 'boolean') value = 'false';
+  else if (field.type === 'date') value = 'new Date().toISOString()';
+  else value = `'Example ${field.name}'`;
+  return field.array ? `[${value}]` : value;
+}
+
+// Object members of a mock entity, indented for the datasource stub
+function formatMockFields(fields, indent) {
+  return fields.map(field => `${indent}${field.name}: ${mockValue(field)},\n`).join('');
+}
+
+module.exports = {
+  parseFieldSpec,
+  readFieldsFile,
+  formatFields,
+  formatMockFields,
+};
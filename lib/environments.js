@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeRegExp } = require('./naming');
+const { updateFile, findFiles } = require('./files');
+
+// The boilerplate's three flavors. `flavor` is the Android product flavor,
+// `suffixes` end iOS scheme and xcconfig names (MyApp-Staging, dev.xcconfig).
+const ENVIRONMENTS = [
+  { key: 'development', label: 'Development', flavor: 'dev', nameSuffix: ' Dev', suffixes: ['dev', 'develop', 'development'] },
+  { key: 'staging', label: 'Staging', flavor: 'staging', nameSuffix: ' Staging', suffixes: ['stag', 'stage', 'staging'] },
+  { key: 'production', label: 'Production', flavor: 'prod', nameSuffix: '', suffixes: ['prod', 'production'] },
+];
+
+const API_URL_KEYS = ['API_BASE_URL', 'API_URL', 'BASE_URL'];
+
+function envFileName(environment) {
+  return `.env.${environment.key}`;
+}
+
+function parseEnv(content) {
+  const values = {};
+  for (const line of content.split(/\r?\n/)) {
+    const match = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=(.*)$/.exec(line);
+    if (match) values[match[1]] = match[2].trim();
+  }
+  return values;
+}
+
+function setEnvValue(content, key, value) {
+  const pattern = new RegExp(`^(\\s*${escapeRegExp(key)}\\s*=).*$`, 'm');
+  if (pattern.test(content)) {
+    return content.replace(pattern, `$1${value}`);
+  }
+  return `${content}${content && !content.endsWith('\n') ? '\n' : ''}${key}=${value}\n`;
+}
+
+/**
+ * Reads the API URL key and its default value from .env.example.
+ */
+function readEnvDefaults(projectDir) {
+  const examplePath = path.join(projectDir, '.env.example');
+  const example = fs.existsSync(examplePath) ? parseEnv(fs.readFileSync(examplePath, 'utf8')) : {};
+  const apiUrlKey = API_URL_KEYS.find(key => key in example) || API_URL_KEYS[1];
+  return { apiUrlKey, apiUrl: example[apiUrlKey] || '' };
+}
+
+/**
+ * Writes .env.development, .env.staging and .env.production from .env.example
+ * and makes .env a copy of the development file. `values` maps environment keys
+ * to { apiUrl, nameSuffix }.
+ */
+function writeEnvFiles(projectDir, { displayName, values }) {
+  const examplePath = path.join(projectDir, '.env.example');
+  const base = fs.existsSync(examplePath) ? fs.readFileSync(examplePath, 'utf8') : '';
+  const { apiUrlKey } = readEnvDefaults(projectDir);
+  const written = [];
+
+  for (const environment of ENVIRONMENTS) {
+    const { apiUrl, nameSuffix } = values[environment.key];
+    let content = base;
+    content = setEnvValue(content, 'APP_ENV', environment.key);
+    content = setEnvValue(content, 'APP_DISPLAY_NAME', `${displayName}${nameSuffix}`);
+    content = setEnvValue(content, apiUrlKey, apiUrl);
+    fs.writeFileSync(path.join(projectDir, envFileName(environment)), content, 'utf8');
+    written.push(envFileName(environment));
+  }
+
+  fs.copyFileSync(path.join(projectDir, envFileName(ENVIRONMENTS[0])), path.join(projectDir, '.env'));
+  return written;
+}
+
+// ============================================================================
+// NATIVE CHECKS
+// ============================================================================
+
+// Only the last word counts, the app name before it may contain "Dev" or
+// "Prod" itself (DevConnect-Staging, ProductHunt.dev)
+function environmentForName(name) {
+  const suffix = name.split(/[-._\s]+|(?=[A-Z][a-z])/).filter(Boolean).pop() || '';
+  return ENVIRONMENTS.find(environment => environment.suffixes.includes(suffix.toLowerCase())) || null;
+}
+
+function checkAndroid(projectDir, displayName, values, result) {
+  const gradlePath = path.join(projectDir, 'android', 'app', 'build.gradle');
+  if (!fs.existsSync(gradlePath)) return;
+
+  let content = fs.readFileSync(gradlePath, 'utf8');
+  const original = content;
+
+  for (const environment of ENVIRONMENTS) {
+    const expectedName = `${displayName}${values[environment.key].nameSuffix}`;
+    const flavorNames = [environment.flavor, environment.key];
+
+    // react-native-config: project.ext.envConfigFiles = [dev: ".env.development", ...]
+    const envFilePattern = new RegExp(`(\\b(?:${flavorNames.join('|')})(?:debug|release)?\\s*:\\s*["'])([^"']*)(["'])`, 'gi');
+    if (/envConfigFiles/.test(content)) {
+      content = content.replace(envFilePattern, (match, start, file, end) => (
+        file.startsWith('.env') ? `${start}${envFileName(environment)}${end}` : match));
+    }
+
+    const flavorPattern = new RegExp(`(\\b(?:${flavorNames.join('|')})\\s*\\{)([^{}]*)(\\})`);
+    const flavor = flavorPattern.exec(content);
+    if (!flavor) {
+      if (/productFlavors/.test(content)) {
+        result.warnings.push(`Android product flavor "${environment.flavor}" not found in android/app/build.gradle`);
+      }
+      continue;
+    }
+
+    const appNamePattern = /(resValue\s*\(?\s*["']string["']\s*,\s*["']app_name["']\s*,\s*["'])([^"']*)(["'])/;
+    if (appNamePattern.test(flavor[2])) {
+      const body = flavor[2].replace(appNamePattern, `$1${expectedName}$3`);
+      content = content.replace(flavor[0], `${flavor[1]}${body}${flavor[3]}`);
+    } else {
+      result.warnings.push(`Android flavor "${environment.flavor}" doesn't set app_name, display name suffix not applied`);
+    }
+  }
+
+  if (/productFlavors/.test(content) && !/envConfigFiles/.test(content)) {
+    result.warnings.push('android/app/build.gradle has product flavors but no envConfigFiles, all flavors will read .env');
+  }
+
+  if (content !== original) {
+    fs.writeFileSync(gradlePath, content, 'utf8');
+    result.updated.push(path.relative(projectDir, gradlePath));
+  }
+}
+
+function checkIos(projectDir, displayName, values, result) {
+  const iosDir = path.join(projectDir, 'ios');
+  if (!fs.existsSync(iosDir)) return;
+
+  const found = new Set();
+  const track = filePath => result.updated.push(path.relative(projectDir, filePath));
+
+  for (const xcconfigPath of findFiles(iosDir, name => name.endsWith('.xcconfig'))) {
+    const environment = environmentForName(path.basename(xcconfigPath, '.xcconfig'));
+    if (!environment) continue;
+    found.add(environment.key);
+    const expectedName = `${displayName}${values[environment.key].nameSuffix}`;
+    if (updateFile(xcconfigPath, content => content
+      .replace(/^(\s*(?:APP_DISPLAY_NAME|DISPLAY_NAME|INFOPLIST_KEY_CFBundleDisplayName)\s*=\s*).*$/gm, `$1${expectedName}`)
+      .replace(/^(\s*ENVFILE\s*=\s*).*$/gm, `$1${envFileName(environment)}`))) {
+      track(xcconfigPath);
+    }
+  }
+
+  for (const schemePath of findFiles(iosDir, name => name.endsWith('.xcscheme'))) {
+    const environment = environmentForName(path.basename(schemePath, '.xcscheme'));
+    if (!environment) continue;
+    found.add(environment.key);
+    // Pre-actions copy or echo the env file for react-native-config
+    if (updateFile(schemePath, content => content.replace(/\.env\.([a-z]+)(?=[\s"'&;/]|$)/g, (match, suffix) => (
+      suffix === 'example' ? match : envFileName(environment))))) {
+      track(schemePath);
+    }
+  }
+
+  for (const environment of ENVIRONMENTS) {
+    if (!found.has(environment.key)) {
+      result.warnings.push(`No iOS scheme or xcconfig found for ${environment.label}`);
+    }
+  }
+}
+
+/**
+ * Points the Android flavors and iOS schemes/xcconfigs of each environment at
+ * its .env file and display name. Returns the updated files and warnings for
+ * anything that could not be matched.
+ */
+function configureNativeEnvironments(projectDir, { displayName, values }) {
+  const result = { updated: [], warnings: [] };
+  checkAndroid(projectDir, displayName, values, result);
+  checkIos(projectDir, displayName, values, result);
+  result.updated = [...new Set(result.updated)];
+  return result;
+}
+
+module.exports = {
+  ENVIRONMENTS,
+  envFileName,
+  readEnvDefaults,
+  writeEnvFiles,
+  configureNativeEnvironments,
+  environmentForName,
+};
@@ -0,0 +1,63 @@
+// Errors thrown by the programmatic API. `code` is stable and meant for
+// callers, `message` is meant for humans.
+
+class TmiError extends Error {
+  constructor(message, code = 'TMI_ERROR', details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// An option has an invalid value, `field` names the option
+class ValidationError extends TmiError {
+  constructor(message, field) {
+    super(message, 'VALIDATION_ERROR', { field });
+  }
+}
+
+// The project or feature directory already exists
+class TargetExistsError extends TmiError {
+  constructor(message, targetPath) {
+    super(message, 'TARGET_EXISTS', { path: targetPath });
+  }
+}
+
+// A required tool is missing, `checks` holds the failed doctor checks
+class MissingRequirementError extends TmiError {
+  constructor(message, checks) {
+    super(message, 'MISSING_REQUIREMENT', { checks });
+  }
+}
+
+// The template could not be fetched or is not usable
+class TemplateError extends TmiError {
+  constructor(message) {
+    super(message, 'TEMPLATE_ERROR');
+  }
+}
+
+// Template identifiers were left over in strict mode
+class LeftoverTokensError extends TmiError {
+  constructor(message, leftovers) {
+    super(message, 'LEFTOVER_TOKENS', { leftovers });
+  }
+}
+
+// `projectRoot` is not a project generated from the boilerplate
+class ProjectNotFoundError extends TmiError {
+  constructor(message, projectRoot) {
+    super(message, 'PROJECT_NOT_FOUND', { projectRoot });
+  }
+}
+
+module.exports = {
+  TmiError,
+  ValidationError,
+  TargetExistsError,
+  MissingRequirementError,
+  TemplateError,
+  LeftoverTokensError,
+  ProjectNotFoundError,
+};
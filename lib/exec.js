@@ -0,0 +1,116 @@
+const { spawn, spawnSync } = require('child_process');
+
+// External commands run through here so --verbose and the run log can show
+// what was executed and what it printed. Listeners get a `start` event before
+// and an `end` event (status, stdout, stderr, duration) after each command.
+
+const listeners = new Set();
+
+function addCommandListener(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notify(event) {
+  listeners.forEach(listener => listener(event));
+}
+
+function quote(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, "'\\''")}'`;
+}
+
+function lastLine(output) {
+  return (output || '').trim().split('\n').pop();
+}
+
+function run(file, args, options, commandLine) {
+  const startedAt = Date.now();
+  notify({ phase: 'start', command: commandLine, cwd: options.cwd });
+  const result = spawnSync(file, args, { encoding: 'utf8', ...options });
+  notify({
+    phase: 'end',
+    command: commandLine,
+    cwd: options.cwd,
+    status: result.status,
+    error: result.error ? result.error.message : undefined,
+    stdout: result.stdout || '',
+    stderr: result.stderr || '',
+    duration: Date.now() - startedAt,
+  });
+  return result;
+}
+
+// spawnSync with utf8 output
+function runCommand(command, args = [], options = {}) {
+  return run(command, args, options, [command, ...args].map(quote).join(' '));
+}
+
+/**
+ * Runs a shell command line (package installs, template steps) and throws
+ * when it fails. Output is only captured with `stdio: 'pipe'`.
+ */
+function runShell(commandLine, { cwd, stdio = 'inherit' } = {}) {
+  const result = run(commandLine, [], { cwd, stdio, shell: true, maxBuffer: 64 * 1024 * 1024 }, commandLine);
+  if (result.error) throw result.error;
+  if (result.status !== 0) {
+    const output = lastLine(result.stderr);
+    throw new Error(`Command failed: ${commandLine}${output ? ` (${output})` : ''}`);
+  }
+}
+
+/**
+ * Runs a shell command line like runShell, but async and with its output
+ * piped: with `echo` it is copied to the terminal as it arrives, and either
+ * way the listeners get it and a failure reports its last stderr line.
+ */
+function streamShell(commandLine, { cwd, echo = true } = {}) {
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const output = { stdout: '', stderr: '' };
+    let finished = false;
+
+    function finish(status, error) {
+      if (finished) return;
+      finished = true;
+      notify({
+        phase: 'end',
+        command: commandLine,
+        cwd,
+        status,
+        error: error ? error.message : undefined,
+        stdout: output.stdout,
+        stderr: output.stderr,
+        duration: Date.now() - startedAt,
+        echoed: echo,
+      });
+      if (error) {
+        reject(error);
+      } else if (status !== 0) {
+        const line = lastLine(output.stderr);
+        reject(new Error(`Command failed: ${commandLine}${line ? ` (${line})` : ''}`));
+      } else {
+        resolve();
+      }
+    }
+
+    notify({ phase: 'start', command: commandLine, cwd });
+    const child = spawn(commandLine, [], { cwd, shell: true, stdio: ['inherit', 'pipe', 'pipe'] });
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].setEncoding('utf8');
+      child[stream].on('data', chunk => {
+        output[stream] += chunk;
+        if (echo) process[stream].write(chunk);
+      });
+    }
+    child.on('error', error => finish(null, error));
+    child.on('close', status => finish(status));
+  });
+}
+
+module.exports = {
+  addCommandListener,
+  lastLine,
+  runCommand,
+  runShell,
+  streamShell,
+};
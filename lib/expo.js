@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeRegExp } = require('./naming');
+
+const APP_JSON = 'app.json';
+const APP_CONFIG_FILES = ['app.config.ts', 'app.config.js'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesPackage(name, patterns) {
+  return patterns.some(pattern => (pattern.endsWith('/*')
+    ? name.startsWith(pattern.slice(0, -1))
+    : name === pattern));
+}
+
+function pluginName(entry) {
+  return Array.isArray(entry) ? entry[0] : entry;
+}
+
+// Adds `values` to `target` without overwriting what is already set. Arrays
+// get the missing items appended.
+function addValues(target, values) {
+  for (const [key, value] of Object.entries(values)) {
+    if (isObject(value)) {
+      if (!isObject(target[key])) target[key] = {};
+      addValues(target[key], value);
+    } else if (Array.isArray(value)) {
+      const current = Array.isArray(target[key]) ? target[key] : [];
+      target[key] = [...current, ...value.filter(item => !current.includes(item))];
+    } else if (target[key] === undefined) {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+// Removes `values` from `target`, dropping objects and arrays left empty
+function removeValues(target, values) {
+  for (const [key, value] of Object.entries(values)) {
+    if (target[key] === undefined) continue;
+    if (isObject(value) && isObject(target[key])) {
+      removeValues(target[key], value);
+      if (Object.keys(target[key]).length === 0) delete target[key];
+    } else if (Array.isArray(value) && Array.isArray(target[key])) {
+      target[key] = target[key].filter(item => !value.includes(item));
+      if (target[key].length === 0) delete target[key];
+    } else {
+      delete target[key];
+    }
+  }
+  return target;
+}
+
+// ============================================================================
+// FEATURES
+// ============================================================================
+
+/**
+ * Feature definitions with the Expo specific packages and paths added, for
+ * pruning disabled features from an Expo project.
+ */
+function getExpoFeatureDefinitions(definitions) {
+  return definitions.map(feature => {
+    const expo = feature.expo || {};
+    return {
+      ...feature,
+      packages: [...(feature.packages || []), ...(expo.packages || [])],
+      paths: [...(feature.paths || []), ...(expo.paths || [])],
+    };
+  });
+}
+
+/**
+ * Adds the config plugins and values of enabled features to the Expo config
+ * and removes those of disabled ones. Plugins of disabled features are found
+ * by their package name, plugins shared with other features (like
+ * expo-build-properties) are kept.
+ */
+function applyExpoFeatures(config, features, definitions) {
+  let plugins = [...(config.plugins || [])];
+
+  for (const feature of definitions) {
+    const expo = feature.expo || {};
+    if (features[feature.key]) {
+      for (const plugin of expo.plugins || []) {
+        const index = plugins.findIndex(entry => pluginName(entry) === pluginName(plugin));
+        if (index === -1) {
+          plugins.push(plugin);
+        } else if (Array.isArray(plugin)) {
+          const existing = plugins[index];
+          const options = Array.isArray(existing) && isObject(existing[1]) ? JSON.parse(JSON.stringify(existing[1])) : {};
+          plugins[index] = [plugin[0], addValues(options, plugin[1])];
+        }
+      }
+      addValues(config, expo.config || {});
+    } else {
+      const patterns = [...(feature.packages || []), ...(expo.packages || [])];
+      plugins = plugins.filter(entry => !matchesPackage(pluginName(entry), patterns));
+      removeValues(config, expo.config || {});
+      if (feature.androidPermissions && config.android && Array.isArray(config.android.permissions)) {
+        removeValues(config.android, { permissions: feature.androidPermissions });
+      }
+    }
+  }
+
+  if (plugins.length > 0) config.plugins = plugins;
+  else delete config.plugins;
+  return config;
+}
+
+// ============================================================================
+// APP CONFIG
+// ============================================================================
+
+// Replaces the first `key: 'literal'` of a dynamic app config
+function setConfigLiteral(content, key, value) {
+  const pattern = new RegExp(`(\\b${escapeRegExp(key)}\\s*:\\s*)(['"\`])[^'"\`\\n]*\\2`);
+  return content.replace(pattern, (match, prefix, quote) => `${prefix}${quote}${value}${quote}`);
+}
+
+/**
+ * Configures the Expo app config: name, slug, URL scheme, iOS bundle
+ * identifier, Android package and the config plugins of the selected features.
+ * app.json is rewritten, a dynamic app.config.ts/js only gets its string
+ * literals updated. Returns the updated files and warnings for anything that
+ * needs a manual change.
+ */
+function configureExpoApp(projectDir, { displayName, slug, bundleId, scheme, features, definitions }) {
+  const result = { updated: [], warnings: [] };
+  const appJsonPath = path.join(projectDir, APP_JSON);
+  const dynamicConfig = APP_CONFIG_FILES.find(file => fs.existsSync(path.join(projectDir, file)));
+
+  if (fs.existsSync(appJsonPath) || !dynamicConfig) {
+    const appJson = fs.existsSync(appJsonPath) ? JSON.parse(fs.readFileSync(appJsonPath, 'utf8')) : { expo: {} };
+    const config = isObject(appJson.expo) ? appJson.expo : appJson;
+    config.name = displayName;
+    config.slug = slug;
+    config.scheme = scheme;
+    config.ios = { ...config.ios, bundleIdentifier: bundleId };
+    config.android = { ...config.android, package: bundleId };
+    applyExpoFeatures(config, features, definitions);
+    fs.writeFileSync(appJsonPath, JSON.stringify(appJson, null, 2) + '\n', 'utf8');
+    result.updated.push(APP_JSON);
+  }
+
+  if (dynamicConfig) {
+    const configPath = path.join(projectDir, dynamicConfig);
+    const content = fs.readFileSync(configPath, 'utf8');
+    let updated = content;
+    for (const [key, value] of Object.entries({ name: displayName, slug, scheme, bundleIdentifier: bundleId, package: bundleId })) {
+      updated = setConfigLiteral(updated, key, value);
+    }
+    if (updated !== content) {
+      fs.writeFileSync(configPath, updated, 'utf8');
+      result.updated.push(dynamicConfig);
+    }
+
+    if (/\bplugins\s*:/.test(updated)) {
+      const plugins = definitions
+        .filter(feature => features[feature.key])
+        .flatMap(feature => ((feature.expo && feature.expo.plugins) || []).map(pluginName));
+      result.warnings.push(`${dynamicConfig} declares its own plugins, check they match the selected features${plugins.length > 0 ? ` (${plugins.join(', ')})` : ''}`);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  getExpoFeatureDefinitions,
+  applyExpoFeatures,
+  configureExpoApp,
+};
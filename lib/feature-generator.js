@@ -0,0 +1,459 @@
+const fs = require('fs');
+const path = require('path');
+const { createReporter } = require('./progress');
+const { ValidationError, ProjectNotFoundError } = require('./errors');
+const { registerFeature } = require('./module-registry');
+const { parseFieldSpec, formatFields, formatMockFields } = require('./entity-fields');
+
+const FEATURES_DIR = 'src/features';
+const MODULES_DIR = 'src/app/modules';
+const FEATURE_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]*$/;
+
+// ============================================================================
+// NAMING
+// ============================================================================
+
+const capitalize = str => str.charAt(0).toUpperCase() + str.slice(1);
+const pascalCase = str =>
+  str
+    .split(/[-_]/)
+    .map(capitalize)
+    .join('');
+const camelCase = str => {
+  const pascal = pascalCase(str);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+};
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+function entityTemplate({ Feature }, fields) {
+  const members = (placeholder, options) => (fields.length > 0 ? formatFields(fields, options) : `  // ${placeholder}\n`);
+  return `export interface ${Feature} {
+  id: string;
+${members('Add your entity properties')}  createdAt: string;
+  updatedAt: string;
+}
+
+export interface Create${Feature}Request {
+${members('Add creation fields')}}
+
+export interface Update${Feature}Request {
+${members('Add update fields', { allOptional: true })}}
+
+export interface ${Feature}Error {
+  code: string;
+  message: string;
+  field?: string;
+}
+`;
+}
+
+function repositoryInterfaceTemplate({ Feature }) {
+  return `import type {${Feature}, Create${Feature}Request, Update${Feature}Request} from '../entities';
+
+export interface I${Feature}Repository {
+  getById(id: string): Promise<${Feature}>;
+  getAll(): Promise<${Feature}[]>;
+  create(data: Create${Feature}Request): Promise<${Feature}>;
+  update(id: string, data: Update${Feature}Request): Promise<${Feature}>;
+  delete(id: string): Promise<void>;
+}
+`;
+}
+
+function dataSourceTemplate({ Feature, feature }, fields) {
+  return `import type {${Feature}, Create${Feature}Request, Update${Feature}Request} from '../../domain/entities';
+
+export class ${Feature}DataSource {
+  private basePath = '/${feature}s';
+
+  async getById(id: string): Promise<${Feature}> {
+    // TODO: Replace with actual API call
+    // const response = await apiClient.get(\`\${this.basePath}/\${id}\`);
+    // return response.data;
+    
+    await new Promise<void>(resolve => setTimeout(resolve, 500));
+    return {
+      id,
+${formatMockFields(fields, '      ')}      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  async getAll(): Promise<${Feature}[]> {
+    // TODO: Replace with actual API call
+    // const response = await apiClient.get(this.basePath);
+    // return response.data;
+    
+    await new Promise<void>(resolve => setTimeout(resolve, 500));
+    return [];
+  }
+
+  async create(data: Create${Feature}Request): Promise<${Feature}> {
+    // TODO: Replace with actual API call
+    // const response = await apiClient.post(this.basePath, data);
+    // return response.data;
+    
+    await new Promise<void>(resolve => setTimeout(resolve, 500));
+    return {
+      id: Date.now().toString(),
+      ...data,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    } as ${Feature};
+  }
+
+  async update(id: string, data: Update${Feature}Request): Promise<${Feature}> {
+    // TODO: Replace with actual API call
+    // const response = await apiClient.patch(\`\${this.basePath}/\${id}\`, data);
+    // return response.data;
+    
+    await new Promise<void>(resolve => setTimeout(resolve, 500));
+    return {
+      id,
+      ...data,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    } as ${Feature};
+  }
+
+  async delete(id: string): Promise<void> {
+    // TODO: Replace with actual API call
+    // await apiClient.delete(\`\${this.basePath}/\${id}\`);
+    
+    await new Promise<void>(resolve => setTimeout(resolve, 500));
+    console.log('Deleted:', id);
+  }
+}
+
+export const ${feature}DataSource = new ${Feature}DataSource();
+`;
+}
+
+function repositoryImplTemplate({ Feature }) {
+  return `import type {I${Feature}Repository} from '../../domain/repositories';
+import type {${Feature}, Create${Feature}Request, Update${Feature}Request} from '../../domain/entities';
+import type {${Feature}DataSource} from '../datasources';
+
+export class ${Feature}RepositoryImpl implements I${Feature}Repository {
+  constructor(private dataSource: ${Feature}DataSource) {}
+
+  getById(id: string): Promise<${Feature}> {
+    return this.dataSource.getById(id);
+  }
+
+  getAll(): Promise<${Feature}[]> {
+    return this.dataSource.getAll();
+  }
+
+  create(data: Create${Feature}Request): Promise<${Feature}> {
+    return this.dataSource.create(data);
+  }
+
+  update(id: string, data: Update${Feature}Request): Promise<${Feature}> {
+    return this.dataSource.update(id, data);
+  }
+
+  delete(id: string): Promise<void> {
+    return this.dataSource.delete(id);
+  }
+}
+`;
+}
+
+function sliceTemplate({ Feature, feature }) {
+  return `import {createSlice, createAsyncThunk} from '@reduxjs/toolkit';
+import type {${Feature}, ${Feature}Error} from '../domain/entities';
+import {${feature}DataSource} from './datasources';
+import {${Feature}RepositoryImpl} from './repositories';
+
+const ${feature}Repository = new ${Feature}RepositoryImpl(${feature}DataSource);
+
+interface ${Feature}State {
+  items: ${Feature}[];
+  selected: ${Feature} | null;
+  isLoading: boolean;
+  error: ${Feature}Error | null;
+}
+
+const initialState: ${Feature}State = {
+  items: [],
+  selected: null,
+  isLoading: false,
+  error: null,
+};
+
+export const fetch${Feature}s = createAsyncThunk<
+  ${Feature}[],
+  void,
+  {rejectValue: ${Feature}Error}
+>('${feature}/fetchAll', async (_, {rejectWithValue}) => {
+  try {
+    return await ${feature}Repository.getAll();
+  } catch (error: unknown) {
+    const errorMessage =
+      error instanceof Error ? error.message : 'Failed to fetch';
+    return rejectWithValue({
+      code: 'FETCH_ERROR',
+      message: errorMessage,
+    });
+  }
+});
+
+export const fetch${Feature}ById = createAsyncThunk<
+  ${Feature},
+  string,
+  {rejectValue: ${Feature}Error}
+>('${feature}/fetchById', async (id, {rejectWithValue}) => {
+  try {
+    return await ${feature}Repository.getById(id);
+  } catch (error: unknown) {
+    const errorMessage =
+      error instanceof Error ? error.message : 'Failed to fetch';
+    return rejectWithValue({
+      code: 'FETCH_ERROR',
+      message: errorMessage,
+    });
+  }
+});
+
+const ${feature}Slice = createSlice({
+  name: '${feature}',
+  initialState,
+  reducers: {
+    clearError: state => {
+      state.error = null;
+    },
+    clearSelected: state => {
+      state.selected = null;
+    },
+  },
+  extraReducers: builder => {
+    builder
+      .addCase(fetch${Feature}s.pending, state => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetch${Feature}s.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.items = action.payload;
+      })
+      .addCase(fetch${Feature}s.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload ?? {code: 'UNKNOWN', message: 'Failed to fetch'};
+      })
+      .addCase(fetch${Feature}ById.pending, state => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetch${Feature}ById.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.selected = action.payload;
+      })
+      .addCase(fetch${Feature}ById.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload ?? {code: 'UNKNOWN', message: 'Failed to fetch'};
+      });
+  },
+});
+
+export const {clearError, clearSelected} = ${feature}Slice.actions;
+export default ${feature}Slice.reducer;
+`;
+}
+
+function screenTemplate({ Feature }) {
+  return `import React from 'react';
+import {View} from 'react-native';
+import {AppText} from '@shared/components/ui';
+
+export default function ${Feature}Screen() {
+  return (
+    <View className="flex-1 bg-background p-4">
+      <AppText variant="heading1">${Feature}</AppText>
+    </View>
+  );
+}
+`;
+}
+
+function moduleTemplate({ Feature, feature }, withSlice) {
+  return withSlice
+    ? `import {AppModule} from '@app/modules';
+import ${feature}Reducer from './data/${feature}Slice';
+import {${Feature}Screen} from './ui/screens';
+
+export const ${feature}Module: AppModule = {
+  name: '${feature}',
+  slices: [
+    {key: '${feature}', reducer: ${feature}Reducer, persist: false},
+  ],
+  routes: [
+    {name: '${Feature}', component: ${Feature}Screen, stack: 'app'},
+  ],
+};
+`
+    : `import {AppModule} from '@app/modules';
+import {${Feature}Screen} from './ui/screens';
+
+export const ${feature}Module: AppModule = {
+  name: '${feature}',
+  routes: [
+    {name: '${Feature}', component: ${Feature}Screen, stack: 'app'},
+  ],
+};
+`;
+}
+
+// ============================================================================
+// PROJECT ROOT
+// ============================================================================
+
+// Projects generated from the boilerplate register their features in
+// src/app/modules
+function isProjectRoot(dir) {
+  return fs.existsSync(path.join(dir, 'package.json')) && fs.existsSync(path.join(dir, MODULES_DIR));
+}
+
+/**
+ * Walks up from `startDir` to the root of a boilerplate project, returns null
+ * outside of one.
+ */
+function findProjectRoot(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    if (isProjectRoot(dir)) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+/**
+ * Generates a Clean Architecture feature in src/features/<name> of
+ * `projectRoot`. Options: `uiOnly` (only the UI layer), `slice` (Redux slice,
+ * default true), `fields` (entity fields, a spec like "title:string,note?:string"
+ * or parsed fields, see lib/entity-fields), `register` (add the module to the
+ * registry and its route to the navigation types, default true) and
+ * `onProgress` (see lib/progress).
+ * Existing files are kept. Returns the created and skipped files relative to
+ * the project root, and the `registration` result of each edited file.
+ */
+function generateFeature(projectRoot, name, { uiOnly = false, slice = true, fields = [], register = true, onProgress } = {}) {
+  const reporter = createReporter(onProgress);
+
+  if (!name || !FEATURE_NAME_PATTERN.test(name)) {
+    throw new ValidationError(`Invalid feature name "${name}". Use letters, numbers, "-" and "_", starting with a letter.`, 'name');
+  }
+  const rootDir = path.resolve(projectRoot);
+  if (!isProjectRoot(rootDir)) {
+    throw new ProjectNotFoundError(`${rootDir} is not a TMI project (package.json and ${MODULES_DIR} not found)`, rootDir);
+  }
+
+  const entityFields = typeof fields === 'string' || fields.some(field => typeof field === 'string')
+    ? parseFieldSpec(fields)
+    : fields;
+  if (uiOnly && entityFields.length > 0) {
+    throw new ValidationError('Entity fields need the domain layer, UI only features can\'t have them', 'fields');
+  }
+
+  const names = { Feature: pascalCase(name), feature: camelCase(name) };
+  const { Feature, feature } = names;
+  const featurePath = `${FEATURES_DIR}/${name}`;
+  const result = {
+    featureDir: path.join(rootDir, featurePath),
+    name,
+    pascalName: Feature,
+    camelName: feature,
+    files: [],
+    skipped: [],
+    registration: null,
+    warnings: reporter.warnings,
+  };
+
+  function createFile(relativePath, content) {
+    const projectPath = `${featurePath}/${relativePath}`;
+    const filePath = path.join(rootDir, projectPath);
+    if (fs.existsSync(filePath)) {
+      result.skipped.push(projectPath);
+      reporter.info(`Skipped ${projectPath} (already exists)`);
+      return;
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    result.files.push(projectPath);
+    reporter.success(`Created ${projectPath}`);
+  }
+
+  // Domain and data layers (skipped for UI only features)
+  if (!uiOnly) {
+    createFile(`domain/entities/${Feature}.ts`, entityTemplate(names, entityFields));
+    createFile('domain/entities/index.ts', `export * from './${Feature}';\n`);
+
+    createFile(`domain/repositories/I${Feature}Repository.ts`, repositoryInterfaceTemplate(names));
+    createFile('domain/repositories/index.ts', `export * from './I${Feature}Repository';\n`);
+
+    createFile('domain/usecases/index.ts', '// Export usecases here\n');
+
+    createFile('domain/index.ts', "export * from './entities';\nexport * from './repositories';\nexport * from './usecases';\n");
+
+    createFile(`data/datasources/${Feature}DataSource.ts`, dataSourceTemplate(names, entityFields));
+    createFile('data/datasources/index.ts', `export * from './${Feature}DataSource';\n`);
+
+    createFile(`data/repositories/${Feature}RepositoryImpl.ts`, repositoryImplTemplate(names));
+    createFile('data/repositories/index.ts', `export * from './${Feature}RepositoryImpl';\n`);
+
+    if (slice) {
+      createFile(`data/${feature}Slice.ts`, sliceTemplate(names));
+    }
+
+    createFile('data/index.ts', slice
+      ? `export {\n  default as ${feature}Reducer,\n  fetch${Feature}s,\n  fetch${Feature}ById,\n  clearError,\n  clearSelected,\n} from './${feature}Slice';\nexport * from './datasources';\nexport * from './repositories';\n`
+      : "export * from './datasources';\nexport * from './repositories';\n");
+  }
+
+  // UI layer
+  createFile(`ui/screens/${Feature}Screen.tsx`, screenTemplate(names));
+  createFile('ui/screens/index.ts', `export {default as ${Feature}Screen} from './${Feature}Screen';\n`);
+  createFile('ui/components/index.ts', '// Export components here\n');
+  createFile('ui/hooks/index.ts', '// Export hooks here\n');
+  createFile('ui/index.ts', "export * from './screens';\nexport * from './components';\nexport * from './hooks';\n");
+
+  createFile('module.ts', moduleTemplate(names, !uiOnly && slice));
+
+  createFile('index.ts', uiOnly
+    ? `export * from './ui';\nexport {${feature}Module} from './module';\n`
+    : `export * from './ui';\nexport * from './data';\nexport * from './domain';\nexport {${feature}Module} from './module';\n`);
+  reporter.files('created', result.files);
+
+  if (register) {
+    result.registration = registerFeature(rootDir, { name, moduleName: `${feature}Module`, routeName: Feature });
+    const { registry, navigation } = result.registration;
+    const messages = {
+      registry: { updated: `Registered ${feature}Module in ${registry.file}`, unchanged: `${feature}Module already registered` },
+      navigation: { updated: `Added the ${Feature} route to ${navigation.file}`, unchanged: `${Feature} route already typed` },
+    };
+    for (const [key, { file, status, reason }] of Object.entries(result.registration)) {
+      if (status === 'manual') reporter.warning(`Could not update ${file}: ${reason}`);
+      else if (status === 'updated') reporter.success(messages[key].updated);
+      else reporter.info(messages[key].unchanged);
+    }
+    reporter.files('updated', Object.values(result.registration)
+      .filter(({ status }) => status === 'updated')
+      .map(({ file }) => file));
+  }
+
+  return result;
+}
+
+module.exports = {
+  FEATURES_DIR,
+  findProjectRoot,
+  generateFeature,
+};
@@ -0,0 +1,332 @@
+const fs = require('fs');
+
+const CONFIG_NAME = 'FeaturesConfig';
+const PAIRS = { '(': ')', '[': ']', '{': '}' };
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+function skipString(source, index) {
+  const quote = source[index];
+  let depth = 0;
+  for (let i = index + 1; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      i++;
+    } else if (quote === '`' && char === '$' && source[i + 1] === '{') {
+      depth++;
+      i++;
+    } else if (quote === '`' && depth > 0 && char === '}') {
+      depth--;
+    } else if (char === quote && depth === 0) {
+      return i + 1;
+    } else if (char === '\n' && quote !== '`') {
+      break;
+    }
+  }
+  throw new Error(`Unterminated string at offset ${index}`);
+}
+
+/**
+ * Splits TypeScript source into identifier, string and punctuation tokens with
+ * their offsets. Comments and whitespace are dropped, which is all that is
+ * needed to find object literal properties reliably.
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (source.startsWith('//', i)) {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+    } else if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+      if (end === -1) throw new Error(`Unterminated comment at offset ${i}`);
+      i = end + 2;
+    } else if (char === '"' || char === "'" || char === '`') {
+      const end = skipString(source, i);
+      tokens.push({ type: 'string', value: source.slice(i, end), start: i, end });
+      i = end;
+    } else if (/[A-Za-z0-9_$]/.test(char)) {
+      let end = i;
+      while (end < source.length && /[A-Za-z0-9_$]/.test(source[end])) end++;
+      tokens.push({ type: 'word', value: source.slice(i, end), start: i, end });
+      i = end;
+    } else {
+      tokens.push({ type: 'punct', value: char, start: i, end: i + 1 });
+      i++;
+    }
+  }
+  return tokens;
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+function findConfigObject(tokens) {
+  for (let i = 0; i < tokens.length - 2; i++) {
+    if (tokens[i].value !== 'const' || tokens[i + 1].value !== CONFIG_NAME) continue;
+    let j = i + 2;
+    while (j < tokens.length && tokens[j].value !== '=') j++;
+    if (tokens[j + 1] && tokens[j + 1].value === '{') return j + 1;
+  }
+  return -1;
+}
+
+/**
+ * Parses the `FeaturesConfig` object literal of a features.config.ts file.
+ * Returns its properties as { name, value, start, end } where start/end are
+ * the offsets of the value expression, plus the offset of the closing brace.
+ */
+function parseFeaturesConfig(source) {
+  const tokens = tokenize(source);
+  const open = findConfigObject(tokens);
+  if (open === -1) {
+    throw new Error(`export const ${CONFIG_NAME} = { ... } not found`);
+  }
+
+  const properties = [];
+  let i = open + 1;
+  while (i < tokens.length && tokens[i].value !== '}') {
+    const key = tokens[i];
+    if (key.value === ',') {
+      i++;
+      continue;
+    }
+    if (!tokens[i + 1] || tokens[i + 1].value !== ':') {
+      throw new Error(`Unsupported entry "${key.value}" in ${CONFIG_NAME}, only "KEY: value" properties can be edited`);
+    }
+
+    // The value runs until the next comma or closing brace at this depth
+    const stack = [];
+    let j = i + 2;
+    for (; j < tokens.length; j++) {
+      const value = tokens[j].value;
+      if (tokens[j].type !== 'punct') continue;
+      if (stack.length === 0 && (value === ',' || value === '}')) break;
+      if (PAIRS[value]) stack.push(PAIRS[value]);
+      else if (value === stack[stack.length - 1]) stack.pop();
+    }
+    if (j >= tokens.length || j === i + 2) {
+      throw new Error(`Could not parse the value of ${key.value} in ${CONFIG_NAME}`);
+    }
+
+    const start = tokens[i + 2].start;
+    const end = tokens[j - 1].end;
+    const name = key.type === 'string' ? key.value.slice(1, -1) : key.value;
+    properties.push({ name, value: source.slice(start, end), start, end });
+    i = j;
+  }
+
+  if (i >= tokens.length) {
+    throw new Error(`${CONFIG_NAME} object is not closed`);
+  }
+  return { properties, close: tokens[i].start };
+}
+
+/**
+ * Sets `flags` ({ NAME: 'expression' }) in the FeaturesConfig source. Existing
+ * values are replaced in place, keeping comments and formatting. Missing flags
+ * are appended at the end of the object.
+ */
+function setFeatureFlags(source, flags) {
+  const { properties, close } = parseFeaturesConfig(source);
+  const edits = [];
+  const missing = [];
+
+  for (const [name, value] of Object.entries(flags)) {
+    const property = properties.find(candidate => candidate.name === name);
+    if (property) {
+      if (property.value !== value) edits.push({ start: property.start, end: property.end, text: value });
+    } else {
+      missing.push(`  ${name}: ${value},\n`);
+    }
+  }
+
+  if (missing.length > 0) {
+    const last = properties[properties.length - 1];
+    const between = last ? source.slice(last.end, close) : '';
+    // Add the separator the last property may be missing
+    if (last && !between.trimStart().startsWith(',')) {
+      edits.push({ start: last.end, end: last.end, text: ',' });
+    }
+    const lineStart = source.lastIndexOf('\n', close - 1) + 1;
+    const insertAt = source.slice(lineStart, close).trim() === '' ? lineStart : close;
+    const prefix = insertAt === lineStart ? '' : '\n';
+    edits.push({ start: insertAt, end: insertAt, text: `${prefix}${missing.join('')}` });
+  }
+
+  return edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), source);
+}
+
+function readFeaturesConfig(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Features config not found: ${filePath}`);
+  }
+  return parseFeaturesConfig(fs.readFileSync(filePath, 'utf8')).properties;
+}
+
+/**
+ * Updates the flags in the features config file. Returns false when nothing
+ * changed.
+ */
+function writeFeatureFlags(filePath, flags) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const updated = setFeatureFlags(content, flags);
+  if (updated === content) return false;
+
+  // Never write a file we can't read back
+  parseFeaturesConfig(updated);
+  fs.writeFileSync(filePath, updated, 'utf8');
+  return true;
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+/**
+ * Generates features.config.ts for the feature selection of a new project.
+ * Features declared by the template with a `configFlag` are listed in their
+ * own section. `devExpression` replaces __DEV__ on platforms without it,
+ * `featuresCommand: false` leaves out the "tmi features" hint for projects the
+ * command doesn't support.
+ */
+function generateFeaturesConfig(features, definitions, { devExpression = '__DEV__', featuresCommand = true } = {}) {
+  const templateFlags = definitions
+    .filter(feature => feature.configFlag)
+    .map(feature => `
+  /**
+   * ${feature.label}
+   */
+  ${feature.configFlag}: ${Boolean(features[feature.key])},
+`)
+    .join('');
+  const templateFlagsSection = templateFlags && `
+  // ============================================================================
+  // TEMPLATE FEATURES
+  // ============================================================================
+${templateFlags}`;
+
+  const content = `/**
+ * Feature Configuration
+ *
+ * This file controls which features are enabled in the app.
+ * Modify these flags to enable/disable features without removing code.
+ *
+ * When a feature is disabled:
+ * - Related UI components won't render
+ * - Related services won't initialize
+ * - Related navigation routes won't be registered
+ *
+ * Features declined when the project was created have already been removed
+ * together with their packages and native configuration.
+ *
+ * Note: Disabling a feature here does NOT remove the code/dependencies.${featuresCommand ? `
+ * To remove the packages and native configuration as well, run:
+ *   tmi features disable <feature>` : ''}
+ */
+
+export const FeaturesConfig = {
+  // ============================================================================
+  // CORE FEATURES
+  // ============================================================================
+
+  /**
+   * Firebase services (Auth, Firestore, Analytics, Crashlytics, Remote Config)
+   * When disabled: App uses local/mock authentication and storage
+   */
+  FIREBASE_ENABLED: ${features.firebase},
+
+  /**
+   * RevenueCat / In-App Purchases
+   * When disabled: Billing screens hidden, all premium features unlocked (dev mode)
+   */
+  BILLING_ENABLED: ${features.revenueCat ? '!__DEV__' : 'false'},
+
+  /**
+   * Biometric Authentication (Face ID, Touch ID, Fingerprint)
+   * When disabled: Biometric options hidden in settings
+   */
+  BIOMETRIC_ENABLED: ${features.biometric},
+
+  /**
+   * Push Notifications (Firebase Cloud Messaging + Notifee)
+   * When disabled: Notification permissions not requested, push handlers not registered
+   */
+  PUSH_NOTIFICATIONS_ENABLED: ${features.pushNotifications},
+
+  // ============================================================================
+  // OPTIONAL FEATURES
+  // ============================================================================
+
+  /**
+   * Analytics tracking (Firebase Analytics)
+   * When disabled: No events sent to analytics
+   */
+  ANALYTICS_ENABLED: ${features.firebase ? '!__DEV__' : 'false'},
+
+  /**
+   * Crashlytics error reporting
+   * When disabled: Crashes not reported to Firebase Crashlytics
+   */
+  CRASHLYTICS_ENABLED: ${features.firebase ? '!__DEV__' : 'false'},
+
+  /**
+   * Remote Config (Firebase Remote Config)
+   * When disabled: Uses local default values only
+   */
+  REMOTE_CONFIG_ENABLED: ${features.firebase},
+
+  /**
+   * Onboarding flow
+   * When disabled: Skips onboarding, goes directly to main app
+   */
+  ONBOARDING_ENABLED: true,
+
+  /**
+   * Demo screens (component showcase)
+   * When disabled: Demo tab/screens hidden
+   */
+  DEMO_SCREENS_ENABLED: __DEV__,
+${templateFlagsSection}
+  // ============================================================================
+  // DEV FEATURES
+  // ============================================================================
+
+  /**
+   * Dev bypass for authentication (skip login in development)
+   */
+  DEV_BYPASS_AUTH: __DEV__ && false,
+
+  /**
+   * Show dev menu in settings
+   */
+  DEV_MENU_ENABLED: __DEV__,
+} as const;
+
+// Type for feature keys
+export type FeatureKey = keyof typeof FeaturesConfig;
+
+// Helper to check if a feature is enabled
+export function isFeatureEnabled(feature: FeatureKey): boolean {
+  return FeaturesConfig[feature];
+}
+`;
+  return content.replace(/\b__DEV__\b/g, devExpression);
+}
+
+module.exports = {
+  parseFeaturesConfig,
+  setFeatureFlags,
+  readFeaturesConfig,
+  writeFeatureFlags,
+  generateFeaturesConfig,
+};
@@ -0,0 +1,611 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeRegExp } = require('./naming');
+const { updateFile, findFiles, insertIntoDict } = require('./files');
+
+// Everything a feature brings into the boilerplate. Paths are relative to the
+// project root, a `*` segment matches any single directory name. `configFlags`
+// are the FeaturesConfig values of an enabled feature, `install` and `setup`
+// describe what `tmi features enable` adds to an existing project. `expo` holds
+// the config plugins and app.json values of the feature in Expo projects.
+const FEATURES = [
+  {
+    key: 'firebase',
+    flag: 'firebase',
+    label: 'Firebase',
+    question: 'Include Firebase (Auth, Firestore, Analytics)?',
+    packages: ['@react-native-firebase/*'],
+    paths: [
+      'src/core/firebase',
+      'src/shared/services/firebase',
+      'firebase.json',
+      'ios/*/GoogleService-Info.plist',
+      'android/app/google-services.json',
+    ],
+    envPrefixes: ['FIREBASE_'],
+    podfilePatterns: [/\$RNFirebaseAsStaticFramework/, /pod ['"]Firebase/],
+    gradlePlugins: ['com.google.gms.google-services', 'com.google.firebase.crashlytics'],
+    gradleArtifacts: ['com.google.gms:google-services', 'com.google.firebase:'],
+    iosPatterns: [/^\s*#import <Firebase\.h>\s*$/, /^\s*\[FIRApp configure\];\s*$/, /^\s*import (Firebase|FirebaseCore)\s*$/, /^\s*FirebaseApp\.configure\(\)\s*$/],
+    configFlags: {
+      FIREBASE_ENABLED: 'true',
+      ANALYTICS_ENABLED: '!__DEV__',
+      CRASHLYTICS_ENABLED: '!__DEV__',
+      REMOTE_CONFIG_ENABLED: 'true',
+    },
+    install: [
+      '@react-native-firebase/app',
+      '@react-native-firebase/auth',
+      '@react-native-firebase/firestore',
+      '@react-native-firebase/analytics',
+      '@react-native-firebase/crashlytics',
+      '@react-native-firebase/remote-config',
+    ],
+    setup: {
+      podfileLines: ['$RNFirebaseAsStaticFramework = true'],
+      gradleClasspaths: ['com.google.gms:google-services:4.4.2', 'com.google.firebase:firebase-crashlytics-gradle:3.0.2'],
+      appDelegate: {
+        objc: { imports: ['#import <Firebase.h>'], launch: ['[FIRApp configure];'] },
+        swift: { imports: ['import Firebase'], launch: ['FirebaseApp.configure()'] },
+      },
+      notes: [
+        'Download GoogleService-Info.plist into ios/<AppName>/ and google-services.json into android/app/',
+        'Use static frameworks in ios/Podfile: use_frameworks! :linkage => :static',
+        'Add the FIREBASE_* keys to your .env files',
+      ],
+    },
+    expo: {
+      paths: ['GoogleService-Info.plist', 'google-services.json'],
+      plugins: [
+        '@react-native-firebase/app',
+        '@react-native-firebase/crashlytics',
+        ['expo-build-properties', { ios: { useFrameworks: 'static' } }],
+      ],
+      config: {
+        ios: { googleServicesFile: './GoogleService-Info.plist' },
+        android: { googleServicesFile: './google-services.json' },
+      },
+    },
+  },
+  {
+    key: 'revenueCat',
+    flag: 'revenuecat',
+    label: 'RevenueCat',
+    question: 'Include RevenueCat (In-App Purchases)?',
+    packages: ['react-native-purchases', 'react-native-purchases-ui'],
+    paths: ['src/features/billing', 'src/shared/services/billing'],
+    envPrefixes: ['REVENUECAT_'],
+    androidPermissions: ['com.android.vending.BILLING'],
+    configFlags: { BILLING_ENABLED: '!__DEV__' },
+    install: ['react-native-purchases', 'react-native-purchases-ui'],
+    setup: {
+      notes: ['Add the REVENUECAT_* API keys to your .env files'],
+    },
+  },
+  {
+    key: 'biometric',
+    flag: 'biometric',
+    label: 'Biometric Auth',
+    question: 'Include Biometric Authentication?',
+    packages: ['react-native-biometrics'],
+    paths: ['src/features/biometric', 'src/shared/services/biometric'],
+    envPrefixes: ['BIOMETRIC_'],
+    plistKeys: ['NSFaceIDUsageDescription'],
+    androidPermissions: ['android.permission.USE_BIOMETRIC', 'android.permission.USE_FINGERPRINT'],
+    configFlags: { BIOMETRIC_ENABLED: 'true' },
+    install: ['react-native-biometrics'],
+    setup: {
+      plistValues: { NSFaceIDUsageDescription: 'Use Face ID to unlock the app' },
+    },
+    expo: {
+      config: {
+        ios: { infoPlist: { NSFaceIDUsageDescription: 'Use Face ID to unlock the app' } },
+      },
+    },
+  },
+  {
+    key: 'pushNotifications',
+    flag: 'push',
+    label: 'Push Notifications',
+    question: 'Include Push Notifications?',
+    requires: ['firebase'],
+    packages: ['@notifee/react-native', '@react-native-firebase/messaging'],
+    paths: ['src/features/notifications', 'src/shared/services/notifications'],
+    envPrefixes: ['PUSH_', 'FCM_'],
+    plistStrings: ['remote-notification'],
+    entitlementKeys: ['aps-environment'],
+    androidPermissions: ['android.permission.POST_NOTIFICATIONS'],
+    configFlags: { PUSH_NOTIFICATIONS_ENABLED: 'true' },
+    install: ['@notifee/react-native', '@react-native-firebase/messaging'],
+    setup: {
+      entitlementValues: { 'aps-environment': 'development' },
+      notes: ['Enable the Push Notifications capability and upload an APNs key in the Firebase console'],
+    },
+    expo: {
+      config: {
+        ios: {
+          infoPlist: { UIBackgroundModes: ['remote-notification'] },
+          entitlements: { 'aps-environment': 'development' },
+        },
+      },
+    },
+  },
+];
+
+const PATTERN_FIELDS = ['podfilePatterns', 'iosPatterns'];
+
+function getFeature(key, definitions = FEATURES) {
+  return definitions.find(feature => feature.key === key || feature.flag === key);
+}
+
+/**
+ * Merges feature definitions declared by a template manifest into the built-in
+ * ones. Entries with a known key override its fields, new keys are appended.
+ * Pattern fields may be given as strings in JSON.
+ */
+function mergeFeatureDefinitions(overrides = []) {
+  const definitions = FEATURES.map(feature => ({ ...feature }));
+
+  for (const override of overrides) {
+    const feature = { ...override };
+    for (const field of PATTERN_FIELDS) {
+      if (feature[field]) {
+        feature[field] = feature[field].map(pattern => (pattern instanceof RegExp ? pattern : new RegExp(pattern)));
+      }
+    }
+
+    const index = definitions.findIndex(definition => definition.key === feature.key);
+    if (index >= 0) {
+      definitions[index] = { ...definitions[index], ...feature };
+    } else {
+      definitions.push({
+        flag: feature.key.toLowerCase(),
+        label: feature.key,
+        question: `Include ${feature.label || feature.key}?`,
+        configFlags: feature.configFlag ? { [feature.configFlag]: 'true' } : {},
+        ...feature,
+      });
+    }
+  }
+
+  return definitions;
+}
+
+/**
+ * Turns off features whose requirements are disabled. Returns the list of
+ * [feature, requirement] pairs that were turned off.
+ */
+function resolveFeatureDependencies(features, definitions = FEATURES) {
+  const disabled = [];
+  for (const feature of definitions) {
+    if (!features[feature.key]) continue;
+    const missing = (feature.requires || []).find(key => !features[key]);
+    if (missing) {
+      features[feature.key] = false;
+      disabled.push([feature, getFeature(missing, definitions)]);
+    }
+  }
+  return disabled;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function matchesPackage(name, patterns) {
+  return patterns.some(pattern => (pattern.endsWith('/*')
+    ? name.startsWith(pattern.slice(0, -1))
+    : name === pattern));
+}
+
+function expandPath(rootDir, pattern) {
+  let matches = [rootDir];
+  for (const segment of pattern.split('/')) {
+    const next = [];
+    for (const dir of matches) {
+      if (segment === '*') {
+        if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) continue;
+        for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+          if (item.isDirectory()) next.push(path.join(dir, item.name));
+        }
+      } else {
+        next.push(path.join(dir, segment));
+      }
+    }
+    matches = next;
+  }
+  return matches.filter(match => fs.existsSync(match));
+}
+
+function removeLines(content, predicate) {
+  return content
+    .split('\n')
+    .filter(line => !predicate(line))
+    .join('\n');
+}
+
+function removePlistKey(content, key) {
+  const value = '(<(string|true|false)\\s*/>|<string>[^<]*</string>|<(array|dict)>[\\s\\S]*?</\\3>|<(true|false)/>)';
+  return content.replace(new RegExp(`\\s*<key>${escapeRegExp(key)}</key>\\s*${value}`, 'g'), '');
+}
+
+// ============================================================================
+// PRUNING
+// ============================================================================
+
+function prunePackages(rootDir, feature, result) {
+  const pkgPath = path.join(rootDir, 'package.json');
+  if (!fs.existsSync(pkgPath)) return;
+
+  const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+  let changed = false;
+  for (const field of ['dependencies', 'devDependencies', 'peerDependencies']) {
+    for (const name of Object.keys(pkg[field] || {})) {
+      if (matchesPackage(name, feature.packages || [])) {
+        delete pkg[field][name];
+        result.packages.push(name);
+        changed = true;
+      }
+    }
+  }
+  if (changed) {
+    fs.writeFileSync(pkgPath, JSON.stringify(pkg, null, 2) + '\n', 'utf8');
+  }
+}
+
+function prunePaths(rootDir, feature, result) {
+  for (const pattern of feature.paths || []) {
+    for (const match of expandPath(rootDir, pattern)) {
+      fs.rmSync(match, { recursive: true, force: true });
+      result.paths.push(path.relative(rootDir, match));
+    }
+  }
+}
+
+function pruneModuleRegistry(rootDir, removedPaths) {
+  const registryPath = path.join(rootDir, 'src', 'app', 'modules', 'registry.ts');
+  const featureNames = removedPaths
+    .filter(removed => removed.startsWith(`src${path.sep}features${path.sep}`))
+    .map(removed => removed.split(path.sep)[2]);
+  if (featureNames.length === 0) return false;
+
+  return updateFile(registryPath, content => {
+    for (const name of featureNames) {
+      const importPattern = new RegExp(`^import\\s*\\{([^}]*)\\}\\s*from\\s*['"]@features/${escapeRegExp(name)}(/[^'"]*)?['"];?[ \\t]*\\r?\\n`, 'm');
+      const match = content.match(importPattern);
+      if (!match) continue;
+      content = content.replace(importPattern, '');
+      for (const identifier of match[1].split(',').map(id => id.trim()).filter(Boolean)) {
+        content = content.replace(new RegExp(`\\s*\\b${escapeRegExp(identifier)}\\b,?(?=[\\s\\]])`, 'g'), '');
+      }
+    }
+    return content;
+  });
+}
+
+function pruneEnv(rootDir, feature, result) {
+  if (!feature.envPrefixes) return;
+  for (const envFile of ['.env.example', '.env']) {
+    const envPath = path.join(rootDir, envFile);
+    const changed = updateFile(envPath, content => removeLines(content, line =>
+      feature.envPrefixes.some(prefix => line.trim().startsWith(prefix))));
+    if (changed) result.files.push(envFile);
+  }
+}
+
+function pruneNative(rootDir, feature, result) {
+  const track = filePath => result.files.push(path.relative(rootDir, filePath));
+
+  if (feature.podfilePatterns) {
+    const podfilePath = path.join(rootDir, 'ios', 'Podfile');
+    if (updateFile(podfilePath, content => removeLines(content, line =>
+      feature.podfilePatterns.some(pattern => pattern.test(line))))) {
+      track(podfilePath);
+    }
+  }
+
+  if (feature.gradlePlugins || feature.gradleArtifacts) {
+    const gradleFiles = ['build.gradle', 'build.gradle.kts', 'app/build.gradle', 'app/build.gradle.kts']
+      .map(file => path.join(rootDir, 'android', file));
+    const gradlePatterns = [
+      ...(feature.gradlePlugins || []).map(plugin => new RegExp(
+        `(apply plugin:\\s*|\\bid\\s*\\(?\\s*)["']${escapeRegExp(plugin)}["']`)),
+      ...(feature.gradleArtifacts || []).map(artifact => new RegExp(`["']${escapeRegExp(artifact)}`)),
+    ];
+    for (const gradlePath of gradleFiles) {
+      if (updateFile(gradlePath, content => removeLines(content, line =>
+        gradlePatterns.some(pattern => pattern.test(line))))) {
+        track(gradlePath);
+      }
+    }
+  }
+
+  if (feature.androidPermissions) {
+    for (const manifestPath of findFiles(path.join(rootDir, 'android', 'app', 'src'), 'AndroidManifest.xml')) {
+      if (updateFile(manifestPath, content => removeLines(content, line =>
+        feature.androidPermissions.some(permission => line.includes(`"${permission}"`) && line.includes('uses-permission'))))) {
+        track(manifestPath);
+      }
+    }
+  }
+
+  const iosDir = path.join(rootDir, 'ios');
+  if (feature.plistKeys) {
+    for (const plistPath of findFiles(iosDir, 'Info.plist')) {
+      if (updateFile(plistPath, content => feature.plistKeys.reduce(removePlistKey, content))) {
+        track(plistPath);
+      }
+    }
+  }
+
+  if (feature.plistStrings) {
+    for (const plistPath of findFiles(iosDir, 'Info.plist')) {
+      if (updateFile(plistPath, content => removeLines(content, line =>
+        feature.plistStrings.some(value => line.trim() === `<string>${value}</string>`))
+        .replace(/\s*<key>[^<]*<\/key>\s*<array>\s*<\/array>/g, ''))) {
+        track(plistPath);
+      }
+    }
+  }
+
+  if (feature.entitlementKeys) {
+    for (const entitlementsPath of findFiles(iosDir, name => name.endsWith('.entitlements'))) {
+      if (updateFile(entitlementsPath, content => feature.entitlementKeys.reduce(removePlistKey, content))) {
+        track(entitlementsPath);
+      }
+    }
+  }
+
+  if (feature.iosPatterns) {
+    const isAppDelegate = name => /^AppDelegate\.(m|mm|swift)$/.test(name);
+    for (const appDelegatePath of findFiles(iosDir, isAppDelegate)) {
+      if (updateFile(appDelegatePath, content => removeLines(content, line =>
+        feature.iosPatterns.some(pattern => pattern.test(line))))) {
+        track(appDelegatePath);
+      }
+    }
+  }
+}
+
+/**
+ * Removes the packages, source folders, native configuration and env keys of
+ * every disabled feature from the project at `rootDir`.
+ */
+function pruneDisabledFeatures(rootDir, features, definitions = FEATURES) {
+  const result = { packages: [], paths: [], files: [] };
+
+  for (const feature of definitions) {
+    if (features[feature.key]) continue;
+    prunePackages(rootDir, feature, result);
+    prunePaths(rootDir, feature, result);
+    pruneEnv(rootDir, feature, result);
+    pruneNative(rootDir, feature, result);
+  }
+
+  if (pruneModuleRegistry(rootDir, result.paths)) {
+    result.files.push(path.join('src', 'app', 'modules', 'registry.ts'));
+  }
+
+  result.files = [...new Set(result.files)];
+  return result;
+}
+
+// ============================================================================
+// SETUP
+// ============================================================================
+
+function insertAfterLastMatch(content, pattern, text) {
+  const matches = [...content.matchAll(pattern)];
+  if (matches.length === 0) return null;
+  const last = matches[matches.length - 1];
+  const at = last.index + last[0].length;
+  return content.slice(0, at) + text + content.slice(at);
+}
+
+function setupAndroidPermissions(rootDir, permissions, track, notes) {
+  const manifestPath = path.join(rootDir, 'android', 'app', 'src', 'main', 'AndroidManifest.xml');
+  if (!fs.existsSync(manifestPath)) {
+    notes.push(`Add the ${permissions.join(', ')} permission(s) to your AndroidManifest.xml`);
+    return;
+  }
+  if (updateFile(manifestPath, content => {
+    const missing = permissions.filter(permission => !content.includes(`"${permission}"`));
+    if (missing.length === 0) return content;
+    const lines = indent => missing.map(permission => `\n${indent}<uses-permission android:name="${permission}" />`).join('');
+    const last = [...content.matchAll(/^([ \t]*)<uses-permission\b.*$/gm)].pop();
+    if (last) {
+      const at = last.index + last[0].length;
+      return content.slice(0, at) + lines(last[1]) + content.slice(at);
+    }
+    return content.replace(/^([ \t]*)(<application\b)/m, (match, indent, tag) => `${lines(indent).slice(1)}\n${indent}${tag}`);
+  })) {
+    track(manifestPath);
+  }
+}
+
+function setupGradle(rootDir, feature, track, notes) {
+  const appGradlePath = path.join(rootDir, 'android', 'app', 'build.gradle');
+  if (feature.gradlePlugins && updateFile(appGradlePath, content => {
+    const missing = feature.gradlePlugins.filter(plugin => !new RegExp(`["']${escapeRegExp(plugin)}["']`).test(content));
+    if (missing.length === 0) return content;
+    const quote = (/^apply plugin:\s*(["'])/m.exec(content) || [null, '"'])[1];
+    const updated = insertAfterLastMatch(content, /^apply plugin:.*$/gm,
+      missing.map(plugin => `\napply plugin: ${quote}${plugin}${quote}`).join(''));
+    if (!updated) notes.push(`Apply the Gradle plugin(s) ${missing.join(', ')} in android/app/build.gradle`);
+    return updated || content;
+  })) {
+    track(appGradlePath);
+  }
+
+  const classpaths = (feature.setup && feature.setup.gradleClasspaths) || [];
+  const rootGradlePath = path.join(rootDir, 'android', 'build.gradle');
+  if (classpaths.length > 0 && updateFile(rootGradlePath, content => {
+    // Compare without the version, the project may pin a different one
+    const missing = classpaths.filter(artifact => !content.includes(artifact.replace(/:[^:]*$/, ':')));
+    if (missing.length === 0) return content;
+    const last = [...content.matchAll(/^([ \t]*)classpath\b.*$/gm)].pop();
+    if (!last) {
+      notes.push(`Add classpath(s) ${missing.join(', ')} to the buildscript dependencies in android/build.gradle`);
+      return content;
+    }
+    const at = last.index + last[0].length;
+    return content.slice(0, at) + missing.map(artifact => `\n${last[1]}classpath("${artifact}")`).join('') + content.slice(at);
+  })) {
+    track(rootGradlePath);
+  }
+}
+
+function setupPodfile(rootDir, lines, track) {
+  const podfilePath = path.join(rootDir, 'ios', 'Podfile');
+  if (updateFile(podfilePath, content => {
+    const missing = lines.filter(line => !content.includes(line));
+    if (missing.length === 0) return content;
+    const target = /^target\s/m.exec(content);
+    const at = target ? target.index : content.length;
+    return `${content.slice(0, at)}${missing.join('\n')}\n${content.slice(at)}`;
+  })) {
+    track(podfilePath);
+  }
+}
+
+function setupPlists(iosDir, setup, feature, track) {
+  const plistValues = Object.entries(setup.plistValues || {});
+  const backgroundModes = feature.plistStrings || [];
+  if (plistValues.length === 0 && backgroundModes.length === 0) return;
+
+  for (const plistPath of findFiles(iosDir, 'Info.plist')) {
+    if (updateFile(plistPath, content => {
+      const entries = plistValues
+        .filter(([key]) => !content.includes(`<key>${key}</key>`))
+        .map(([key, value]) => `\t<key>${key}</key>\n\t<string>${value}</string>\n`)
+        .join('');
+      let updated = entries ? insertIntoDict(content, entries) || content : content;
+
+      const missingModes = backgroundModes.filter(mode => !updated.includes(`<string>${mode}</string>`));
+      if (missingModes.length > 0) {
+        const strings = missingModes.map(mode => `\t\t<string>${mode}</string>\n`).join('');
+        const modes = /(<key>UIBackgroundModes<\/key>\s*<array>[ \t]*\r?\n?)/.exec(updated);
+        updated = modes
+          ? updated.replace(modes[0], `${modes[0]}${strings}`)
+          : insertIntoDict(updated, `\t<key>UIBackgroundModes</key>\n\t<array>\n${strings}\t</array>\n`) || updated;
+      }
+      return updated;
+    })) {
+      track(plistPath);
+    }
+  }
+}
+
+function setupEntitlements(iosDir, values, track, notes) {
+  const keys = Object.keys(values);
+  const entitlementFiles = findFiles(iosDir, name => name.endsWith('.entitlements'));
+  if (entitlementFiles.length === 0) {
+    notes.push(`Add the ${keys.join(', ')} entitlement(s) in Xcode (Signing & Capabilities)`);
+    return;
+  }
+  for (const entitlementsPath of entitlementFiles) {
+    if (updateFile(entitlementsPath, content => {
+      const entries = keys
+        .filter(key => !content.includes(`<key>${key}</key>`))
+        .map(key => `\t<key>${key}</key>\n\t<string>${values[key]}</string>\n`)
+        .join('');
+      return entries ? insertIntoDict(content, entries) || content : content;
+    })) {
+      track(entitlementsPath);
+    }
+  }
+}
+
+function setupAppDelegate(iosDir, setup, track, notes) {
+  const isAppDelegate = name => /^AppDelegate\.(m|mm|swift)$/.test(name);
+  const appDelegates = findFiles(iosDir, isAppDelegate);
+  if (appDelegates.length === 0) {
+    notes.push('AppDelegate not found, add the native initialization by hand');
+    return;
+  }
+
+  for (const appDelegatePath of appDelegates) {
+    const code = appDelegatePath.endsWith('.swift') ? setup.swift : setup.objc;
+    if (updateFile(appDelegatePath, content => {
+      const imports = code.imports.filter(line => !content.includes(line));
+      if (imports.length > 0) {
+        content = insertAfterLastMatch(content, /^\s*(#import|@import|import)\b.*$/gm, imports.map(line => `\n${line}`).join(''))
+          || `${imports.join('\n')}\n${content}`;
+      }
+
+      const launch = code.launch.filter(line => !content.includes(line));
+      const method = /didFinishLaunchingWithOptions[^{]*\{[ \t]*\r?\n([ \t]*)/.exec(content);
+      if (launch.length > 0) {
+        if (method) {
+          const at = method.index + method[0].length - method[1].length;
+          content = content.slice(0, at) + launch.map(line => `${method[1]}${line}\n`).join('') + content.slice(at);
+        } else {
+          notes.push(`Call ${launch.join(' ')} in ${path.basename(appDelegatePath)} didFinishLaunchingWithOptions`);
+        }
+      }
+      return content;
+    })) {
+      track(appDelegatePath);
+    }
+  }
+}
+
+/**
+ * Adds the native configuration of `feature` to an existing project: Android
+ * permissions and Gradle plugins, Podfile lines, Info.plist and entitlement
+ * keys and the AppDelegate initialization. Returns the updated files and notes
+ * for whatever has to be done by hand.
+ */
+function setupFeature(rootDir, feature) {
+  const result = { files: [], notes: [] };
+  const track = filePath => result.files.push(path.relative(rootDir, filePath));
+  const setup = feature.setup || {};
+  const iosDir = path.join(rootDir, 'ios');
+
+  if (feature.androidPermissions) setupAndroidPermissions(rootDir, feature.androidPermissions, track, result.notes);
+  if (feature.gradlePlugins || setup.gradleClasspaths) setupGradle(rootDir, feature, track, result.notes);
+  if (setup.podfileLines) setupPodfile(rootDir, setup.podfileLines, track);
+  setupPlists(iosDir, setup, feature, track);
+  if (setup.entitlementValues) setupEntitlements(iosDir, setup.entitlementValues, track, result.notes);
+  if (setup.appDelegate) setupAppDelegate(iosDir, setup.appDelegate, track, result.notes);
+
+  const missingPaths = (feature.paths || []).filter(pattern => !pattern.includes('*') && !pattern.endsWith('.json'))
+    .filter(pattern => expandPath(rootDir, pattern).length === 0);
+  if (missingPaths.length > 0) {
+    result.notes.push(`Source folders not found (removed when the project was created): ${missingPaths.join(', ')}. Copy them from the template.`);
+  }
+  result.notes.push(...(setup.notes || []));
+
+  result.files = [...new Set(result.files)];
+  return result;
+}
+
+/**
+ * Removes the packages and native configuration of `feature` from an existing
+ * project. Its source folders are only deleted with `removeCode`.
+ */
+function removeFeature(rootDir, feature, { removeCode = false } = {}) {
+  const result = { packages: [], paths: [], files: [] };
+  prunePackages(rootDir, feature, result);
+  pruneNative(rootDir, feature, result);
+
+  if (removeCode) {
+    prunePaths(rootDir, feature, result);
+    if (pruneModuleRegistry(rootDir, result.paths)) {
+      result.files.push(path.join('src', 'app', 'modules', 'registry.ts'));
+    }
+  }
+
+  result.files = [...new Set(result.files)];
+  return result;
+}
+
+module.exports = {
+  FEATURES,
+  getFeature,
+  mergeFeatureDefinitions,
+  resolveFeatureDependencies,
+  pruneDisabledFeatures,
+  setupFeature,
+  removeFeature,
+};
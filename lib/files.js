@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+
+const SKIPPED_DIRS = ['node_modules', 'Pods', 'build', '.git'];
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+/**
+ * Rewrites a file with `transform(content)`. Returns false when the file is
+ * missing or the content didn't change.
+ */
+function updateFile(filePath, transform) {
+  if (!fs.existsSync(filePath)) return false;
+  const content = fs.readFileSync(filePath, 'utf8');
+  const updated = transform(content);
+  if (updated === content) return false;
+  fs.writeFileSync(filePath, updated, 'utf8');
+  return true;
+}
+
+// Files below `dirPath` matching a file name or a predicate on the name
+function findFiles(dirPath, match, skip = SKIPPED_DIRS) {
+  if (!fs.existsSync(dirPath)) return [];
+  const results = [];
+  for (const item of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const fullPath = path.join(dirPath, item.name);
+    if (item.isDirectory()) {
+      if (!skip.includes(item.name)) results.push(...findFiles(fullPath, match, skip));
+    } else if (typeof match === 'function' ? match(item.name) : item.name === match) {
+      results.push(fullPath);
+    }
+  }
+  return results;
+}
+
+// Renames a directory, or copies it when the target is on another device
+function moveDirectory(fromDir, toDir) {
+  try {
+    fs.renameSync(fromDir, toDir);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    try {
+      fs.cpSync(fromDir, toDir, { recursive: true, verbatimSymlinks: true });
+    } catch (copyError) {
+      fs.rmSync(toDir, { recursive: true, force: true });
+      throw copyError;
+    }
+    fs.rmSync(fromDir, { recursive: true, force: true });
+  }
+}
+
+function insertAt(content, index, text) {
+  return content.slice(0, index) + text + content.slice(index);
+}
+
+// ============================================================================
+// GRADLE
+// ============================================================================
+
+/**
+ * Finds the Groovy block `name { ... }` starting the search at `from` (and
+ * before `until`). Returns the offsets of the block start, the character after
+ * its opening brace and its closing brace.
+ */
+function findBlock(content, name, from = 0, until = content.length) {
+  const pattern = new RegExp(`\\b${name}\\s*\\{`, 'g');
+  pattern.lastIndex = from;
+  const match = pattern.exec(content);
+  if (!match || match.index >= until) return null;
+
+  let depth = 0;
+  for (let i = match.index + match[0].length - 1; i < content.length; i++) {
+    if (content[i] === '{') depth++;
+    else if (content[i] === '}' && --depth === 0) {
+      return { start: match.index, open: match.index + match[0].length, close: i };
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// PLISTS
+// ============================================================================
+
+// Appends `entries` to the root dict, null if the content has none
+function insertIntoDict(content, entries) {
+  if (/<dict\s*\/>/.test(content)) {
+    return content.replace(/<dict\s*\/>/, `<dict>\n${entries}</dict>`);
+  }
+  const index = content.lastIndexOf('</dict>');
+  if (index === -1) return null;
+  return insertAt(content, index, entries);
+}
+
+module.exports = {
+  updateFile,
+  findFiles,
+  moveDirectory,
+  insertAt,
+  findBlock,
+  insertIntoDict,
+};
@@ -0,0 +1,112 @@
+const { runCommand, lastLine } = require('./exec');
+const fs = require('fs');
+const path = require('path');
+
+// Used for the initial commit only, when no identity is configured
+const FALLBACK_IDENTITY = {
+  name: 'TMI CLI',
+  email: 'tmi-cli@users.noreply.github.com',
+};
+
+const GITIGNORE_ENTRIES = ['.env', '.env.development', '.env.staging', '.env.production', '.env*.local'];
+
+// Runs git and returns its trimmed output. Errors name the subcommand, which
+// comes after any `-c key=value` options.
+function git(args, options = {}) {
+  const result = runCommand('git', args, options);
+  if (result.error) throw result.error;
+  if (result.status !== 0) {
+    const subcommand = args.find((arg, i) => arg !== '-c' && args[i - 1] !== '-c');
+    const output = lastLine(result.stderr || result.stdout);
+    throw new Error(`git ${subcommand} failed${output ? `: ${output}` : ''}`);
+  }
+  return result.stdout.trim();
+}
+
+function getConfig(key, cwd) {
+  try {
+    return git(['config', '--get', key], { cwd }) || null;
+  } catch {
+    return null;
+  }
+}
+
+function validateBranchName(name) {
+  if (!name) return 'Branch name is required';
+  if (/[\s~^:?*[\\]|\.\.|@\{|^[-/]|\/$|\.lock$|\.$/.test(name)) {
+    return `Invalid branch name "${name}"`;
+  }
+  return null;
+}
+
+/**
+ * Makes sure the project's .gitignore covers the local files the CLI creates
+ * (env files by default). Returns the entries that were added.
+ */
+function ensureGitignore(projectDir, entries = GITIGNORE_ENTRIES, section = 'Environment') {
+  const gitignorePath = path.join(projectDir, '.gitignore');
+  const content = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, 'utf8') : '';
+  const existing = new Set(content.split(/\r?\n/).map(line => line.trim()));
+  const missing = entries.filter(entry => !existing.has(entry) && !existing.has(`/${entry}`));
+  if (missing.length === 0) return [];
+
+  const prefix = content && !content.endsWith('\n') ? '\n' : '';
+  const header = `${content ? '\n' : ''}# ${section}\n`;
+  fs.writeFileSync(gitignorePath, `${content}${prefix}${header}${missing.join('\n')}\n`, 'utf8');
+  return missing;
+}
+
+/**
+ * Initializes a repository in `projectDir` and creates the initial commit.
+ * Problems after `git init` (no identity, failing hooks, signing) are returned
+ * as warnings instead of failing the whole generation.
+ */
+function initRepository(projectDir, { initialBranch, remote, message = 'Initial commit from TMI boilerplate' } = {}) {
+  const result = { initialized: false, committed: false, remote: null, warnings: [] };
+
+  git(['init', '--quiet'], { cwd: projectDir });
+  result.initialized = true;
+
+  if (initialBranch) {
+    // Works on git versions that predate `git init --initial-branch`
+    git(['symbolic-ref', 'HEAD', `refs/heads/${initialBranch}`], { cwd: projectDir });
+  }
+
+  if (remote) {
+    try {
+      git(['remote', 'add', 'origin', remote], { cwd: projectDir });
+      result.remote = remote;
+    } catch (error) {
+      result.warnings.push(`Could not add remote origin: ${error.message}`);
+    }
+  }
+
+  const identityArgs = [];
+  if (!getConfig('user.name', projectDir) || !getConfig('user.email', projectDir)) {
+    identityArgs.push(
+      '-c', `user.name=${getConfig('user.name', projectDir) || FALLBACK_IDENTITY.name}`,
+      '-c', `user.email=${getConfig('user.email', projectDir) || FALLBACK_IDENTITY.email}`,
+    );
+    result.warnings.push(
+      `No git identity configured, initial commit authored as "${FALLBACK_IDENTITY.name}". ` +
+      'Run: git config --global user.name "Your Name" && git config --global user.email "you@example.com"',
+    );
+  }
+
+  try {
+    git(['add', '-A'], { cwd: projectDir });
+    git([...identityArgs, 'commit', '--quiet', '--no-verify', '-m', message], { cwd: projectDir });
+    result.committed = true;
+  } catch (error) {
+    result.warnings.push(`Initial commit skipped (${error.message}). Commit manually with: git add -A && git commit`);
+  }
+
+  return result;
+}
+
+module.exports = {
+  git,
+  validateBranchName,
+  ensureGitignore,
+  initRepository,
+};
@@ -0,0 +1,61 @@
+const chalk = require('chalk');
+
+// Help output generated from the command definitions:
+// { name, usage, description, options, notes, examples }
+
+const HELP_OPTION = { type: 'boolean', alias: 'h', description: 'Show help for this command' };
+
+function formatOptionLabel(name, def) {
+  const flag = def.type === 'boolean' && def.negatable ? `--[no-]${name}` : `--${name}`;
+  const placeholder = def.value || (def.choices ? `<${def.choices.join('|')}>` : '<value>');
+  const value = def.type === 'string' ? ` ${placeholder}` : '';
+  return `${def.alias ? `-${def.alias}, ` : ''}${flag}${value}`;
+}
+
+/**
+ * Two aligned columns, at least as wide as the hand-written help used to be.
+ */
+function formatColumns(rows, minWidth) {
+  const width = Math.max(minWidth, ...rows.map(([label]) => label.length + 1));
+  return rows.map(([label, description]) => `  ${label.padEnd(width)} ${description}`.trimEnd());
+}
+
+function printCommandHelp(definition) {
+  const options = { ...definition.options, help: HELP_OPTION };
+  const hasOptions = Object.keys(definition.options || {}).length > 0;
+
+  console.log(chalk.cyan(`\n🚀 tmi ${definition.name} - ${definition.description}\n`));
+  console.log(chalk.white(`Usage: tmi ${definition.usage || definition.name}${hasOptions ? ' [options]' : ''}\n`));
+
+  console.log(chalk.yellow('Options:\n'));
+  const rows = Object.entries(options).map(([name, def]) => [formatOptionLabel(name, def), def.description || '']);
+  formatColumns(rows, 25).forEach(line => console.log(chalk.white(line)));
+
+  if (definition.notes && definition.notes.length > 0) {
+    console.log('');
+    definition.notes.forEach(note => console.log(chalk.gray(`  ${note}`)));
+  }
+
+  if (definition.examples && definition.examples.length > 0) {
+    console.log(chalk.yellow('\nExamples:\n'));
+    definition.examples.forEach(example => console.log(chalk.gray(`  ${example}`)));
+  }
+  console.log('');
+}
+
+/**
+ * Lists commands as `usage  description`, `suffix` is appended in gray
+ * (used for the plugin name).
+ */
+function formatCommandList(definitions, suffix = () => '') {
+  const rows = definitions.map(definition => [definition.usage || definition.name, definition.description || '']);
+  return formatColumns(rows, 17).map((line, index) => {
+    const extra = suffix(definitions[index]);
+    return chalk.white(line) + (extra ? chalk.gray(` ${extra}`) : '');
+  });
+}
+
+module.exports = {
+  printCommandHelp,
+  formatCommandList,
+};
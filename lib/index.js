@@ -0,0 +1,21 @@
+// Programmatic API: require('@tmidev/tmi-cli')
+//
+// The functions never prompt or exit the process. They report progress
+// through an `onProgress` callback (see lib/progress), resolve to result
+// objects and throw the errors of lib/errors.
+
+const { fetchProjectTemplate, createReactNativeProject } = require('./react-native');
+const { checkRequirements } = require('./project');
+const { findProjectRoot, generateFeature } = require('./feature-generator');
+const { FEATURES } = require('./features');
+const errors = require('./errors');
+
+module.exports = {
+  createReactNativeProject,
+  fetchProjectTemplate,
+  checkRequirements,
+  generateFeature,
+  findProjectRoot,
+  FEATURES,
+  ...errors,
+};
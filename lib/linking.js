@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeRegExp } = require('./naming');
+const { updateFile, insertIntoDict } = require('./files');
+
+const ASSOCIATED_DOMAINS_KEY = 'com.apple.developer.associated-domains';
+
+function validateUrlScheme(scheme) {
+  if (!scheme) return 'URL scheme is required';
+  if (!/^[a-z][a-z0-9+.-]*$/.test(scheme)) {
+    return `Invalid URL scheme "${scheme}". Use lowercase letters, numbers, "+", "." or "-", starting with a letter (e.g., myapp)`;
+  }
+  if (['http', 'https', 'file', 'mailto', 'tel'].includes(scheme)) {
+    return `URL scheme "${scheme}" is reserved`;
+  }
+  return null;
+}
+
+function validateLinkDomain(domain) {
+  if (!/^(\*\.)?([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i.test(domain)) {
+    return `Invalid link domain "${domain}". Use a host name without scheme or path (e.g., example.com or *.example.com)`;
+  }
+  return null;
+}
+
+/**
+ * Accepts a comma separated string or an array of domains.
+ */
+function parseLinkDomains(value) {
+  if (!value) return [];
+  const domains = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(domains.map(domain => String(domain).trim().toLowerCase()).filter(Boolean))];
+}
+
+function getLinkingPrefixes({ scheme, domains = [] }) {
+  return [
+    ...(scheme ? [`${scheme}://`] : []),
+    ...domains.map(domain => `https://${domain}`),
+  ];
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Adds `items` to the array under `key` in the root dict, creating it if needed
+function addToPlistArray(content, key, items) {
+  const missing = items.filter(item => !content.includes(item.trim()));
+  if (missing.length === 0) return content;
+
+  const empty = new RegExp(`(<key>${escapeRegExp(key)}</key>\\s*)<array\\s*/>`);
+  if (empty.test(content)) {
+    return content.replace(empty, `$1<array>\n${missing.join('')}\t</array>`);
+  }
+  const existing = new RegExp(`<key>${escapeRegExp(key)}</key>\\s*<array>[ \\t]*\\r?\\n?`).exec(content);
+  if (existing) {
+    const at = existing.index + existing[0].length;
+    return content.slice(0, at) + missing.join('') + content.slice(at);
+  }
+  return insertIntoDict(content, `\t<key>${key}</key>\n\t<array>\n${missing.join('')}\t</array>\n`) || content;
+}
+
+/**
+ * Directories under ios/ holding an app target's Info.plist (test targets
+ * excluded).
+ */
+function getIosAppDirs(iosDir) {
+  if (!fs.existsSync(iosDir)) return [];
+  return fs.readdirSync(iosDir, { withFileTypes: true })
+    .filter(item => item.isDirectory() && !/Tests$/.test(item.name))
+    .map(item => item.name)
+    .filter(name => fs.existsSync(path.join(iosDir, name, 'Info.plist')));
+}
+
+// ============================================================================
+// IOS
+// ============================================================================
+
+function configureUrlTypes(projectDir, iosDir, appDir, scheme, bundleId, result) {
+  const plistPath = path.join(iosDir, appDir, 'Info.plist');
+  const urlType = [
+    '\t\t<dict>\n',
+    '\t\t\t<key>CFBundleURLName</key>\n',
+    `\t\t\t<string>${bundleId}</string>\n`,
+    '\t\t\t<key>CFBundleURLSchemes</key>\n',
+    '\t\t\t<array>\n',
+    `\t\t\t\t<string>${scheme}</string>\n`,
+    '\t\t\t</array>\n',
+    '\t\t</dict>\n',
+  ].join('');
+
+  if (updateFile(plistPath, content => (
+    new RegExp(`<key>CFBundleURLSchemes</key>\\s*<array>[^/]*<string>${escapeRegExp(scheme)}</string>`).test(content)
+      ? content
+      : addToPlistArray(content, 'CFBundleURLTypes', [urlType])))) {
+    result.updated.push(path.relative(projectDir, plistPath));
+  }
+}
+
+function createEntitlements(projectDir, iosDir, appDir, result) {
+  const entitlementsFile = `${appDir}/${appDir}.entitlements`;
+  const entitlementsPath = path.join(iosDir, entitlementsFile);
+  fs.writeFileSync(entitlementsPath, [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+    '<plist version="1.0">',
+    '<dict/>',
+    '</plist>',
+    '',
+  ].join('\n'), 'utf8');
+  result.updated.push(path.relative(projectDir, entitlementsPath));
+
+  // Point the app target's build configurations at the new file
+  const project = fs.readdirSync(iosDir).find(name => name.endsWith('.xcodeproj'));
+  const pbxprojPath = project && path.join(iosDir, project, 'project.pbxproj');
+  const linked = pbxprojPath && updateFile(pbxprojPath, content => content.replace(
+    /(buildSettings = \{\r?\n)([^}]*?INFOPLIST_FILE = "?([^";]+)"?;[^}]*?\})/g,
+    (match, start, body, infoPlist) => (
+      infoPlist === `${appDir}/Info.plist` && !body.includes('CODE_SIGN_ENTITLEMENTS')
+        ? `${start}\t\t\t\tCODE_SIGN_ENTITLEMENTS = ${entitlementsFile};\n${body}`
+        : match)));
+
+  if (linked) {
+    result.updated.push(path.relative(projectDir, pbxprojPath));
+  } else {
+    result.warnings.push(`Created ios/${entitlementsFile}, set it as Code Signing Entitlements of the ${appDir} target in Xcode`);
+  }
+  return entitlementsPath;
+}
+
+function configureAssociatedDomains(projectDir, iosDir, appDir, domains, result) {
+  const appPath = path.join(iosDir, appDir);
+  let entitlementFiles = fs.readdirSync(appPath)
+    .filter(name => name.endsWith('.entitlements'))
+    .map(name => path.join(appPath, name));
+  if (entitlementFiles.length === 0) {
+    entitlementFiles = [createEntitlements(projectDir, iosDir, appDir, result)];
+  }
+
+  const items = domains.map(domain => `\t\t<string>applinks:${domain}</string>\n`);
+  for (const entitlementsPath of entitlementFiles) {
+    if (updateFile(entitlementsPath, content => addToPlistArray(content, ASSOCIATED_DOMAINS_KEY, items))) {
+      result.updated.push(path.relative(projectDir, entitlementsPath));
+    }
+  }
+}
+
+// ============================================================================
+// ANDROID
+// ============================================================================
+
+function intentFilter(indent, { autoVerify, data }) {
+  const inner = `${indent}    `;
+  return [
+    `${indent}<intent-filter${autoVerify ? ' android:autoVerify="true"' : ''}>`,
+    `${inner}<action android:name="android.intent.action.VIEW" />`,
+    `${inner}<category android:name="android.intent.category.DEFAULT" />`,
+    `${inner}<category android:name="android.intent.category.BROWSABLE" />`,
+    ...data.map(attributes => `${inner}<data ${attributes} />`),
+    `${indent}</intent-filter>`,
+  ].map(line => `${line}\n`).join('');
+}
+
+function findMainActivity(content) {
+  const activities = [...content.matchAll(/<activity\b[\s\S]*?<\/activity>/g)];
+  return activities.find(match => /android:name="[\w.]*MainActivity"/.test(match[0]))
+    || activities.find(match => match[0].includes('android.intent.category.LAUNCHER'));
+}
+
+function configureAndroidManifest(projectDir, { scheme, domains }, result) {
+  const manifestPath = path.join(projectDir, 'android', 'app', 'src', 'main', 'AndroidManifest.xml');
+  if (!fs.existsSync(manifestPath)) {
+    result.warnings.push('android/app/src/main/AndroidManifest.xml not found, Android deep links not configured');
+    return;
+  }
+
+  if (updateFile(manifestPath, content => {
+    const activity = findMainActivity(content);
+    if (!activity) {
+      result.warnings.push('Main activity not found in AndroidManifest.xml, Android deep links not configured');
+      return content;
+    }
+
+    const closing = /^([ \t]*)<\/activity>/m.exec(activity[0]);
+    const indent = `${closing ? closing[1] : '        '}    `;
+    let filters = '';
+    if (scheme && !activity[0].includes(`android:scheme="${scheme}"`)) {
+      filters += intentFilter(indent, { data: [`android:scheme="${scheme}"`] });
+    }
+    const hosts = domains.filter(domain => !activity[0].includes(`android:host="${domain}"`));
+    if (hosts.length > 0) {
+      filters += intentFilter(indent, {
+        autoVerify: true,
+        data: ['android:scheme="https"', ...hosts.map(host => `android:host="${host}"`)],
+      });
+    }
+    if (!filters) return content;
+
+    const at = activity.index + activity[0].lastIndexOf('</activity>') - (closing ? closing[1].length : 0);
+    return content.slice(0, at) + filters + content.slice(at);
+  })) {
+    result.updated.push(path.relative(projectDir, manifestPath));
+  }
+}
+
+// ============================================================================
+// NAVIGATION
+// ============================================================================
+
+function writeLinkingPrefixes(projectDir, linkingConfig, prefixes, result) {
+  const configPath = path.join(projectDir, linkingConfig);
+  const list = prefixes.map(prefix => `'${prefix}'`).join(', ');
+
+  if (fs.existsSync(configPath)) {
+    const content = fs.readFileSync(configPath, 'utf8');
+    if (!/\bprefixes\s*:\s*\[[^\]]*\]/.test(content)) {
+      result.warnings.push(`No "prefixes" array found in ${linkingConfig}, add: prefixes: [${list}]`);
+      return;
+    }
+    if (updateFile(configPath, current => current.replace(/(\bprefixes\s*:\s*)\[[^\]]*\]/, `$1[${list}]`))) {
+      result.updated.push(linkingConfig);
+    }
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(configPath), { recursive: true });
+  fs.writeFileSync(configPath, `import type {LinkingOptions} from '@react-navigation/native';
+
+/**
+ * Deep link configuration. Pass it to the NavigationContainer:
+ *
+ *   <NavigationContainer linking={linking}>
+ */
+export const linking: LinkingOptions<ReactNavigation.RootParamList> = {
+  prefixes: [${list}],
+};
+`, 'utf8');
+  result.updated.push(linkingConfig);
+  result.warnings.push(`Created ${linkingConfig}, pass \`linking\` to your NavigationContainer`);
+}
+
+/**
+ * Registers the custom URL scheme and universal/app link domains: iOS
+ * CFBundleURLTypes and associated domains entitlement, Android intent filters
+ * (autoVerify for https links) and the navigation linking prefixes. Returns the
+ * updated files and warnings for anything that could not be applied.
+ */
+function configureDeepLinking(projectDir, { scheme, domains = [], bundleId, linkingConfig }) {
+  const result = { updated: [], warnings: [] };
+  const iosDir = path.join(projectDir, 'ios');
+  const appDirs = getIosAppDirs(iosDir);
+
+  if (appDirs.length === 0 && fs.existsSync(iosDir)) {
+    result.warnings.push('No iOS app Info.plist found, iOS deep links not configured');
+  }
+  for (const appDir of appDirs) {
+    if (scheme) configureUrlTypes(projectDir, iosDir, appDir, scheme, bundleId, result);
+    if (domains.length > 0) configureAssociatedDomains(projectDir, iosDir, appDir, domains, result);
+  }
+
+  configureAndroidManifest(projectDir, { scheme, domains }, result);
+
+  if (linkingConfig) {
+    writeLinkingPrefixes(projectDir, linkingConfig, getLinkingPrefixes({ scheme, domains }), result);
+  }
+
+  result.updated = [...new Set(result.updated)];
+  return result;
+}
+
+module.exports = {
+  validateUrlScheme,
+  validateLinkDomain,
+  parseLinkDomains,
+  getLinkingPrefixes,
+  configureDeepLinking,
+};
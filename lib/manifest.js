@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'tmi.template.json';
+
+// Describes tmi-rn-base for templates that don't ship a tmi.template.json.
+// String values may reference {{pascalName}}, {{kebabName}}, {{snakeName}},
+// {{bundleId}}, {{displayName}} and the names of manifest prompts.
+const DEFAULT_MANIFEST = {
+  remove: [
+    '.git', 'cli', '.beads', '.claude', '.cursor', '.github', 'conductor',
+    'docs', 'history', 'mayor', 'polecats', 'refinery',
+  ],
+  skipDirs: ['node_modules', '.git', '.yarn', 'Pods', 'build'],
+  extensions: [
+    '.json', '.js', '.ts', '.tsx', '.java', '.kt', '.m', '.h', '.swift', '.pbxproj', '.plist',
+    '.xml', '.gradle', '.xcconfig', '.xcscheme', '.xcworkspacedata', '.storyboard', '.entitlements',
+  ],
+  files: ['Podfile'],
+  // Keys are regular expressions, order matters - more specific first
+  placeholders: {
+    'TMI\\.app': '{{pascalName}}.app',
+    'TMI\\.xcodeproj': '{{pascalName}}.xcodeproj',
+    'TMI\\.xcworkspace': '{{pascalName}}.xcworkspace',
+    'TMI': '{{pascalName}}',
+    'tmi-rn-base': '{{kebabName}}',
+    'tmi_rn_base': '{{snakeName}}',
+    'com.tmisoft.app.dev': '{{bundleId}}.dev',
+    'com.tmisoft.app.staging': '{{bundleId}}.staging',
+    'com.tmisoft.app': '{{bundleId}}',
+    'com.tmi.app': '{{bundleId}}',
+    'com\\.tmisoft\\.base': '{{bundleId}}',
+    '"displayName": "TMI"': '"displayName": "{{displayName}}"',
+  },
+  rename: [
+    { path: 'ios', from: 'TMI', to: '{{pascalName}}' },
+  ],
+  androidPackage: 'com.tmi.app',
+  packageJson: {
+    remove: ['bin', 'files', 'repository', 'keywords'],
+  },
+  featuresConfig: 'src/shared/config/features.config.ts',
+  linkingConfig: 'src/core/navigation/linking.ts',
+  prompts: [],
+  features: [],
+  postGenerate: [],
+};
+
+// Describes tmi-expo-base. There are no native projects to rename, app.json is
+// configured by init-expo itself.
+const DEFAULT_EXPO_MANIFEST = {
+  ...DEFAULT_MANIFEST,
+  extensions: ['.json', '.js', '.ts', '.tsx'],
+  files: [],
+  placeholders: {
+    'tmi-expo-base': '{{kebabName}}',
+    'tmi_expo_base': '{{snakeName}}',
+    'com.tmisoft.app': '{{bundleId}}',
+    'com.tmi.app': '{{bundleId}}',
+  },
+  rename: [],
+  androidPackage: null,
+};
+
+// Describes tmi-next-base, a web project without native code
+const DEFAULT_NEXT_MANIFEST = {
+  ...DEFAULT_MANIFEST,
+  extensions: ['.json', '.js', '.mjs', '.ts', '.tsx', '.md'],
+  files: [],
+  skipDirs: [...DEFAULT_MANIFEST.skipDirs, '.next'],
+  placeholders: {
+    'tmi-next-base': '{{kebabName}}',
+    'tmi_next_base': '{{snakeName}}',
+  },
+  rename: [],
+  androidPackage: null,
+  linkingConfig: null,
+};
+
+const ARRAY_FIELDS = ['remove', 'skipDirs', 'extensions', 'files', 'rename', 'prompts', 'features', 'postGenerate'];
+
+function invalid(message) {
+  return new Error(`Invalid ${MANIFEST_FILE}: ${message}`);
+}
+
+function validateManifest(manifest) {
+  for (const field of ARRAY_FIELDS) {
+    if (!Array.isArray(manifest[field])) throw invalid(`"${field}" must be an array`);
+  }
+  if (!manifest.placeholders || typeof manifest.placeholders !== 'object' || Array.isArray(manifest.placeholders)) {
+    throw invalid('"placeholders" must be an object');
+  }
+  for (const rule of manifest.rename) {
+    if (!rule.path || !rule.from || !rule.to) throw invalid('every "rename" rule needs "path", "from" and "to"');
+  }
+  for (const prompt of manifest.prompts) {
+    if (!prompt.name || !prompt.message) throw invalid('every prompt needs "name" and "message"');
+    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(prompt.name)) throw invalid(`prompt name "${prompt.name}" must be an identifier`);
+  }
+  for (const feature of manifest.features) {
+    if (!feature.key) throw invalid('every feature needs a "key"');
+  }
+  for (const step of manifest.postGenerate) {
+    if (!step.run) throw invalid('every "postGenerate" step needs a "run" command');
+  }
+}
+
+/**
+ * Reads tmi.template.json from the template root, filling in defaults for
+ * anything it doesn't declare. Templates without a manifest get `defaults`
+ * (DEFAULT_MANIFEST, DEFAULT_EXPO_MANIFEST or DEFAULT_NEXT_MANIFEST).
+ */
+function loadManifest(templateDir, defaults = DEFAULT_MANIFEST) {
+  const manifestPath = path.join(templateDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return { ...defaults, source: null };
+  }
+
+  let declared;
+  try {
+    declared = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw invalid(error.message);
+  }
+  if (!declared || typeof declared !== 'object' || Array.isArray(declared)) {
+    throw invalid('must contain a JSON object');
+  }
+
+  const manifest = {
+    ...defaults,
+    ...declared,
+    packageJson: { ...defaults.packageJson, ...declared.packageJson },
+    source: manifestPath,
+  };
+  manifest.remove = [...new Set([...manifest.remove, MANIFEST_FILE])];
+  validateManifest(manifest);
+  return manifest;
+}
+
+function interpolate(value, vars) {
+  return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!(name in vars)) {
+      throw invalid(`unknown placeholder ${match}`);
+    }
+    return vars[name];
+  });
+}
+
+function resolvePlaceholders(manifest, vars) {
+  const replacements = {};
+  for (const [from, to] of Object.entries(manifest.placeholders)) {
+    replacements[from] = interpolate(to, vars);
+  }
+  return replacements;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  DEFAULT_MANIFEST,
+  DEFAULT_EXPO_MANIFEST,
+  DEFAULT_NEXT_MANIFEST,
+  loadManifest,
+  interpolate,
+  resolvePlaceholders,
+};
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+
+const REGISTRY_FILE = 'src/app/modules/registry.ts';
+const NAVIGATION_TYPES_FILE = 'src/core/navigation/types.ts';
+const REGISTRY_ARRAY = 'appModules';
+
+// ============================================================================
+// TYPESCRIPT
+// ============================================================================
+//
+// Files are parsed with the project's own TypeScript, so the CLI doesn't ship
+// a compiler. The AST is only used to find positions: edits are inserted into
+// the original text, which keeps the formatting of everything else.
+
+function loadTypeScript(projectRoot) {
+  try {
+    return require(require.resolve('typescript', { paths: [projectRoot] }));
+  } catch (error) {
+    return null;
+  }
+}
+
+function parse(ts, filePath, content) {
+  return ts.createSourceFile(filePath, content, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+}
+
+function applyEdits(content, edits) {
+  return [...edits]
+    .sort((a, b) => b.at - a.at)
+    .reduce((text, edit) => text.slice(0, edit.at) + edit.text + text.slice(edit.end === undefined ? edit.at : edit.end), content);
+}
+
+function lineIndent(content, position) {
+  const lineStart = content.lastIndexOf('\n', position - 1) + 1;
+  return /^[ \t]*/.exec(content.slice(lineStart))[0];
+}
+
+function isMultiline(content, from, to) {
+  return content.slice(from, to).includes('\n');
+}
+
+// `[...] as const` and `[...] satisfies AppModule[]` are arrays too
+function unwrapExpression(ts, node) {
+  while (node && (ts.isAsExpression(node) || ts.isParenthesizedExpression(node)
+    || (ts.isSatisfiesExpression && ts.isSatisfiesExpression(node)))) {
+    node = node.expression;
+  }
+  return node;
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+function findRegistryArray(ts, sourceFile) {
+  for (const statement of sourceFile.statements) {
+    if (!ts.isVariableStatement(statement)) continue;
+    for (const declaration of statement.declarationList.declarations) {
+      if (ts.isIdentifier(declaration.name) && declaration.name.text === REGISTRY_ARRAY) {
+        const initializer = unwrapExpression(ts, declaration.initializer);
+        return initializer && ts.isArrayLiteralExpression(initializer) ? initializer : null;
+      }
+    }
+  }
+  return null;
+}
+
+function importEdit(ts, sourceFile, content, moduleName, importPath) {
+  const imports = sourceFile.statements.filter(ts.isImportDeclaration);
+  const bindings = declaration => {
+    const named = declaration.importClause && declaration.importClause.namedBindings;
+    return named && ts.isNamedImports(named) ? named.elements : [];
+  };
+  if (imports.some(declaration => bindings(declaration).some(element => element.name.text === moduleName))) {
+    return null;
+  }
+
+  // Add to an existing import of the feature, else after the last import
+  const existing = imports.find(declaration => declaration.moduleSpecifier.text === importPath && bindings(declaration).length > 0);
+  if (existing) {
+    const elements = bindings(existing);
+    return { at: elements[elements.length - 1].getEnd(), text: `, ${moduleName}` };
+  }
+
+  const last = imports[imports.length - 1];
+  const quote = last ? last.moduleSpecifier.getText()[0] : "'";
+  const spacing = last && /^import\s*\{\s/.test(last.getText()) ? ' ' : '';
+  const semicolon = !last || last.getText().endsWith(';') ? ';' : '';
+  const statement = `import {${spacing}${moduleName}${spacing}} from ${quote}${importPath}${quote}${semicolon}`;
+  if (last) {
+    return { at: last.getEnd(), text: `\n${statement}` };
+  }
+  const first = sourceFile.statements[0];
+  return { at: first ? first.getStart() : content.length, text: `${statement}\n\n` };
+}
+
+function arrayEdit(ts, array, content, moduleName) {
+  const elements = array.elements;
+  if (elements.some(element => ts.isIdentifier(element) && element.text === moduleName)) {
+    return null;
+  }
+
+  const start = array.getStart();
+  const multiline = isMultiline(content, start, array.getEnd());
+  if (elements.length === 0) {
+    const indent = lineIndent(content, start);
+    const text = multiline ? `[\n${indent}  ${moduleName},\n${indent}]` : `[${moduleName}]`;
+    return { at: start, end: array.getEnd(), text };
+  }
+
+  const last = elements[elements.length - 1];
+  if (!multiline) {
+    return { at: last.getEnd(), text: `, ${moduleName}` };
+  }
+  const indent = lineIndent(content, last.getStart());
+  if (elements.hasTrailingComma) {
+    return { at: content.indexOf(',', last.getEnd()) + 1, text: `\n${indent}${moduleName},` };
+  }
+  return { at: last.getEnd(), text: `,\n${indent}${moduleName}` };
+}
+
+function registerModule(ts, content, filePath, { moduleName, importPath }) {
+  const sourceFile = parse(ts, filePath, content);
+  const array = findRegistryArray(ts, sourceFile);
+  if (!array) {
+    return { reason: `no "${REGISTRY_ARRAY}" array found` };
+  }
+  const edits = [
+    importEdit(ts, sourceFile, content, moduleName, importPath),
+    arrayEdit(ts, array, content, moduleName),
+  ].filter(Boolean);
+  return { content: applyEdits(content, edits) };
+}
+
+// ============================================================================
+// NAVIGATION TYPES
+// ============================================================================
+
+/**
+ * The param list of the app stack: `AppStackParamList` or another
+ * `App...ParamList`, else the only `...ParamList` of the file.
+ */
+function findParamList(ts, sourceFile) {
+  const paramLists = [];
+  for (const statement of sourceFile.statements) {
+    if (ts.isInterfaceDeclaration(statement)) {
+      paramLists.push({ name: statement.name.text, node: statement, members: statement.members });
+    } else if (ts.isTypeAliasDeclaration(statement) && ts.isTypeLiteralNode(statement.type)) {
+      paramLists.push({ name: statement.name.text, node: statement.type, members: statement.type.members });
+    }
+  }
+  const candidates = paramLists.filter(paramList => paramList.name.endsWith('ParamList'));
+  return candidates.find(paramList => paramList.name === 'AppStackParamList')
+    || candidates.find(paramList => paramList.name.startsWith('App'))
+    || (candidates.length === 1 ? candidates[0] : null);
+}
+
+function registerRoute(ts, content, filePath, { routeName }) {
+  const sourceFile = parse(ts, filePath, content);
+  const paramList = findParamList(ts, sourceFile);
+  if (!paramList) {
+    return { reason: 'no AppStackParamList type found' };
+  }
+
+  const { members, node } = paramList;
+  if (members.some(member => member.name && member.name.getText().replace(/['"]/g, '') === routeName)) {
+    return { content };
+  }
+
+  if (members.length === 0) {
+    const open = content.indexOf('{', node.getStart());
+    const close = content.lastIndexOf('}', node.getEnd());
+    const indent = lineIndent(content, node.getStart());
+    return { content: applyEdits(content, [{ at: open, end: close + 1, text: `{\n${indent}  ${routeName}: undefined;\n${indent}}` }]) };
+  }
+
+  const last = members[members.length - 1];
+  // Members end with ';', ',' or nothing, the new one follows the last
+  const separator = (/[;,]$/.exec(last.getText()) || [''])[0];
+  const text = `\n${lineIndent(content, last.getStart())}${routeName}: undefined${separator}`;
+  return { content: applyEdits(content, [{ at: last.getEnd(), text }]) };
+}
+
+// ============================================================================
+// REGISTRATION
+// ============================================================================
+
+function updateSourceFile(ts, rootDir, file, update, options) {
+  const filePath = path.join(rootDir, file);
+  if (!fs.existsSync(filePath)) {
+    return { file, status: 'manual', reason: 'file not found' };
+  }
+  if (!ts) {
+    return { file, status: 'manual', reason: 'typescript is not installed in the project' };
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const result = update(ts, content, filePath, options);
+  if (!result.content) {
+    return { file, status: 'manual', reason: result.reason };
+  }
+  if (result.content === content) {
+    return { file, status: 'unchanged' };
+  }
+  fs.writeFileSync(filePath, result.content);
+  return { file, status: 'updated' };
+}
+
+/**
+ * Adds a feature module to the registry (import and `appModules` entry) and
+ * its route to the app stack param list. Running it again changes nothing.
+ * Each file reports `updated`, `unchanged` or `manual` (with a `reason`) when
+ * the insertion point couldn't be found and the user has to edit it.
+ */
+function registerFeature(projectRoot, { name, moduleName, routeName }) {
+  const rootDir = path.resolve(projectRoot);
+  const ts = loadTypeScript(rootDir);
+  return {
+    registry: updateSourceFile(ts, rootDir, REGISTRY_FILE, registerModule, { moduleName, importPath: `@features/${name}` }),
+    navigation: updateSourceFile(ts, rootDir, NAVIGATION_TYPES_FILE, registerRoute, { routeName }),
+  };
+}
+
+module.exports = {
+  REGISTRY_FILE,
+  NAVIGATION_TYPES_FILE,
+  registerFeature,
+};
@@ -0,0 +1,50 @@
+function toPascalCase(str) {
+  return str
+    .replace(/[-_\s]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''))
+    .replace(/^(.)/, c => c.toUpperCase());
+}
+
+function toKebabCase(str) {
+  return str
+    .replace(/([a-z])([A-Z])/g, '$1-$2')
+    .replace(/[\s_]+/g, '-')
+    .toLowerCase();
+}
+
+function validateProjectName(name) {
+  if (!name) return 'Project name is required';
+  if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(name)) {
+    return 'Project name must start with a letter and contain only letters, numbers, hyphens, or underscores';
+  }
+  if (name.length < 2) return 'Project name must be at least 2 characters';
+  if (name.length > 50) return 'Project name must be less than 50 characters';
+  return null;
+}
+
+function validateBundleId(bundleId) {
+  if (!bundleId) return 'Bundle identifier is required';
+  if (!/^[a-z][a-z0-9]*(\.[a-z][a-z0-9]*)+$/.test(bundleId)) {
+    return 'Bundle identifier must be in format: com.company.appname (lowercase)';
+  }
+  return null;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Pattern source matching `name` as a whole word, so a short or common name
+// isn't found inside other identifiers. The Xcode test targets (MyAppTests)
+// are the exception.
+function wholeNamePattern(name) {
+  return `(?<!\\w)${escapeRegExp(name)}(?=(?:UI)?Tests\\b|\\W|$)`;
+}
+
+module.exports = {
+  toPascalCase,
+  toKebabCase,
+  validateProjectName,
+  validateBundleId,
+  escapeRegExp,
+  wholeNamePattern,
+};
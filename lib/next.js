@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_MANIFEST } = require('./manifest');
+const { readFeaturesConfig } = require('./features-config');
+
+// FeaturesConfig expression for "development build" in Next.js, which has no __DEV__
+const NEXT_DEV_EXPRESSION = "(process.env.NODE_ENV !== 'production')";
+
+// Web equivalents of the app features. Same shape as FEATURES in lib/features,
+// a `configFlag` is written to the generated FeaturesConfig.
+const WEB_FEATURES = [
+  {
+    key: 'firebase',
+    flag: 'firebase',
+    label: 'Firebase',
+    question: 'Generate the Firebase web SDK config?',
+    packages: ['firebase'],
+    paths: ['src/lib/firebase.ts', 'lib/firebase.ts'],
+    envPrefixes: ['NEXT_PUBLIC_FIREBASE_', 'FIREBASE_'],
+  },
+  {
+    key: 'authPages',
+    flag: 'auth-pages',
+    label: 'Auth pages',
+    question: 'Generate sign-in and sign-up pages (Firebase Auth)?',
+    requires: ['firebase'],
+    paths: ['src/app/(auth)', 'app/(auth)', 'src/pages/sign-in.tsx', 'src/pages/sign-up.tsx', 'pages/sign-in.tsx', 'pages/sign-up.tsx'],
+    configFlag: 'AUTH_PAGES_ENABLED',
+  },
+];
+
+const FIREBASE_VERSION = '^11.0.0';
+
+const FIREBASE_ENV_KEYS = [
+  'NEXT_PUBLIC_FIREBASE_API_KEY',
+  'NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN',
+  'NEXT_PUBLIC_FIREBASE_PROJECT_ID',
+  'NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET',
+  'NEXT_PUBLIC_FIREBASE_MESSAGING_SENDER_ID',
+  'NEXT_PUBLIC_FIREBASE_APP_ID',
+];
+
+// ============================================================================
+// MOBILE PROJECT
+// ============================================================================
+
+/**
+ * Reads the name, display name and enabled features of a React Native or
+ * Expo project generated by the CLI, so the web project can share them.
+ */
+function readMobileProject(mobileDir) {
+  const appJsonPath = path.join(mobileDir, 'app.json');
+  if (!fs.existsSync(appJsonPath)) {
+    throw new Error(`app.json not found in ${mobileDir}, is it a React Native or Expo project?`);
+  }
+
+  const appJson = JSON.parse(fs.readFileSync(appJsonPath, 'utf8'));
+  const mobile = appJson.expo
+    ? { name: appJson.expo.slug || appJson.expo.name, displayName: appJson.expo.name }
+    : { name: appJson.name, displayName: appJson.displayName || appJson.name };
+
+  const configPath = path.join(mobileDir, DEFAULT_MANIFEST.featuresConfig);
+  const flags = fs.existsSync(configPath) ? readFeaturesConfig(configPath) : [];
+  const firebase = flags.find(flag => flag.name === 'FIREBASE_ENABLED');
+  mobile.features = firebase ? { firebase: firebase.value !== 'false' } : {};
+  return mobile;
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+function writeNewFile(projectDir, relativePath, content, result) {
+  const filePath = path.join(projectDir, relativePath);
+  if (fs.existsSync(filePath)) {
+    result.skipped.push(relativePath);
+    return;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, 'utf8');
+  result.files.push(relativePath);
+}
+
+function importPath(fromFile, toFile) {
+  const relative = path.relative(path.dirname(fromFile), toFile).replace(/\\/g, '/').replace(/\.tsx?$/, '');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+function firebaseModule() {
+  return `import {getApps, initializeApp} from 'firebase/app';
+import {getAuth} from 'firebase/auth';
+
+const firebaseConfig = {
+${FIREBASE_ENV_KEYS.map(key => {
+    const name = key.replace('NEXT_PUBLIC_FIREBASE_', '').toLowerCase().replace(/_(\w)/g, (match, char) => char.toUpperCase());
+    return `  ${name}: process.env.${key},`;
+  }).join('\n')}
+};
+
+export const firebaseApp = getApps()[0] ?? initializeApp(firebaseConfig);
+export const auth = getAuth(firebaseApp);
+`;
+}
+
+function authPage({ title, action, submitLabel, firebaseImport, alternate }) {
+  return `'use client';
+
+import {FormEvent, useState} from 'react';
+import {${action}} from 'firebase/auth';
+import {auth} from '${firebaseImport}';
+
+export default function ${title.replace(/\s/g, '')}Page() {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  async function handleSubmit(event: FormEvent) {
+    event.preventDefault();
+    setError(null);
+    setLoading(true);
+    try {
+      await ${action}(auth, email, password);
+      window.location.assign('/');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Something went wrong');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <main>
+      <h1>${title}</h1>
+      <form onSubmit={handleSubmit}>
+        <input type="email" placeholder="Email" value={email} onChange={e => setEmail(e.target.value)} required />
+        <input type="password" placeholder="Password" value={password} onChange={e => setPassword(e.target.value)} required />
+        {error && <p role="alert">{error}</p>}
+        <button type="submit" disabled={loading}>${submitLabel}</button>
+      </form>
+      <a href="${alternate.href}">${alternate.label}</a>
+    </main>
+  );
+}
+`;
+}
+
+function addFirebaseEnv(projectDir, result) {
+  const envPath = path.join(projectDir, '.env.example');
+  const content = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') : '';
+  const missing = FIREBASE_ENV_KEYS.filter(key => !new RegExp(`^${key}=`, 'm').test(content));
+  if (missing.length === 0) return;
+
+  const prefix = content && !content.endsWith('\n') ? '\n' : '';
+  fs.writeFileSync(envPath, `${content}${prefix}${content ? '\n' : ''}# Firebase\n${missing.map(key => `${key}=`).join('\n')}\n`, 'utf8');
+  result.files.push('.env.example');
+}
+
+function addDependency(projectDir, name, version, result) {
+  const pkgPath = path.join(projectDir, 'package.json');
+  const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+  if ((pkg.dependencies || {})[name]) return;
+  pkg.dependencies = { ...pkg.dependencies, [name]: version };
+  fs.writeFileSync(pkgPath, JSON.stringify(pkg, null, 2) + '\n', 'utf8');
+  result.packages.push(name);
+}
+
+/**
+ * Generates the web code of the selected features: the Firebase web SDK
+ * module with its env keys and dependency, and sign-in/sign-up pages for the
+ * App Router (or Pages Router when the template has no app directory).
+ * Existing files are never overwritten. Returns the written files, the skipped
+ * ones and the added packages.
+ */
+function generateWebFeatures(projectDir, features) {
+  const result = { files: [], skipped: [], packages: [] };
+  const srcDir = fs.existsSync(path.join(projectDir, 'src')) ? 'src/' : '';
+  const firebaseFile = `${srcDir}lib/firebase.ts`;
+
+  if (features.firebase) {
+    writeNewFile(projectDir, firebaseFile, firebaseModule(), result);
+    addFirebaseEnv(projectDir, result);
+    addDependency(projectDir, 'firebase', FIREBASE_VERSION, result);
+  }
+
+  if (features.authPages) {
+    const appRouter = fs.existsSync(path.join(projectDir, `${srcDir}app`)) || !fs.existsSync(path.join(projectDir, `${srcDir}pages`));
+    const pages = [
+      { route: 'sign-in', title: 'Sign In', action: 'signInWithEmailAndPassword', submitLabel: 'Sign in', alternate: { href: '/sign-up', label: 'Create an account' } },
+      { route: 'sign-up', title: 'Sign Up', action: 'createUserWithEmailAndPassword', submitLabel: 'Create account', alternate: { href: '/sign-in', label: 'Already have an account? Sign in' } },
+    ];
+    for (const page of pages) {
+      const pageFile = appRouter ? `${srcDir}app/(auth)/${page.route}/page.tsx` : `${srcDir}pages/${page.route}.tsx`;
+      writeNewFile(projectDir, pageFile, authPage({ ...page, firebaseImport: importPath(pageFile, firebaseFile) }), result);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  NEXT_DEV_EXPRESSION,
+  WEB_FEATURES,
+  readMobileProject,
+  generateWebFeatures,
+};
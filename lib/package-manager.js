@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PACKAGE_MANAGER = 'yarn';
+
+const PACKAGE_MANAGERS = {
+  yarn: {
+    install: 'yarn install',
+    run: script => `yarn ${script}`,
+    add: packages => `yarn add ${packages.join(' ')}`,
+    lockfiles: ['yarn.lock'],
+    files: ['.yarnrc', '.yarnrc.yml', '.yarn'],
+  },
+  npm: {
+    install: 'npm install',
+    run: script => `npm run ${script}`,
+    add: packages => `npm install ${packages.join(' ')}`,
+    lockfiles: ['package-lock.json', 'npm-shrinkwrap.json'],
+    files: [],
+  },
+  pnpm: {
+    install: 'pnpm install',
+    run: script => `pnpm ${script}`,
+    add: packages => `pnpm add ${packages.join(' ')}`,
+    lockfiles: ['pnpm-lock.yaml'],
+    files: ['pnpm-workspace.yaml'],
+  },
+  bun: {
+    install: 'bun install',
+    run: script => `bun run ${script}`,
+    add: packages => `bun add ${packages.join(' ')}`,
+    lockfiles: ['bun.lockb', 'bun.lock'],
+    files: ['bunfig.toml'],
+  },
+};
+
+function validatePackageManager(name) {
+  if (!PACKAGE_MANAGERS[name]) {
+    return `Unknown package manager "${name}". Use one of: ${Object.keys(PACKAGE_MANAGERS).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Detects the package manager the CLI was launched with (npx, yarn dlx,
+ * pnpm dlx, bunx) from npm_config_user_agent, e.g. "pnpm/9.1.0 npm/? node/v20.11.0".
+ */
+function detectPackageManager(userAgent = process.env.npm_config_user_agent) {
+  const name = (userAgent || '').split('/')[0];
+  return PACKAGE_MANAGERS[name] ? name : DEFAULT_PACKAGE_MANAGER;
+}
+
+/**
+ * Detects the package manager of an existing project from its lockfile or
+ * `packageManager` field, falling back to detectPackageManager().
+ */
+function detectProjectPackageManager(projectDir) {
+  for (const [name, pm] of Object.entries(PACKAGE_MANAGERS)) {
+    if (pm.lockfiles.some(file => fs.existsSync(path.join(projectDir, file)))) return name;
+  }
+  const pkgPath = path.join(projectDir, 'package.json');
+  if (fs.existsSync(pkgPath)) {
+    const { packageManager } = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+    const name = (packageManager || '').split('@')[0];
+    if (PACKAGE_MANAGERS[name]) return name;
+  }
+  return detectPackageManager();
+}
+
+function getPackageManager(name) {
+  return { name, ...PACKAGE_MANAGERS[name] };
+}
+
+/**
+ * Removes lockfiles and configuration belonging to other package managers and
+ * drops a `packageManager` field that pins a different one.
+ */
+function applyPackageManager(projectDir, name) {
+  const removed = [];
+
+  for (const [otherName, other] of Object.entries(PACKAGE_MANAGERS)) {
+    if (otherName === name) continue;
+    for (const file of [...other.lockfiles, ...other.files]) {
+      const filePath = path.join(projectDir, file);
+      if (fs.existsSync(filePath)) {
+        fs.rmSync(filePath, { recursive: true, force: true });
+        removed.push(file);
+      }
+    }
+  }
+
+  const pkgPath = path.join(projectDir, 'package.json');
+  if (fs.existsSync(pkgPath)) {
+    const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+    if (pkg.packageManager && !pkg.packageManager.startsWith(`${name}@`)) {
+      delete pkg.packageManager;
+      fs.writeFileSync(pkgPath, JSON.stringify(pkg, null, 2) + '\n', 'utf8');
+    }
+  }
+
+  return removed;
+}
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  validatePackageManager,
+  detectPackageManager,
+  detectProjectPackageManager,
+  getPackageManager,
+  applyPackageManager,
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('./args');
+const ui = require('./ui');
+const { loadRc } = require('./rc');
+
+const PLUGIN_PREFIX = 'tmi-plugin-';
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// ============================================================================
+// DISCOVERY
+// ============================================================================
+
+/**
+ * node_modules directories searched for plugin packages: every node_modules
+ * from `cwd` up to the root, then the global ones (next to this CLI when it is
+ * installed globally and under the Node.js prefix).
+ */
+function getPluginDirs(cwd = process.cwd()) {
+  const dirs = [];
+  let dir = path.resolve(cwd);
+  while (true) {
+    dirs.push(path.join(dir, 'node_modules'));
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  // This package lives in <node_modules>/@tmidev/tmi-cli
+  const ownModules = path.resolve(__dirname, '..', '..', '..');
+  if (path.basename(ownModules) === 'node_modules') dirs.push(ownModules);
+
+  const prefix = process.env.npm_config_prefix || path.resolve(path.dirname(process.execPath), '..');
+  dirs.push(process.platform === 'win32'
+    ? path.join(path.dirname(process.execPath), 'node_modules')
+    : path.join(prefix, 'lib', 'node_modules'));
+
+  return [...new Set(dirs)].filter(candidate => fs.existsSync(candidate));
+}
+
+function listPluginPackages(modulesDir) {
+  const found = [];
+  for (const name of fs.readdirSync(modulesDir)) {
+    if (name.startsWith(PLUGIN_PREFIX)) {
+      found.push({ name, path: path.join(modulesDir, name) });
+    } else if (name.startsWith('@')) {
+      const scopeDir = path.join(modulesDir, name);
+      if (!fs.statSync(scopeDir).isDirectory()) continue;
+      for (const scoped of fs.readdirSync(scopeDir)) {
+        if (scoped.startsWith(PLUGIN_PREFIX)) {
+          found.push({ name: `${name}/${scoped}`, path: path.join(scopeDir, scoped) });
+        }
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Finds installed tmi-plugin-* and @scope/tmi-plugin-* packages plus the
+ * plugins listed in .tmirc files. The nearest installation of a package wins.
+ */
+function discoverPlugins(cwd = process.cwd(), rcPlugins = []) {
+  const plugins = [];
+  const seen = new Set();
+
+  for (const modulesDir of getPluginDirs(cwd)) {
+    for (const plugin of listPluginPackages(modulesDir)) {
+      if (seen.has(plugin.name)) continue;
+      seen.add(plugin.name);
+      plugins.push(plugin);
+    }
+  }
+
+  for (const { spec, dir } of rcPlugins) {
+    const isPath = spec.startsWith('.') || path.isAbsolute(spec);
+    if (!isPath && seen.has(spec)) continue;
+    seen.add(spec);
+    plugins.push({ name: spec, path: isPath ? path.resolve(dir, spec) : spec, dir });
+  }
+
+  return plugins;
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+function validateCommand(command) {
+  if (!command || typeof command !== 'object') {
+    return 'commands must be objects with name, description and handler';
+  }
+  if (typeof command.name !== 'string' || !COMMAND_NAME_PATTERN.test(command.name)) {
+    return `invalid command name "${command.name}", use lowercase letters, numbers and "-"`;
+  }
+  if (typeof command.handler !== 'function') {
+    return `command "${command.name}" has no handler function`;
+  }
+  if (command.description !== undefined && typeof command.description !== 'string') {
+    return `description of command "${command.name}" must be a string`;
+  }
+  if (command.options !== undefined && (!command.options || typeof command.options !== 'object')) {
+    return `options of command "${command.name}" must be an option table`;
+  }
+  return null;
+}
+
+function requirePlugin(plugin) {
+  let resolved;
+  try {
+    resolved = plugin.dir && !path.isAbsolute(plugin.path)
+      ? require.resolve(plugin.path, { paths: [plugin.dir] })
+      : require.resolve(plugin.path);
+  } catch (error) {
+    throw new Error(plugin.dir ? `not found, is it installed next to ${plugin.dir}?` : 'not found');
+  }
+  return require(resolved);
+}
+
+/**
+ * Loads every discovered plugin. A plugin exports either a function called
+ * with the plugin API ({ registerCommand, parseArgs, ui }) or an object with a
+ * `commands` array. Commands are { name, description, handler(args) }, with
+ * optional `usage`, `options` (a parseArgs table) and `examples` that enable
+ * the generated `--help` and shell completion.
+ *
+ * A plugin that fails to load is reported in `errors` and skipped, the CLI
+ * keeps working. Commands can't replace built-in or earlier plugin commands.
+ */
+function loadPlugins({ cwd = process.cwd(), reserved = [] } = {}) {
+  const commands = {};
+  const errors = [];
+
+  let rcPlugins = [];
+  try {
+    rcPlugins = loadRc(cwd).plugins;
+  } catch (error) {
+    errors.push({ plugin: '.tmirc', message: error.message });
+  }
+
+  for (const plugin of discoverPlugins(cwd, rcPlugins)) {
+    const registered = [];
+    const registerCommand = command => {
+      const error = validateCommand(command);
+      if (error) throw new Error(error);
+      registered.push(command);
+    };
+
+    try {
+      const exported = requirePlugin(plugin);
+      const register = typeof exported === 'function' ? exported : exported && exported.default;
+      if (typeof register === 'function') {
+        register({ registerCommand, parseArgs, ui });
+      } else if (exported && Array.isArray(exported.commands)) {
+        exported.commands.forEach(registerCommand);
+      } else {
+        throw new Error('must export a register function or a "commands" array');
+      }
+    } catch (error) {
+      errors.push({ plugin: plugin.name, message: `could not be loaded: ${error.message.split('\n')[0]}` });
+      continue;
+    }
+
+    for (const command of registered) {
+      if (reserved.includes(command.name) || commands[command.name]) {
+        const owner = commands[command.name] ? commands[command.name].plugin : 'tmi';
+        errors.push({ plugin: plugin.name, message: `command "${command.name}" is already provided by ${owner}, skipped` });
+        continue;
+      }
+      commands[command.name] = {
+        name: command.name,
+        description: command.description || '',
+        usage: command.usage,
+        options: command.options,
+        examples: command.examples,
+        handler: command.handler,
+        plugin: plugin.name,
+      };
+    }
+  }
+
+  return { commands, errors };
+}
+
+module.exports = {
+  PLUGIN_PREFIX,
+  discoverPlugins,
+  loadPlugins,
+};
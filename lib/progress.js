@@ -0,0 +1,35 @@
+/**
+ * Progress reporting of the programmatic API. Every event is passed to
+ * `onProgress`:
+ *
+ *   { type: 'step', step, total, title }
+ *   { type: 'progress', message }            work that is about to start
+ *   { type: 'success' | 'info', message }
+ *   { type: 'warning', message, details? }   also collected in `warnings`
+ *   { type: 'files', action, files }         files 'created', 'updated' or 'removed'
+ */
+function createReporter(onProgress) {
+  const warnings = [];
+  const emit = event => {
+    if (onProgress) onProgress(event);
+  };
+
+  return {
+    warnings,
+    step: (step, total, title) => emit({ type: 'step', step, total, title }),
+    progress: message => emit({ type: 'progress', message }),
+    success: message => emit({ type: 'success', message }),
+    info: message => emit({ type: 'info', message }),
+    files: (action, files) => {
+      if (files.length > 0) emit({ type: 'files', action, files });
+    },
+    warning: (message, details) => {
+      warnings.push(message);
+      emit(details ? { type: 'warning', message, details } : { type: 'warning', message });
+    },
+  };
+}
+
+module.exports = {
+  createReporter,
+};
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTemplateSource, fetchTemplate } = require('./template');
+const { DEFAULT_MANIFEST, loadManifest, interpolate } = require('./manifest');
+const { findLeftoverTokens, formatLeftover } = require('./verify');
+const { runChecks } = require('./doctor');
+const { validatePackageManager, detectPackageManager, getPackageManager } = require('./package-manager');
+const { initRepository } = require('./git');
+const { toKebabCase } = require('./naming');
+const { streamShell } = require('./exec');
+const { moveDirectory } = require('./files');
+const {
+  ValidationError,
+  TargetExistsError,
+  TemplateError,
+  LeftoverTokensError,
+} = require('./errors');
+
+// Generation steps shared by the project generators (React Native, Expo and
+// Next.js). Progress goes to a reporter of lib/progress.
+
+const MAX_REPORTED_LEFTOVERS = 50;
+
+// ============================================================================
+// PREPARATION
+// ============================================================================
+
+function resolvePackageManager(name = detectPackageManager()) {
+  const error = validatePackageManager(name);
+  if (error) {
+    throw new ValidationError(error, 'packageManager');
+  }
+  return getPackageManager(name);
+}
+
+/**
+ * Returns the doctor checks generation relies on (node, git, the package
+ * manager). The caller decides what to do with failed ones,
+ * createReactNativeProject throws a MissingRequirementError.
+ */
+function checkRequirements({ packageManager, skipInstall = false, skipGit = false } = {}) {
+  const pm = resolvePackageManager(packageManager);
+  const checkIds = ['node', 'git'];
+  if (!skipGit) checkIds.push('git-identity');
+  if (!skipInstall) checkIds.push(pm.name);
+  return runChecks(checkIds, { required: [pm.name] });
+}
+
+/**
+ * Fetches the template into a staging directory, so callers can read its
+ * manifest before generating the project. Staging happens in the temp
+ * directory, a local template may contain the working directory.
+ * `defaultTemplate` and `defaultManifest` apply when `template` is not given
+ * or has no tmi.template.json.
+ */
+async function stageTemplate({ template, name, cwd = process.cwd(), defaultTemplate, defaultManifest = DEFAULT_MANIFEST, reporter }) {
+  let source;
+  try {
+    source = parseTemplateSource(template, cwd, defaultTemplate);
+  } catch (error) {
+    throw new TemplateError(error.message);
+  }
+
+  const dir = path.join(os.tmpdir(), `${toKebabCase(name)}.tmi-staging-${process.pid}`);
+  let manifest;
+  reporter.progress(`Fetching boilerplate template (${source.type})...`);
+  try {
+    await fetchTemplate(source, dir);
+    manifest = loadManifest(dir, defaultManifest);
+  } catch (error) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw new TemplateError(error.message);
+  }
+  reporter.success(`Template fetched${manifest.source ? ' (tmi.template.json found)' : ''}`);
+
+  return {
+    dir,
+    source,
+    manifest,
+    dispose: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+function listFiles(rootDir, skipDirs = [], relativeDir = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(rootDir, relativeDir), { withFileTypes: true })) {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (!skipDirs.includes(entry.name)) files.push(...listFiles(rootDir, skipDirs, relativePath));
+    } else {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+// Names the package after the project and drops the template's own fields
+function updatePackageJson(projectDir, { name, manifest, reporter }) {
+  const pkgPath = path.join(projectDir, 'package.json');
+  const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+  pkg.name = name;
+  pkg.version = '1.0.0';
+  pkg.private = true;
+  for (const field of manifest.packageJson.remove) {
+    delete pkg[field];
+  }
+  fs.writeFileSync(pkgPath, JSON.stringify(pkg, null, 2) + '\n', 'utf8');
+  reporter.success('package.json updated');
+}
+
+/**
+ * Reports template identifiers the replacement pass missed, throws a
+ * LeftoverTokensError for them in strict mode. Returns the leftovers.
+ */
+function verifyProject(projectDir, { replacements, manifest, strict = false, reporter }) {
+  reporter.progress('Verifying project...');
+  const leftovers = findLeftoverTokens(projectDir, replacements, manifest.skipDirs);
+  if (leftovers.length === 0) {
+    reporter.success('No leftover template identifiers found');
+    return leftovers;
+  }
+
+  const details = leftovers.slice(0, MAX_REPORTED_LEFTOVERS).map(formatLeftover);
+  if (leftovers.length > MAX_REPORTED_LEFTOVERS) {
+    details.push(`... and ${leftovers.length - MAX_REPORTED_LEFTOVERS} more`);
+  }
+  reporter.warning(`${leftovers.length} leftover template identifier(s) found:`, details);
+  if (strict) {
+    throw new LeftoverTokensError(`Leftover template identifiers found in ${leftovers.length} place(s) (strict mode)`, leftovers);
+  }
+  return leftovers;
+}
+
+// Moves the staged project to `targetDir` and returns its files
+function moveProject(stagingDir, targetDir, { manifest, reporter }) {
+  const directory = path.basename(targetDir);
+  if (fs.existsSync(targetDir)) {
+    throw new TargetExistsError(`Directory "${directory}" was created while generating the project. Please remove it and try again.`, targetDir);
+  }
+  moveDirectory(stagingDir, targetDir);
+  reporter.success(`Project moved to ${directory}/`);
+  const files = listFiles(targetDir, manifest.skipDirs);
+  reporter.files('created', files);
+  return files;
+}
+
+/**
+ * Installs the dependencies, runs the template's post-generation steps and
+ * initializes git. The output of the commands goes to the lib/exec listeners
+ * and, unless `stdio` is 'pipe', to the terminal. Returns the result of
+ * initRepository (null when git was skipped or failed).
+ */
+async function installProject(projectDir, options) {
+  const { manifest, templateVars, pm, skipInstall, skipGit, initialBranch, gitRemote, stdio, reporter } = options;
+  const echo = stdio !== 'pipe';
+
+  if (skipInstall) {
+    reporter.info('Dependency installation skipped');
+    if (manifest.postGenerate.length > 0) {
+      reporter.info('Template post-generation steps skipped, they need installed dependencies');
+    }
+  } else {
+    reporter.progress('This may take a few minutes...');
+    await streamShell(pm.install, { cwd: projectDir, echo });
+    reporter.success('Dependencies installed');
+
+    for (const step of manifest.postGenerate) {
+      reporter.progress(`${step.name || step.run}...`);
+      await streamShell(interpolate(step.run, templateVars), { cwd: projectDir, echo });
+      reporter.success(step.name || step.run);
+    }
+  }
+
+  if (skipGit) {
+    reporter.info('Git initialization skipped');
+    return null;
+  }
+  reporter.progress('Initializing git repository...');
+  try {
+    const git = initRepository(projectDir, { initialBranch, remote: gitRemote });
+    git.warnings.forEach(warning => reporter.warning(warning));
+    reporter.success(git.committed ? 'Git repository initialized' : 'Git repository initialized without initial commit');
+    if (git.remote) reporter.success(`Remote origin set to ${git.remote}`);
+    return git;
+  } catch (error) {
+    reporter.warning(`Git initialization skipped: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  resolvePackageManager,
+  checkRequirements,
+  stageTemplate,
+  updatePackageJson,
+  verifyProject,
+  moveProject,
+  installProject,
+};
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RC_FILE = '.tmirc';
+
+// Keys of a .tmirc that aren't default answers
+const RC_KEYS = ['presets', 'plugins'];
+
+// Template keys, relative paths in them point from the .tmirc that sets them
+const TEMPLATE_KEYS = ['template', 'expoTemplate', 'nextTemplate'];
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merges plain objects recursively, later sources win. Arrays and other values
+ * are replaced, not merged.
+ */
+function deepMerge(...sources) {
+  const result = {};
+  for (const source of sources.filter(isObject)) {
+    for (const [key, value] of Object.entries(source)) {
+      result[key] = isObject(value) && isObject(result[key]) ? deepMerge(result[key], value) : value;
+    }
+  }
+  return result;
+}
+
+function getPath(object, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (isObject(value) ? value[key] : undefined), object);
+}
+
+function setPath(object, keyPath, value) {
+  const keys = keyPath.split('.');
+  let target = object;
+  for (const key of keys.slice(0, -1)) {
+    if (!isObject(target[key])) target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Returns the .tmirc files that apply to `cwd`, lowest priority first:
+ * ~/.tmirc, then every .tmirc from the file system root down to `cwd`.
+ */
+function findRcFiles(cwd = process.cwd(), home = os.homedir()) {
+  const files = [];
+  let dir = path.resolve(cwd);
+  while (true) {
+    const rcPath = path.join(dir, RC_FILE);
+    if (fs.existsSync(rcPath) && fs.statSync(rcPath).isFile()) files.unshift(rcPath);
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  const homeRc = path.join(home, RC_FILE);
+  if (fs.existsSync(homeRc) && !files.includes(homeRc)) files.unshift(homeRc);
+  return files;
+}
+
+function readRcFile(filePath) {
+  let rc;
+  try {
+    rc = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath}: ${error.message}`);
+  }
+  if (!isObject(rc)) {
+    throw new Error(`${filePath} must contain a JSON object`);
+  }
+  if (rc.plugins !== undefined && (!Array.isArray(rc.plugins) || rc.plugins.some(plugin => typeof plugin !== 'string'))) {
+    throw new Error(`${filePath}: "plugins" must be an array of package names or paths`);
+  }
+  if (rc.presets !== undefined && !isObject(rc.presets)) {
+    throw new Error(`${filePath}: "presets" must be an object`);
+  }
+  for (const [name, preset] of Object.entries(rc.presets || {})) {
+    if (!isObject(preset)) throw new Error(`${filePath}: preset "${name}" must be an object`);
+    if (preset.fixed !== undefined && !Array.isArray(preset.fixed)) {
+      throw new Error(`${filePath}: "fixed" of preset "${name}" must be an array of answer keys`);
+    }
+  }
+  return rc;
+}
+
+/**
+ * Loads and merges every applicable .tmirc. Everything except `presets` and
+ * `plugins` is a default answer (same shape as an answers file, plus
+ * `bundleIdPrefix`). Presets with the same name are replaced by the nearer
+ * file, plugins of all files are collected with the directory of their file.
+ * `dirs` maps the template keys to the directory of the file that set them,
+ * `presetDirs` the presets.
+ */
+function loadRc(cwd = process.cwd()) {
+  const files = findRcFiles(cwd);
+  let defaults = {};
+  let presets = {};
+  const plugins = [];
+  const dirs = {};
+  const presetDirs = {};
+
+  for (const file of files) {
+    const rc = readRcFile(file);
+    const dir = path.dirname(file);
+    const fileDefaults = { ...rc };
+    for (const key of RC_KEYS) delete fileDefaults[key];
+    defaults = deepMerge(defaults, fileDefaults);
+    presets = { ...presets, ...rc.presets };
+    for (const key of TEMPLATE_KEYS.filter(key => rc[key] !== undefined)) {
+      dirs[key] = dir;
+    }
+    for (const name of Object.keys(rc.presets || {})) {
+      presetDirs[name] = dir;
+    }
+    for (const spec of rc.plugins || []) {
+      plugins.push({ spec, dir });
+    }
+  }
+
+  return { files, defaults, presets, plugins, dirs, presetDirs };
+}
+
+/**
+ * Applies preset `name` on top of the .tmirc defaults. Keys listed in its
+ * `fixed` array (e.g. "bundleIdPrefix", "features" or "features.firebase") are
+ * returned separately as `fixed` answers, which skip their prompts. `dirs`
+ * maps the template keys to the directory relative paths in them point from.
+ */
+function resolvePreset(rc, name) {
+  if (!name) return { defaults: rc.defaults, fixed: {}, dirs: { ...rc.dirs } };
+
+  const preset = rc.presets[name];
+  if (!preset) {
+    const available = Object.keys(rc.presets);
+    throw new Error(`Unknown preset "${name}". ${available.length > 0
+      ? `Available presets: ${available.join(', ')}`
+      : `No presets defined in ${rc.files.length > 0 ? rc.files.join(', ') : `~/${RC_FILE}`}`}`);
+  }
+
+  const values = { ...preset };
+  delete values.fixed;
+  const defaults = deepMerge(rc.defaults, values);
+  const dirs = { ...rc.dirs };
+  for (const key of TEMPLATE_KEYS.filter(key => values[key] !== undefined)) {
+    dirs[key] = rc.presetDirs[name];
+  }
+
+  const fixed = {};
+  for (const keyPath of preset.fixed || []) {
+    const value = getPath(defaults, keyPath);
+    if (value === undefined) {
+      throw new Error(`Preset "${name}" fixes "${keyPath}" but doesn't set a value for it`);
+    }
+    setPath(fixed, keyPath, value);
+  }
+
+  return { defaults, fixed, dirs };
+}
+
+module.exports = {
+  RC_FILE,
+  deepMerge,
+  findRcFiles,
+  loadRc,
+  resolvePreset,
+};
@@ -0,0 +1,377 @@
+const fs = require('fs');
+const path = require('path');
+const { migrateAndroidPackage } = require('./android');
+const { mergeFeatureDefinitions, pruneDisabledFeatures, resolveFeatureDependencies } = require('./features');
+const { MANIFEST_FILE, interpolate, resolvePlaceholders } = require('./manifest');
+const { runChecks } = require('./doctor');
+const { applyPackageManager } = require('./package-manager');
+const {
+  ENVIRONMENTS,
+  envFileName,
+  readEnvDefaults,
+  writeEnvFiles,
+  configureNativeEnvironments,
+} = require('./environments');
+const { validateBranchName, ensureGitignore } = require('./git');
+const { validateUrlScheme, validateLinkDomain, parseLinkDomains, configureDeepLinking } = require('./linking');
+const {
+  PROVISIONING_STYLES,
+  SIGNING_GITIGNORE_ENTRIES,
+  validateTeamId,
+  normalizeProvisioningStyle,
+  createReleaseKeystore,
+  configureReleaseSigning,
+  configureIosSigning,
+} = require('./signing');
+const { toPascalCase, toKebabCase, validateProjectName, validateBundleId } = require('./naming');
+const { replaceInDirectory, renameFilesAndFolders, writeXcworkspaceData } = require('./transform');
+const { generateFeaturesConfig } = require('./features-config');
+const { createReporter } = require('./progress');
+const {
+  resolvePackageManager,
+  checkRequirements,
+  stageTemplate,
+  updatePackageJson,
+  verifyProject,
+  moveProject,
+  installProject,
+} = require('./project');
+const { ValidationError, TargetExistsError, MissingRequirementError } = require('./errors');
+
+// Steps reported by createReactNativeProject
+const TOTAL_STEPS = 2;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function validate(error, field) {
+  if (error) {
+    throw new ValidationError(error, field);
+  }
+}
+
+// ============================================================================
+// PREPARATION
+// ============================================================================
+
+/**
+ * Fetches the template into a staging directory (see stageTemplate), so
+ * callers can read its manifest (prompts, features, env defaults) before
+ * passing it as `template` to createReactNativeProject. `dispose()` removes it
+ * when the project is not created after all.
+ */
+async function fetchProjectTemplate({ template, name, cwd = process.cwd(), onProgress } = {}) {
+  const reporter = createReporter(onProgress);
+  validate(validateProjectName(name), 'name');
+  const staged = await stageTemplate({ template, name, cwd, reporter });
+  return {
+    ...staged,
+    featureDefinitions: mergeFeatureDefinitions(staged.manifest.features),
+    envDefaults: readEnvDefaults(staged.dir),
+  };
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+/**
+ * Creates a React Native project without prompting. Options mirror the answers
+ * file of `tmi init-rn` (name, bundleId, displayName, template, values,
+ * environments, deepLinking, signing, features, packageManager, skipInstall,
+ * skipGit, initialBranch, gitRemote, strict) plus:
+ *
+ *   cwd             directory the project folder is created in
+ *   keepOnFailure   keep the partial project when generation fails
+ *   skipChecks      skip the toolchain checks (done by the caller)
+ *   stdio           'pipe' to only record the output of the install commands
+ *                   instead of also echoing it (default: 'inherit')
+ *   onProgress      receives the progress events of lib/progress
+ *
+ * `template` is a template source or the result of fetchProjectTemplate.
+ * Resolves to a result object, throws the errors of lib/errors.
+ */
+async function createReactNativeProject(options = {}) {
+  const reporter = createReporter(options.onProgress);
+  const cwd = options.cwd || process.cwd();
+
+  // Directory holding partial output that has to be removed if the run fails,
+  // a fetched template passed in is owned from here on
+  let workDir = options.template && options.template.manifest ? options.template.dir : null;
+
+  try {
+    validate(validateProjectName(options.name), 'name');
+    const pascalName = toPascalCase(options.name);
+    const kebabName = toKebabCase(options.name);
+    const targetDir = path.resolve(cwd, kebabName);
+
+    const bundleId = options.bundleId || `com.${kebabName.replace(/-/g, '').toLowerCase()}`;
+    validate(validateBundleId(bundleId), 'bundleId');
+    const displayName = options.displayName || pascalName;
+    const pm = resolvePackageManager(options.packageManager);
+    const skipInstall = Boolean(options.skipInstall);
+    const skipGit = Boolean(options.skipGit);
+    if (options.initialBranch) {
+      validate(validateBranchName(options.initialBranch), 'initialBranch');
+    }
+
+    const deepLinking = options.deepLinking || {};
+    const urlScheme = deepLinking.urlScheme || null;
+    const linkDomains = parseLinkDomains(deepLinking.domains);
+    if (urlScheme) {
+      validate(validateUrlScheme(urlScheme), 'deepLinking.urlScheme');
+    }
+    linkDomains.forEach(domain => validate(validateLinkDomain(domain), 'deepLinking.domains'));
+
+    const signing = options.signing || {};
+    const androidKeystore = Boolean(signing.androidKeystore);
+    const iosTeam = signing.iosTeam || null;
+    if (iosTeam) {
+      validate(validateTeamId(iosTeam), 'signing.iosTeam');
+    }
+    if (signing.iosSigning && !normalizeProvisioningStyle(signing.iosSigning)) {
+      throw new ValidationError(`Invalid iOS provisioning style "${signing.iosSigning}". Use one of: ${PROVISIONING_STYLES.join(', ').toLowerCase()}`, 'signing.iosSigning');
+    }
+    const provisioningStyle = normalizeProvisioningStyle(signing.iosSigning) || PROVISIONING_STYLES[0];
+
+    if (fs.existsSync(targetDir)) {
+      throw new TargetExistsError(`Directory "${kebabName}" already exists! Please choose a different name or remove the existing directory.`, targetDir);
+    }
+
+    if (!options.skipChecks) {
+      const checks = checkRequirements({ packageManager: pm.name, skipInstall, skipGit });
+      if (androidKeystore) checks.push(...runChecks(['keytool']));
+      checks.filter(check => check.status === 'warn').forEach(check => reporter.warning(`${check.label}: ${check.message}`));
+      const failedChecks = checks.filter(check => check.status === 'fail');
+      if (failedChecks.length > 0) {
+        throw new MissingRequirementError(`Missing requirements: ${failedChecks.map(check => check.label).join(', ')}. Run "tmi doctor" for details.`, failedChecks);
+      }
+    }
+
+    const template = options.template && options.template.manifest
+      ? options.template
+      : await fetchProjectTemplate({ template: options.template, name: options.name, cwd, onProgress: options.onProgress });
+    const { manifest, featureDefinitions } = template;
+    const stagingDir = template.dir;
+    workDir = stagingDir;
+
+    const templateValues = {};
+    for (const templatePrompt of manifest.prompts) {
+      const value = (options.values || {})[templatePrompt.name];
+      if (value === undefined && templatePrompt.default === undefined) {
+        throw new ValidationError(`Missing value for "${templatePrompt.name}" (${templatePrompt.message})`, `values.${templatePrompt.name}`);
+      }
+      templateValues[templatePrompt.name] = String(value !== undefined ? value : templatePrompt.default);
+    }
+
+    const environmentValues = {};
+    for (const environment of ENVIRONMENTS) {
+      const given = (options.environments || {})[environment.key] || {};
+      environmentValues[environment.key] = {
+        apiUrl: given.apiUrl !== undefined ? given.apiUrl : template.envDefaults.apiUrl,
+        nameSuffix: given.nameSuffix !== undefined ? given.nameSuffix : environment.nameSuffix,
+      };
+    }
+
+    const features = {};
+    for (const feature of featureDefinitions) {
+      const value = (options.features || {})[feature.key];
+      features[feature.key] = value !== undefined ? Boolean(value) : true;
+    }
+    for (const [feature, requirement] of resolveFeatureDependencies(features, featureDefinitions)) {
+      reporter.warning(`${feature.label} requires ${requirement.label}, disabling it`);
+    }
+
+    reporter.step(1, TOTAL_STEPS, 'Creating Project');
+
+    reporter.progress('Cleaning up template files...');
+    for (const entry of manifest.remove) {
+      fs.rmSync(path.join(stagingDir, entry), { recursive: true, force: true });
+    }
+    reporter.success('Template files cleaned');
+
+    reporter.progress('Updating project configuration...');
+
+    const templateVars = {
+      ...templateValues,
+      pascalName,
+      kebabName,
+      snakeName: kebabName.replace(/-/g, '_'),
+      bundleId,
+      displayName,
+    };
+    const replacements = resolvePlaceholders(manifest, templateVars);
+
+    replaceInDirectory(stagingDir, replacements, manifest);
+    reporter.success('Configuration files updated');
+
+    // Fix xcworkspacedata to remove duplicate/old references
+    if (writeXcworkspaceData(path.join(stagingDir, 'ios'), pascalName)) {
+      reporter.success('xcworkspace fixed');
+    }
+
+    updatePackageJson(stagingDir, { name: kebabName, manifest, reporter });
+
+    // Update app.json
+    const appJsonPath = path.join(stagingDir, 'app.json');
+    const appJson = {
+      name: pascalName,
+      displayName: displayName,
+    };
+    fs.writeFileSync(appJsonPath, JSON.stringify(appJson, null, 2) + '\n', 'utf8');
+    reporter.success('app.json updated');
+
+    // Apply rename rules (iOS project files and folders by default)
+    reporter.progress('Renaming project files...');
+    for (const rule of manifest.rename) {
+      const ruleDir = path.join(stagingDir, rule.path);
+      const newName = interpolate(rule.to, templateVars);
+      if (!fs.existsSync(ruleDir) || rule.from === newName) continue;
+
+      renameFilesAndFolders(ruleDir, rule.from, newName, manifest.skipDirs);
+
+      const oldFolders = [
+        path.join(ruleDir, rule.from),
+        path.join(ruleDir, `${rule.from}.xcodeproj`),
+        path.join(ruleDir, `${rule.from}.xcworkspace`),
+      ];
+      for (const oldFolder of oldFolders) {
+        if (fs.existsSync(oldFolder)) {
+          fs.rmSync(oldFolder, { recursive: true, force: true });
+        }
+      }
+    }
+    reporter.success('Project files renamed');
+
+    // Move Android sources to the full bundle identifier package
+    reporter.progress('Renaming Android project files...');
+    if (manifest.androidPackage) {
+      migrateAndroidPackage(path.join(stagingDir, 'android'), manifest.androidPackage, bundleId);
+    }
+    reporter.success('Android project renamed');
+
+    // Remove packages, sources and native config of declined features
+    if (featureDefinitions.some(feature => !features[feature.key])) {
+      reporter.progress('Removing disabled features...');
+      const pruned = pruneDisabledFeatures(stagingDir, features, featureDefinitions);
+      reporter.success(`Disabled features removed (${pruned.packages.length} packages, ${pruned.paths.length} paths, ${pruned.files.length} files updated)`);
+    }
+
+    const removedPmFiles = applyPackageManager(stagingDir, pm.name);
+    if (removedPmFiles.length > 0) {
+      reporter.success(`Configured for ${pm.name} (removed ${removedPmFiles.join(', ')})`);
+    }
+
+    // Create .env files for every environment
+    reporter.progress('Creating environment files...');
+    const envFiles = writeEnvFiles(stagingDir, { displayName, values: environmentValues });
+    reporter.success(`${envFiles.join(', ')} created from .env.example (.env = ${envFileName(ENVIRONMENTS[0])})`);
+
+    const nativeEnvironments = configureNativeEnvironments(stagingDir, { displayName, values: environmentValues });
+    nativeEnvironments.warnings.forEach(warning => reporter.warning(warning));
+    if (nativeEnvironments.updated.length > 0) {
+      reporter.success(`Environment wiring updated in ${nativeEnvironments.updated.join(', ')}`);
+    }
+
+    if (urlScheme || linkDomains.length > 0) {
+      reporter.progress('Configuring deep linking...');
+      const linking = configureDeepLinking(stagingDir, {
+        scheme: urlScheme,
+        domains: linkDomains,
+        bundleId,
+        linkingConfig: manifest.linkingConfig,
+      });
+      linking.warnings.forEach(warning => reporter.warning(warning));
+      if (linking.updated.length > 0) {
+        reporter.success(`Deep linking configured in ${linking.updated.join(', ')}`);
+      }
+    }
+
+    if (androidKeystore) {
+      reporter.progress('Creating Android release keystore...');
+      createReleaseKeystore(stagingDir, { alias: kebabName, commonName: displayName });
+      const androidSigning = configureReleaseSigning(stagingDir);
+      androidSigning.warnings.forEach(warning => reporter.warning(warning));
+      reporter.success('Release keystore created (android/app/release.keystore, android/keystore.properties)');
+    }
+
+    if (iosTeam) {
+      const iosSigning = configureIosSigning(stagingDir, { teamId: iosTeam, provisioningStyle });
+      iosSigning.warnings.forEach(warning => reporter.warning(warning));
+      if (iosSigning.updated.length > 0) {
+        reporter.success(`iOS signing configured in ${iosSigning.updated.join(', ')}`);
+      }
+    }
+
+    const ignoredEntries = [
+      ...ensureGitignore(stagingDir),
+      ...(androidKeystore ? ensureGitignore(stagingDir, SIGNING_GITIGNORE_ENTRIES, 'Release signing') : []),
+    ];
+    if (ignoredEntries.length > 0) {
+      reporter.success(`.gitignore updated (${ignoredEntries.join(', ')})`);
+    }
+
+    if (manifest.featuresConfig) {
+      reporter.progress('Generating features configuration...');
+      fs.writeFileSync(path.join(stagingDir, manifest.featuresConfig), generateFeaturesConfig(features, featureDefinitions), 'utf8');
+      reporter.success(`${path.basename(manifest.featuresConfig)} generated`);
+    }
+    // "tmi features" reads the template's own features from the project later
+    if (manifest.features.length > 0) {
+      const kept = { featuresConfig: manifest.featuresConfig, features: manifest.features };
+      fs.writeFileSync(path.join(stagingDir, MANIFEST_FILE), `${JSON.stringify(kept, null, 2)}\n`, 'utf8');
+    }
+
+    const leftovers = verifyProject(stagingDir, { replacements, manifest, strict: options.strict, reporter });
+    const files = moveProject(stagingDir, targetDir, { manifest, reporter });
+    workDir = targetDir;
+
+    reporter.step(2, TOTAL_STEPS, 'Installing Dependencies');
+
+    const git = await installProject(targetDir, {
+      manifest,
+      templateVars,
+      pm,
+      skipInstall,
+      skipGit,
+      initialBranch: options.initialBranch,
+      gitRemote: options.gitRemote,
+      stdio: options.stdio,
+      reporter,
+    });
+
+    return {
+      projectDir: targetDir,
+      name: pascalName,
+      directory: kebabName,
+      bundleId,
+      displayName,
+      template: template.source.label,
+      packageManager: pm.name,
+      features,
+      environments: environmentValues,
+      deepLinking: { urlScheme, domains: linkDomains },
+      signing: { androidKeystore, iosTeam, iosSigning: iosTeam ? provisioningStyle : null },
+      files,
+      leftovers,
+      git,
+      warnings: reporter.warnings,
+    };
+  } catch (error) {
+    if (workDir && fs.existsSync(workDir)) {
+      if (options.keepOnFailure) {
+        reporter.warning(`Partial project kept at ${workDir}`);
+      } else {
+        fs.rmSync(workDir, { recursive: true, force: true });
+        reporter.info(`Removed partial project at ${workDir}`);
+      }
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  fetchProjectTemplate,
+  createReactNativeProject,
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const chalk = require('chalk');
+const pkg = require('../package.json');
+const { addCommandListener } = require('./exec');
+const { setEventWriter } = require('./ui');
+
+// ============================================================================
+// RUN LOG
+// ============================================================================
+//
+// Records everything a command prints and every external command it runs, so
+// a failed run leaves a log behind. Also implements --verbose (echo commands
+// and their stderr) and --json (newline-delimited events on stdout instead of
+// the regular output).
+
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
+
+function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, '');
+}
+
+function indent(output, prefix) {
+  return output.trim().split('\n').map(line => `${prefix}${line}`);
+}
+
+function describeEvent(event) {
+  switch (event.type) {
+    case 'step':
+      return `[${event.step}/${event.total}] ${event.title}`;
+    case 'files':
+      return `${event.files.length} files ${event.action}`;
+    case 'warning':
+      return [`warning: ${event.message}`, ...(event.details || []).map(line => `    ${line}`)].join('\n');
+    default:
+      return `${event.type}: ${event.message}`;
+  }
+}
+
+/**
+ * Starts recording the run of `command`. Call `finish(result)` when it
+ * succeeds or `fail(error, { dir })` when it fails, both restore the console.
+ */
+function startRunLog({ command, json = false, verbose = false }) {
+  const lines = [];
+  const original = { log: console.log, error: console.error };
+  let currentStep = null;
+
+  function write(event) {
+    process.stdout.write(`${JSON.stringify({ ...event, time: new Date().toISOString() })}\n`);
+  }
+
+  function endStep() {
+    if (!currentStep) return;
+    const { step, title, startedAt } = currentStep;
+    write({ type: 'step-end', step, title, duration: Date.now() - startedAt });
+    currentStep = null;
+  }
+
+  function emit(event) {
+    lines.push(describeEvent(event));
+    if (event.type !== 'step') {
+      write(event);
+      return;
+    }
+    endStep();
+    currentStep = { step: event.step, title: event.title, startedAt: Date.now() };
+    write({ type: 'step-start', step: event.step, total: event.total, title: event.title });
+  }
+
+  function record(stream, args) {
+    lines.push(stripAnsi(util.format(...args)));
+    if (!json) original[stream](...args);
+  }
+
+  console.log = (...args) => record('log', args);
+  console.error = (...args) => record('error', args);
+  if (json) setEventWriter(emit);
+
+  const removeListener = addCommandListener(event => {
+    if (event.phase === 'start') {
+      lines.push(`$ ${event.command}${event.cwd ? ` (in ${event.cwd})` : ''}`);
+      if (verbose && !json) original.log(chalk.gray(`  $ ${event.command}`));
+      return;
+    }
+
+    const stderr = event.stderr.trim();
+    lines.push(`  exit ${event.error || event.status} after ${event.duration}ms`);
+    if (event.stdout.trim()) lines.push(...indent(event.stdout, '  stdout | '));
+    if (stderr) lines.push(...indent(stderr, '  stderr | '));
+
+    if (json) {
+      const { command: commandLine, cwd, status, duration } = event;
+      write({ type: 'command', command: commandLine, cwd, status, duration, ...(verbose && stderr ? { stderr } : {}) });
+    } else if (verbose && stderr && !event.echoed) {
+      indent(stderr, '    ').forEach(line => original.log(chalk.gray(line)));
+    }
+  });
+
+  function restore() {
+    console.log = original.log;
+    console.error = original.error;
+    setEventWriter(null);
+    removeListener();
+  }
+
+  function finish(result = {}) {
+    if (json) {
+      endStep();
+      write({ type: 'done', ...result });
+    }
+    restore();
+  }
+
+  // Writes the log into `dir` when it still exists, else into the temp dir,
+  // and returns its path (null if it could not be written)
+  function fail(error, { dir } = {}) {
+    const logPath = dir && fs.existsSync(dir)
+      ? path.join(dir, 'tmi-error.log')
+      : path.join(os.tmpdir(), `tmi-${command}-${Date.now()}.log`);
+    const header = [
+      `tmi-cli v${pkg.version}, node ${process.version}, ${process.platform}`,
+      `cwd: ${process.cwd()}`,
+      `command: tmi ${process.argv.slice(2).join(' ')}`,
+      '',
+    ];
+
+    let written = logPath;
+    try {
+      fs.writeFileSync(logPath, `${[...header, ...lines, '', error.stack || error.message].join('\n')}\n`);
+    } catch (writeError) {
+      written = null;
+    }
+
+    if (json) {
+      endStep();
+      write({ type: 'failed', message: error.message, code: error.code, log: written });
+    }
+    restore();
+    return written;
+  }
+
+  return { finish, fail };
+}
+
+module.exports = {
+  startRunLog,
+};
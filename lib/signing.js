@@ -0,0 +1,223 @@
+const { runCommand, lastLine } = require('./exec');
+const { updateFile, findFiles, findBlock, insertAt } = require('./files');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEYSTORE_FILE = 'release.keystore';
+const KEYSTORE_PROPERTIES = 'keystore.properties';
+const KEYSTORE_PASSWORD_ENV = 'TMI_KEYSTORE_PASS';
+const PROVISIONING_STYLES = ['Automatic', 'Manual'];
+
+// Paths relative to the project root, for .gitignore
+const SIGNING_GITIGNORE_ENTRIES = [`android/${KEYSTORE_PROPERTIES}`, `android/app/${KEYSTORE_FILE}`];
+
+function validateTeamId(teamId) {
+  if (!teamId) return 'Team ID is required';
+  if (!/^[A-Z0-9]{10}$/.test(teamId)) {
+    return `Invalid Apple Developer Team ID "${teamId}". It is 10 uppercase letters and digits (e.g., AB12CD34EF)`;
+  }
+  return null;
+}
+
+function normalizeProvisioningStyle(style) {
+  return PROVISIONING_STYLES.find(candidate => candidate.toLowerCase() === String(style || '').toLowerCase()) || null;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function generatePassword() {
+  return crypto.randomBytes(32).toString('base64').replace(/[^A-Za-z0-9]/g, '').slice(0, 24);
+}
+
+// ============================================================================
+// ANDROID
+// ============================================================================
+
+const KEYSTORE_LOADER = `def keystorePropertiesFile = rootProject.file("${KEYSTORE_PROPERTIES}")
+def keystoreProperties = new Properties()
+if (keystorePropertiesFile.exists()) {
+    keystoreProperties.load(new FileInputStream(keystorePropertiesFile))
+}
+
+`;
+
+const RELEASE_SIGNING_CONFIG = `        release {
+            if (keystorePropertiesFile.exists()) {
+                storeFile file(keystoreProperties['storeFile'])
+                storePassword keystoreProperties['storePassword']
+                keyAlias keystoreProperties['keyAlias']
+                keyPassword keystoreProperties['keyPassword']
+            }
+        }
+`;
+
+/**
+ * Generates android/app/release.keystore with the local keytool and writes the
+ * credentials to android/keystore.properties. The password is random, PKCS12
+ * keystores use the same password for the store and the key.
+ */
+function createReleaseKeystore(projectDir, { alias, commonName }) {
+  const appDir = path.join(projectDir, 'android', 'app');
+  if (!fs.existsSync(appDir)) {
+    throw new Error('android/app not found, cannot create a release keystore');
+  }
+
+  const keystorePath = path.join(appDir, KEYSTORE_FILE);
+  const password = generatePassword();
+  const result = runCommand('keytool', [
+    '-genkeypair',
+    '-storetype', 'PKCS12',
+    '-keystore', keystorePath,
+    '-alias', alias,
+    '-keyalg', 'RSA',
+    '-keysize', '2048',
+    '-validity', '10000',
+    // From the environment, arguments are visible to other users in `ps`
+    '-storepass:env', KEYSTORE_PASSWORD_ENV,
+    '-keypass:env', KEYSTORE_PASSWORD_ENV,
+    '-dname', `CN=${commonName.replace(/[,=+<>#;"\\]/g, ' ').trim()}`,
+  ], { env: { ...process.env, [KEYSTORE_PASSWORD_ENV]: password } });
+
+  if (result.error || result.status !== 0) {
+    const output = result.error ? result.error.message : lastLine(result.stderr || result.stdout);
+    throw new Error(`keytool failed${output ? `: ${output}` : ''}`);
+  }
+
+  const propertiesPath = path.join(projectDir, 'android', KEYSTORE_PROPERTIES);
+  fs.writeFileSync(propertiesPath, [
+    '# Release signing credentials. Keep this file and the keystore out of version',
+    '# control and back both up, Google Play only accepts updates signed with them.',
+    `storeFile=${KEYSTORE_FILE}`,
+    `storePassword=${password}`,
+    `keyAlias=${alias}`,
+    `keyPassword=${password}`,
+    '',
+  ].join('\n'), 'utf8');
+
+  return { keystorePath, propertiesPath };
+}
+
+/**
+ * Adds a release signing config that reads android/keystore.properties to
+ * android/app/build.gradle and makes the release build type use it.
+ */
+function configureReleaseSigning(projectDir) {
+  const result = { updated: [], warnings: [] };
+  const gradlePath = path.join(projectDir, 'android', 'app', 'build.gradle');
+  if (!fs.existsSync(gradlePath)) {
+    result.warnings.push('android/app/build.gradle not found, release signing not configured');
+    return result;
+  }
+
+  const updated = updateFile(gradlePath, content => {
+    let android = findBlock(content, 'android');
+    if (!android) {
+      result.warnings.push('No android { } block in android/app/build.gradle, release signing not configured');
+      return content;
+    }
+
+    if (!content.includes('keystorePropertiesFile')) {
+      content = insertAt(content, android.start, KEYSTORE_LOADER);
+      android = findBlock(content, 'android');
+    }
+
+    const signingConfigs = findBlock(content, 'signingConfigs', android.open, android.close);
+    if (!signingConfigs) {
+      content = insertAt(content, android.open, `\n    signingConfigs {\n${RELEASE_SIGNING_CONFIG}    }`);
+    } else if (!findBlock(content, 'release', signingConfigs.open, signingConfigs.close)) {
+      const lineStart = content.lastIndexOf('\n', signingConfigs.close) + 1;
+      content = insertAt(content, lineStart, RELEASE_SIGNING_CONFIG);
+    }
+
+    android = findBlock(content, 'android');
+    const buildTypes = findBlock(content, 'buildTypes', android.open, android.close);
+    const release = buildTypes && findBlock(content, 'release', buildTypes.open, buildTypes.close);
+    if (!release) {
+      result.warnings.push('No release build type in android/app/build.gradle, set signingConfig signingConfigs.release yourself');
+      return content;
+    }
+
+    const body = content.slice(release.open, release.close);
+    const signingLine = /(\bsigningConfig\s*=?\s*)signingConfigs\.\w+/;
+    const newBody = signingLine.test(body)
+      ? body.replace(signingLine, '$1signingConfigs.release')
+      : `\n            signingConfig signingConfigs.release${body}`;
+    return content.slice(0, release.open) + newBody + content.slice(release.close);
+  });
+
+  if (updated) result.updated.push(path.relative(projectDir, gradlePath));
+  return result;
+}
+
+// ============================================================================
+// IOS
+// ============================================================================
+
+function setBuildSetting(body, key, value) {
+  const pattern = new RegExp(`^([ \\t]*)${key} = [^;]*;`, 'm');
+  if (pattern.test(body)) return body.replace(pattern, `$1${key} = ${value};`);
+  const indent = (/^([ \t]*)\S/m.exec(body) || [null, '\t\t\t\t'])[1];
+  return `${indent}${key} = ${value};\n${body}`;
+}
+
+function isAppTargetSettings(body) {
+  if (/\b(TEST_HOST|BUNDLE_LOADER)\b/.test(body)) return false;
+  const infoPlist = /INFOPLIST_FILE = "?([^";]+)"?;/.exec(body);
+  if (infoPlist) return !/Tests?\//.test(infoPlist[1]);
+  return /PRODUCT_BUNDLE_IDENTIFIER = /.test(body);
+}
+
+/**
+ * Writes DEVELOPMENT_TEAM and CODE_SIGN_STYLE into every build configuration of
+ * the app target, the target attributes and any xcconfig that already sets
+ * them (so it doesn't disagree with the project).
+ */
+function configureIosSigning(projectDir, { teamId, provisioningStyle = 'Automatic' }) {
+  const result = { updated: [], warnings: [] };
+  const iosDir = path.join(projectDir, 'ios');
+  let configurations = 0;
+
+  for (const pbxprojPath of findFiles(iosDir, name => name === 'project.pbxproj')) {
+    if (updateFile(pbxprojPath, content => content
+      .replace(/(buildSettings = \{\r?\n)([^}]*)(\})/g, (match, start, body, end) => {
+        if (!isAppTargetSettings(body)) return match;
+        configurations++;
+        body = setBuildSetting(body, 'DEVELOPMENT_TEAM', teamId);
+        body = setBuildSetting(body, 'CODE_SIGN_STYLE', provisioningStyle);
+        return `${start}${body}${end}`;
+      })
+      .replace(/(\bDevelopmentTeam = )[^;]*;/g, `$1${teamId};`)
+      .replace(/(\bProvisioningStyle = )[^;]*;/g, `$1${provisioningStyle};`))) {
+      result.updated.push(path.relative(projectDir, pbxprojPath));
+    }
+  }
+
+  for (const xcconfigPath of findFiles(iosDir, name => name.endsWith('.xcconfig'))) {
+    if (updateFile(xcconfigPath, content => content
+      .replace(/^(\s*DEVELOPMENT_TEAM\s*=\s*).*$/gm, `$1${teamId}`)
+      .replace(/^(\s*CODE_SIGN_STYLE\s*=\s*).*$/gm, `$1${provisioningStyle}`))) {
+      result.updated.push(path.relative(projectDir, xcconfigPath));
+    }
+  }
+
+  if (configurations === 0) {
+    result.warnings.push('No app target build configuration found in the Xcode project, set the team in Xcode');
+  }
+  if (provisioningStyle === 'Manual') {
+    result.warnings.push('Manual signing: select a provisioning profile for each configuration in Xcode');
+  }
+  return result;
+}
+
+module.exports = {
+  PROVISIONING_STYLES,
+  SIGNING_GITIGNORE_ENTRIES,
+  validateTeamId,
+  normalizeProvisioningStyle,
+  createReleaseKeystore,
+  configureReleaseSigning,
+  configureIosSigning,
+};
@@ -0,0 +1,177 @@
+const { runCommand, lastLine } = require('./exec');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { git } = require('./git');
+
+const DEFAULT_TEMPLATE = 'https://github.com/DEV-TMI/tmi-rn-base.git';
+const DEFAULT_EXPO_TEMPLATE = 'https://github.com/DEV-TMI/tmi-expo-base.git';
+const DEFAULT_NEXT_TEMPLATE = 'https://github.com/DEV-TMI/tmi-next-base.git';
+
+const TARBALL_PATTERN = /\.(tgz|tar\.gz)$/i;
+const GIT_URL_PATTERN = /^(https?:\/\/|ssh:\/\/|git:\/\/|file:\/\/|git@[^:]+:)/;
+const COPY_IGNORE = ['.git', 'node_modules', 'Pods', 'build'];
+
+// ============================================================================
+// SOURCE PARSING
+// ============================================================================
+
+/**
+ * Parses a template spec into { type, location, ref, label }.
+ *
+ * Supported forms:
+ *   ./path/to/checkout[#ref]        local directory (ref requires a git checkout)
+ *   ./template.tgz, https://.../x.tgz  tarball
+ *   https://host/repo.git[#ref]     git URL (also ssh://, git@host:repo)
+ *   github:owner/repo[#ref]         GitHub shorthand
+ */
+function parseTemplateSource(spec, cwd = process.cwd(), defaultSpec = DEFAULT_TEMPLATE) {
+  if (!spec) spec = defaultSpec;
+
+  let location = spec;
+  let ref = null;
+  const hashIndex = spec.lastIndexOf('#');
+  if (hashIndex > 0) {
+    location = spec.slice(0, hashIndex);
+    ref = spec.slice(hashIndex + 1) || null;
+  }
+
+  if (location.startsWith('github:')) {
+    location = `https://github.com/${location.slice('github:'.length).replace(/\.git$/, '')}.git`;
+  }
+
+  if (TARBALL_PATTERN.test(location)) {
+    if (ref) {
+      throw new Error(`Template tarballs cannot be combined with a #ref: ${spec}`);
+    }
+    const isRemote = /^https?:\/\//.test(location);
+    return {
+      type: 'tarball',
+      location: isRemote ? location : path.resolve(cwd, location),
+      ref: null,
+      remote: isRemote,
+      label: location,
+    };
+  }
+
+  if (GIT_URL_PATTERN.test(location)) {
+    return { type: 'git', location, ref, label: ref ? `${location}#${ref}` : location };
+  }
+
+  const localPath = path.resolve(cwd, location);
+  if (fs.existsSync(localPath) && fs.statSync(localPath).isDirectory()) {
+    return { type: 'local', location: localPath, ref, label: ref ? `${location}#${ref}` : location };
+  }
+
+  throw new Error(`Template not found: "${spec}". Use a local directory, a .tgz file, or a git URL.`);
+}
+
+// ============================================================================
+// FETCHERS
+// ============================================================================
+
+function cloneRepository(location, ref, targetDir) {
+  if (!ref) {
+    git(['clone', '--depth', '1', location, targetDir]);
+    return;
+  }
+
+  try {
+    git(['clone', '--depth', '1', '--branch', ref, location, targetDir]);
+  } catch {
+    // --branch only accepts branches and tags, fall back to a full clone for commit SHAs
+    fs.rmSync(targetDir, { recursive: true, force: true });
+    git(['clone', location, targetDir]);
+    try {
+      git(['checkout', '--quiet', ref], { cwd: targetDir });
+    } catch {
+      throw new Error(`Template ref "${ref}" not found in ${location}`);
+    }
+  }
+}
+
+function copyDirectory(sourceDir, targetDir) {
+  fs.cpSync(sourceDir, targetDir, {
+    recursive: true,
+    filter: src => !COPY_IGNORE.includes(path.basename(src)),
+  });
+}
+
+async function downloadFile(url, filePath) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download template ${url}: ${response.status} ${response.statusText}`);
+  }
+  fs.writeFileSync(filePath, Buffer.from(await response.arrayBuffer()));
+}
+
+function extractTarball(tarballPath, targetDir) {
+  const extractDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmi-template-'));
+  try {
+    const result = runCommand('tar', ['-xzf', tarballPath, '-C', extractDir]);
+    if (result.error || result.status !== 0) {
+      throw new Error(`Could not extract ${tarballPath}: ${result.error ? result.error.message : lastLine(result.stderr)}`);
+    }
+
+    // npm pack and GitHub archives wrap everything in a single top-level folder
+    const entries = fs.readdirSync(extractDir, { withFileTypes: true });
+    const rootDir = entries.length === 1 && entries[0].isDirectory()
+      ? path.join(extractDir, entries[0].name)
+      : extractDir;
+
+    copyDirectory(rootDir, targetDir);
+  } finally {
+    fs.rmSync(extractDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Fetches the template described by `source` (see parseTemplateSource) into
+ * `targetDir`, which must not exist yet.
+ */
+async function fetchTemplate(source, targetDir) {
+  switch (source.type) {
+    case 'git':
+      cloneRepository(source.location, source.ref, targetDir);
+      break;
+
+    case 'local':
+      if (source.ref) {
+        if (!fs.existsSync(path.join(source.location, '.git'))) {
+          throw new Error(`Template ref "${source.ref}" requires ${source.location} to be a git repository`);
+        }
+        cloneRepository(source.location, source.ref, targetDir);
+      } else {
+        copyDirectory(source.location, targetDir);
+      }
+      break;
+
+    case 'tarball':
+      if (source.remote) {
+        const tmpFile = path.join(os.tmpdir(), `tmi-template-${Date.now()}.tgz`);
+        try {
+          await downloadFile(source.location, tmpFile);
+          extractTarball(tmpFile, targetDir);
+        } finally {
+          fs.rmSync(tmpFile, { force: true });
+        }
+      } else {
+        if (!fs.existsSync(source.location)) {
+          throw new Error(`Template tarball not found: ${source.location}`);
+        }
+        extractTarball(source.location, targetDir);
+      }
+      break;
+
+    default:
+      throw new Error(`Unsupported template type: ${source.type}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  DEFAULT_EXPO_TEMPLATE,
+  DEFAULT_NEXT_TEMPLATE,
+  parseTemplateSource,
+  fetchTemplate,
+};
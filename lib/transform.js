@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { wholeNamePattern } = require('./naming');
+
+function replaceInFile(filePath, replacements) {
+  if (!fs.existsSync(filePath)) return;
+
+  let content = fs.readFileSync(filePath, 'utf8');
+  for (const [from, to] of Object.entries(replacements)) {
+    content = content.replace(new RegExp(from, 'g'), to);
+  }
+  fs.writeFileSync(filePath, content, 'utf8');
+}
+
+function replaceInDirectory(dirPath, replacements, rules) {
+  const items = fs.readdirSync(dirPath, { withFileTypes: true });
+
+  for (const item of items) {
+    const fullPath = path.join(dirPath, item.name);
+
+    if (item.isDirectory()) {
+      if (!rules.skipDirs.includes(item.name)) {
+        replaceInDirectory(fullPath, replacements, rules);
+      }
+    } else if (item.isFile()) {
+      const ext = path.extname(item.name);
+      if (rules.extensions.includes(ext) || rules.files.includes(item.name)) {
+        replaceInFile(fullPath, replacements);
+      }
+    }
+  }
+}
+
+/**
+ * Renames files and folders below `dirPath` whose names contain `oldName` as a
+ * whole name (see wholeNamePattern), so MyApp.xcodeproj and MyAppTests are
+ * renamed but MyAppleView.swift isn't.
+ */
+function renameFilesAndFolders(dirPath, oldName, newName, skipDirs) {
+  const pattern = new RegExp(wholeNamePattern(oldName), 'g');
+  const items = fs.readdirSync(dirPath, { withFileTypes: true });
+
+  for (const item of items) {
+    const fullPath = path.join(dirPath, item.name);
+    if (item.isDirectory()) {
+      if (skipDirs.includes(item.name)) continue;
+      renameFilesAndFolders(fullPath, oldName, newName, skipDirs);
+    } else if (!item.isFile()) {
+      continue;
+    }
+
+    const renamed = item.name.replace(pattern, newName);
+    if (renamed !== item.name) {
+      fs.renameSync(fullPath, path.join(dirPath, renamed));
+    }
+  }
+}
+
+/**
+ * Rewrites the workspace of `<iosDir>/<name>.xcworkspace` so it only references
+ * the renamed project and Pods. Returns false when the workspace doesn't exist.
+ */
+function writeXcworkspaceData(iosDir, pascalName) {
+  const xcworkspaceDataPath = path.join(iosDir, `${pascalName}.xcworkspace`, 'contents.xcworkspacedata');
+  if (!fs.existsSync(xcworkspaceDataPath)) return false;
+
+  const xcworkspaceContent = `<?xml version="1.0" encoding="UTF-8"?>
+<Workspace
+   version = "1.0">
+   <FileRef
+      location = "group:${pascalName}.xcodeproj">
+   </FileRef>
+   <FileRef
+      location = "group:Pods/Pods.xcodeproj">
+   </FileRef>
+</Workspace>
+`;
+  fs.writeFileSync(xcworkspaceDataPath, xcworkspaceContent, 'utf8');
+  return true;
+}
+
+module.exports = {
+  replaceInFile,
+  replaceInDirectory,
+  renameFilesAndFolders,
+  writeXcworkspaceData,
+};
@@ -0,0 +1,126 @@
+const readline = require('readline');
+const chalk = require('chalk');
+
+// ============================================================================
+// PROMPTS
+// ============================================================================
+
+function createReadlineInterface() {
+  return readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+}
+
+function prompt(rl, question) {
+  return new Promise(resolve => {
+    rl.question(question, answer => resolve(answer.trim()));
+  });
+}
+
+async function confirm(rl, question, defaultValue = true) {
+  const answer = await prompt(rl, chalk.yellow(`${question} ${defaultValue ? '(Y/n)' : '(y/N)'}: `));
+  if (!answer) return defaultValue;
+  return defaultValue ? answer.toLowerCase() !== 'n' : answer.toLowerCase() === 'y';
+}
+
+async function select(rl, question, options, defaultValue) {
+  const found = options.findIndex(opt => opt.value === defaultValue);
+  const defaultIndex = Math.max(0, found);
+  console.log(chalk.yellow(`\n${question}`));
+  options.forEach((opt, i) => {
+    console.log(chalk.gray(`  ${i + 1}. ${opt.label}${i === found ? ' (default)' : ''}`));
+  });
+  const answer = await prompt(rl, chalk.white(`Enter choice (1-${options.length}): `));
+  const index = parseInt(answer, 10) - 1;
+  if (index >= 0 && index < options.length) {
+    return options[index].value;
+  }
+  return options[defaultIndex].value;
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+// With --json, output is replaced by events written through `eventWriter`
+// (see lib/run-log)
+let eventWriter = null;
+
+function setEventWriter(writer) {
+  eventWriter = writer;
+}
+
+function emitEvent(event) {
+  if (!eventWriter) return false;
+  eventWriter(event);
+  return true;
+}
+
+function printStep(step, total, message) {
+  if (emitEvent({ type: 'step', step, total, title: message })) return;
+  console.log(chalk.cyan(`\n[${step}/${total}] ${message}`));
+}
+
+function printSuccess(message) {
+  if (emitEvent({ type: 'success', message })) return;
+  console.log(chalk.green(`  ✓ ${message}`));
+}
+
+function printInfo(message) {
+  if (emitEvent({ type: 'info', message })) return;
+  console.log(chalk.gray(`  ℹ ${message}`));
+}
+
+function printWarning(message, details = []) {
+  if (emitEvent(details.length > 0 ? { type: 'warning', message, details } : { type: 'warning', message })) return;
+  console.log(chalk.yellow(`  ⚠ ${message}`));
+  details.forEach(line => console.log(chalk.gray(`      ${line}`)));
+}
+
+function printError(message) {
+  if (emitEvent({ type: 'error', message })) return;
+  console.log(chalk.red(`  ✗ ${message}`));
+}
+
+/**
+ * Prints a progress event of the programmatic API (see lib/progress).
+ * `stepOffset` and `totalSteps` number the API steps within the command.
+ */
+function printProgress(event, { stepOffset = 0, totalSteps } = {}) {
+  switch (event.type) {
+    case 'step':
+      printStep(stepOffset + event.step, totalSteps || event.total, event.title);
+      break;
+    case 'progress':
+      if (emitEvent(event)) break;
+      console.log(chalk.gray(`  ${event.message}`));
+      break;
+    case 'success':
+      printSuccess(event.message);
+      break;
+    case 'info':
+      printInfo(event.message);
+      break;
+    case 'warning':
+      printWarning(event.message, event.details);
+      break;
+    case 'files':
+      emitEvent(event);
+      break;
+  }
+}
+
+module.exports = {
+  createReadlineInterface,
+  prompt,
+  confirm,
+  select,
+  printStep,
+  printSuccess,
+  printInfo,
+  printWarning,
+  printError,
+  printProgress,
+  setEventWriter,
+};
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+
+function isBinary(buffer) {
+  const length = Math.min(buffer.length, 8000);
+  for (let i = 0; i < length; i++) {
+    if (buffer[i] === 0) return true;
+  }
+  return false;
+}
+
+function stripValues(text, values) {
+  return values.reduce((result, value) => result.split(value).join(''), text);
+}
+
+/**
+ * Scans every text file under `rootDir` (not only the extensions the
+ * replacement pass touches) for template tokens that survived generation.
+ * `replacements` is the placeholder map used for the project: keys are the
+ * token patterns, values the text they were replaced with. Occurrences that
+ * are part of a replacement value (e.g. a project called "TMIShop") are not
+ * reported.
+ */
+function findLeftoverTokens(rootDir, replacements, skipDirs = []) {
+  const tokens = Object.keys(replacements).map(token => ({ token, pattern: new RegExp(token) }));
+  const values = Object.values(replacements)
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+  const leftovers = [];
+
+  function check(text, file, line) {
+    const stripped = stripValues(text, values);
+    for (const { token, pattern } of tokens) {
+      if (pattern.test(stripped)) {
+        leftovers.push({ file, line, token, text: text.trim() });
+      }
+    }
+  }
+
+  function scan(dirPath) {
+    for (const item of fs.readdirSync(dirPath, { withFileTypes: true })) {
+      const fullPath = path.join(dirPath, item.name);
+      const relativePath = path.relative(rootDir, fullPath);
+
+      if (item.isDirectory()) {
+        if (skipDirs.includes(item.name)) continue;
+        check(item.name, relativePath, null);
+        scan(fullPath);
+        continue;
+      }
+      if (!item.isFile()) continue;
+
+      check(item.name, relativePath, null);
+
+      if (fs.statSync(fullPath).size > MAX_FILE_SIZE) continue;
+      const buffer = fs.readFileSync(fullPath);
+      if (isBinary(buffer)) continue;
+
+      buffer.toString('utf8').split('\n').forEach((text, index) => check(text, relativePath, index + 1));
+    }
+  }
+
+  scan(rootDir);
+  return leftovers;
+}
+
+function formatLeftover(leftover) {
+  const location = leftover.line ? `${leftover.file}:${leftover.line}` : `${leftover.file} (file name)`;
+  const text = leftover.text.length > 80 ? `${leftover.text.slice(0, 77)}...` : leftover.text;
+  return `${location}  ${leftover.token}  ${text}`;
+}
+
+module.exports = {
+  findLeftoverTokens,
+  formatLeftover,
+};
@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { prompt, confirm, printSuccess, printInfo, printWarning, printError } = require('./ui');
+const { validateProjectName, validateBundleId } = require('./naming');
+const { resolveFeatureDependencies } = require('./features');
+const { validateBranchName } = require('./git');
+const { deepMerge, loadRc, resolvePreset } = require('./rc');
+const { resolvePackageManager } = require('./project');
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+function loadAnswersFile(filePath) {
+  const fullPath = path.resolve(process.cwd(), filePath);
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Answers file not found: ${filePath}`);
+  }
+
+  let answers;
+  try {
+    answers = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse answers file ${filePath}: ${error.message}`);
+  }
+
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new Error(`Answers file ${filePath} must contain a JSON object`);
+  }
+  return answers;
+}
+
+/**
+ * Resolves what the init commands share from the parsed `options`, the
+ * answers file (--config) and .tmirc. .tmirc values are prompt defaults,
+ * values a preset marks as fixed are treated like answers (the answers file
+ * still wins over them). `templateKey` is the .tmirc key of the command's
+ * template, `templateCwd` the directory a relative template path points from.
+ */
+function resolveSettings(options, { templateKey = 'template' } = {}) {
+  const rc = loadRc();
+  const preset = resolvePreset(rc, options.preset);
+  const defaults = preset.defaults;
+  const answersFile = options.config ? loadAnswersFile(options.config) : {};
+  const answers = deepMerge(preset.fixed, answersFile);
+
+  // A template from .tmirc (also fixed by a preset) is relative to its file
+  let templateCwd = process.cwd();
+  if (!options.template && !answersFile.template) {
+    templateCwd = preset.dirs[answers.template ? 'template' : templateKey] || templateCwd;
+  }
+
+  const initialBranch = options.initialBranch || answers.initialBranch || defaults.initialBranch;
+  if (initialBranch) {
+    const branchError = validateBranchName(initialBranch);
+    if (branchError) {
+      throw new Error(branchError);
+    }
+  }
+
+  return {
+    rc,
+    defaults,
+    answers,
+    template: options.template || answers.template || defaults[templateKey],
+    templateCwd,
+    pm: resolvePackageManager(options.pm || answers.packageManager || defaults.packageManager),
+    skipInstall: Boolean(options.skipInstall || answers.skipInstall || defaults.skipInstall),
+    skipGit: Boolean(options.skipGit || answers.skipGit || defaults.skipGit),
+    initialBranch,
+    gitRemote: options.gitRemote || answers.gitRemote,
+  };
+}
+
+/**
+ * Tracks the partial output of an init command: `add(dir)` registers a
+ * directory, `rollback()` removes the registered ones that exist (or only
+ * reports them with `keepOnFailure`). An interrupt (also through `rl`) rolls
+ * back and exits, `release()` removes that handler again.
+ */
+function trackPartialOutput({ rl, keepOnFailure = false } = {}) {
+  const dirs = new Set();
+
+  function rollback() {
+    for (const dir of [...dirs].filter(dir => fs.existsSync(dir))) {
+      if (keepOnFailure) {
+        printWarning(`Partial project kept at ${dir}`);
+        continue;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+      printInfo(`Removed partial project at ${dir}`);
+    }
+  }
+
+  function onInterrupt() {
+    console.log(chalk.yellow('\n\n  Interrupted.'));
+    rollback();
+    if (rl) rl.close();
+    process.exit(130);
+  }
+
+  process.on('SIGINT', onInterrupt);
+  if (rl) rl.on('SIGINT', onInterrupt);
+
+  return {
+    add: dir => dirs.add(dir),
+    rollback,
+    release: () => process.removeListener('SIGINT', onInterrupt),
+  };
+}
+
+// ============================================================================
+// STEPS
+// ============================================================================
+
+// Wizard steps shared by the init commands. `context` is { rl, interactive, yes }:
+// interactive runs prompt for missing values, non-interactive runs take the
+// defaults only with --yes.
+
+function missingValueError(label, hint) {
+  return new Error(`Missing ${label} in non-interactive mode. ${hint}`);
+}
+
+async function askProjectName({ rl, interactive, yes }, { value, defaultValue, usage = [] }) {
+  if (!value && !interactive && yes && defaultValue) {
+    value = defaultValue;
+  }
+  if (value) {
+    const error = validateProjectName(value);
+    if (error) {
+      throw new Error(error);
+    }
+    return value;
+  }
+  if (!interactive) {
+    throw missingValueError('project name', 'Pass it as the first argument or set "name" in the answers file.');
+  }
+
+  if (usage.length > 0) {
+    console.log(chalk.gray('\n  The project name will be used for:'));
+    usage.forEach(line => console.log(chalk.gray(`  • ${line}`)));
+    console.log('');
+  }
+
+  while (true) {
+    const hint = defaultValue ? `default: ${defaultValue}` : 'e.g., MyAwesomeApp';
+    const projectName = (await prompt(rl, chalk.yellow(`  Enter project name (${hint}): `))) || defaultValue;
+    const error = validateProjectName(projectName);
+    if (!error) return projectName;
+    printError(error);
+  }
+}
+
+async function askBundleId({ rl, interactive, yes }, { value, defaultValue }) {
+  let bundleId = value;
+
+  if (bundleId) {
+    const error = validateBundleId(bundleId);
+    if (error) {
+      throw new Error(error);
+    }
+  } else if (!interactive) {
+    if (!yes) {
+      throw missingValueError('bundle identifier', 'Pass --bundle-id, set "bundleId" in the answers file, or use --yes to accept the default.');
+    }
+    bundleId = defaultValue;
+  } else {
+    console.log(chalk.gray('\n  The bundle identifier uniquely identifies your app on:'));
+    console.log(chalk.gray('  • App Store (iOS)'));
+    console.log(chalk.gray('  • Google Play Store (Android)\n'));
+
+    while (true) {
+      bundleId = await prompt(rl, chalk.yellow(`  Enter bundle identifier (default: ${defaultValue}): `));
+      bundleId = bundleId || defaultValue;
+      const error = validateBundleId(bundleId);
+      if (error) {
+        printError(error);
+      } else {
+        break;
+      }
+    }
+  }
+
+  printSuccess(`Bundle ID: ${chalk.white(bundleId)}`);
+  return bundleId;
+}
+
+async function askDisplayName({ rl, interactive, yes }, {
+  value,
+  defaultValue,
+  description = 'The display name appears on the home screen under the app icon.',
+}) {
+  let displayName = value;
+
+  if (!displayName && !interactive) {
+    if (!yes) {
+      throw missingValueError('display name', 'Pass --display-name, set "displayName" in the answers file, or use --yes to accept the default.');
+    }
+    displayName = defaultValue;
+  } else if (!displayName) {
+    console.log(chalk.gray(`\n  ${description}\n`));
+
+    displayName = await prompt(rl, chalk.yellow(`  Enter display name (default: ${defaultValue}): `));
+    displayName = displayName || defaultValue;
+  }
+
+  printSuccess(`Display name: ${chalk.white(displayName)}`);
+  return displayName;
+}
+
+/**
+ * Asks the prompts declared by the template manifest. `values` are answered
+ * values, `defaults` override the defaults of the manifest.
+ */
+async function askTemplateValues({ rl, interactive, yes }, { prompts, values = {}, defaults = {} }) {
+  const templateValues = {};
+
+  for (const templatePrompt of prompts) {
+    let value = values[templatePrompt.name];
+    const promptDefault = defaults[templatePrompt.name] !== undefined
+      ? defaults[templatePrompt.name]
+      : templatePrompt.default;
+    const defaultValue = promptDefault !== undefined ? String(promptDefault) : '';
+
+    if (value === undefined && !interactive) {
+      if (!yes || promptDefault === undefined) {
+        throw missingValueError(templatePrompt.message, `Set "values.${templatePrompt.name}" in the answers file${promptDefault === undefined ? '' : ' or use --yes to accept the default'}.`);
+      }
+      value = defaultValue;
+    } else if (value === undefined) {
+      while (true) {
+        const hint = defaultValue ? ` (default: ${defaultValue})` : '';
+        value = (await prompt(rl, chalk.yellow(`  ${templatePrompt.message}${hint}: `))) || defaultValue;
+        if (value || promptDefault !== undefined) break;
+        printError(`${templatePrompt.message} is required`);
+      }
+    }
+
+    templateValues[templatePrompt.name] = String(value);
+    printSuccess(`${templatePrompt.message}: ${chalk.white(value)}`);
+  }
+
+  return templateValues;
+}
+
+/**
+ * Returns { [feature.key]: boolean } for every definition. `values` are the
+ * features chosen by flags or the answers file, `defaults` the prompt defaults
+ * (features default to enabled).
+ */
+async function askFeatures({ rl, interactive, yes }, { definitions, values = {}, defaults = {} }) {
+  const features = {};
+  const pendingFeatures = [];
+  for (const feature of definitions) {
+    if (values[feature.key] !== undefined) {
+      features[feature.key] = Boolean(values[feature.key]);
+    } else {
+      pendingFeatures.push(feature);
+    }
+  }
+
+  if (pendingFeatures.length > 0 && !interactive) {
+    if (!yes) {
+      const flags = pendingFeatures.map(feature => `--[no-]${feature.flag}`).join(', ');
+      throw missingValueError('feature selection', `Pass ${flags}, set them under "features" in the answers file, or use --yes to accept the defaults.`);
+    }
+    for (const feature of pendingFeatures) {
+      features[feature.key] = defaults[feature.key] !== undefined ? Boolean(defaults[feature.key]) : true;
+    }
+  } else if (pendingFeatures.length > 0) {
+    console.log(chalk.gray('\n  Select which features to include in your project:\n'));
+
+    for (const feature of pendingFeatures) {
+      features[feature.key] = await confirm(rl, `  ${feature.question}`, defaults[feature.key] !== false);
+    }
+  }
+
+  console.log('');
+  for (const [feature, requirement] of resolveFeatureDependencies(features, definitions)) {
+    printWarning(`${feature.label} requires ${requirement.label}, disabling it`);
+  }
+  for (const feature of definitions) {
+    if (features[feature.key]) printSuccess(`${feature.label}: Enabled`);
+    else printInfo(`${feature.label}: Disabled`);
+  }
+
+  return features;
+}
+
+module.exports = {
+  resolveSettings,
+  trackPartialOutput,
+  missingValueError,
+  askProjectName,
+  askBundleId,
+  askDisplayName,
+  askTemplateValues,
+  askFeatures,
+};
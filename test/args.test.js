@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { findClosest, hasHelpFlag, parseArgs } = require('../lib/args');
+
+const OPTIONS = {
+  'bundle-id': { type: 'string', key: 'bundleId' },
+  'display-name': { type: 'string', key: 'displayName' },
+  firebase: { type: 'boolean', negatable: true },
+  yes: { type: 'boolean', alias: 'y' },
+};
+
+test('findClosest suggests typos and unambiguous prefixes', () => {
+  const candidates = ['bundle-id', 'display-name', 'firebase', 'yes'];
+  assert.equal(findClosest('firebsae', candidates), 'firebase');
+  assert.equal(findClosest('bundle', candidates), 'bundle-id');
+  assert.equal(findClosest('template', candidates), null);
+});
+
+test('parseArgs reads values, aliases, negations and positionals', () => {
+  const options = parseArgs(['MyApp', '--bundle-id', 'com.my.app', '--display-name=My App', '--no-firebase', '-y'], OPTIONS);
+  assert.deepEqual(options, { _: ['MyApp'], bundleId: 'com.my.app', displayName: 'My App', firebase: false, yes: true });
+});
+
+test('parseArgs suggests the closest option for unknown ones', () => {
+  assert.throws(() => parseArgs(['--bundleid', 'x'], OPTIONS), /Did you mean --bundle-id\?/);
+  assert.throws(() => parseArgs(['--no-firebas'], OPTIONS), /Did you mean --no-firebase\?/);
+  assert.throws(() => parseArgs(['--template', 'x'], OPTIONS), /Use --help to list the available options/);
+});
+
+test('parseArgs rejects missing and unexpected values', () => {
+  assert.throws(() => parseArgs(['--bundle-id'], OPTIONS), /requires a value/);
+  assert.throws(() => parseArgs(['--bundle-id', '--yes'], OPTIONS), /requires a value/);
+  assert.throws(() => parseArgs(['--yes=1'], OPTIONS), /does not take a value/);
+  assert.throws(() => parseArgs(['--no-bundle-id'], OPTIONS), /cannot be negated/);
+});
+
+test('hasHelpFlag skips values of string options', () => {
+  assert.equal(hasHelpFlag(['--help'], OPTIONS), true);
+  assert.equal(hasHelpFlag(['--display-name', '-h'], OPTIONS), false);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseFieldSpec, readFieldsFile, formatFields, formatMockFields } = require('../lib/entity-fields');
+const { ValidationError } = require('../lib/errors');
+
+function writeTempFile(t, name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmi-fields-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+test('parseFieldSpec parses types, arrays, enums and optional fields', () => {
+  assert.deepEqual(parseFieldSpec('title:string, tags:string[], note?:string, status:enum(draft|live)'), [
+    { name: 'title', type: 'string', values: null, array: false, optional: false },
+    { name: 'tags', type: 'string', values: null, array: true, optional: false },
+    { name: 'note', type: 'string', values: null, array: false, optional: true },
+    { name: 'status', type: 'enum', values: ['draft', 'live'], array: false, optional: false },
+  ]);
+  assert.deepEqual(parseFieldSpec(['price:number']).map(field => field.type), ['number']);
+});
+
+test('parseFieldSpec rejects invalid specs', () => {
+  assert.throws(() => parseFieldSpec('title'), ValidationError);
+  assert.throws(() => parseFieldSpec('title:text'), /Invalid type "text"/);
+  assert.throws(() => parseFieldSpec('1st:string'), /Invalid field name/);
+  assert.throws(() => parseFieldSpec('id:string'), /always generated/);
+  assert.throws(() => parseFieldSpec('title:string,title:number'), /defined twice/);
+  assert.throws(() => parseFieldSpec('status:enum()'), /at least one enum value/);
+});
+
+test('readFieldsFile reads YAML mappings, flat or below "fields:"', t => {
+  const nested = writeTempFile(t, 'invoice.yml', '# Invoice\nfields:\n  title: string\n  price?: number # optional\n');
+  assert.deepEqual(readFieldsFile(nested).map(field => field.name), ['title', 'price']);
+  const flat = writeTempFile(t, 'invoice.yaml', 'title: string\ntags: "string[]"\n');
+  assert.deepEqual(readFieldsFile(flat).map(field => field.array), [false, true]);
+});
+
+test('readFieldsFile rejects other YAML shapes', t => {
+  const list = writeTempFile(t, 'list.yml', 'fields:\n  - name: title\n    type: string\n');
+  assert.throws(() => readFieldsFile(list), /lists are not supported/);
+  const extraKey = writeTempFile(t, 'extra.yml', 'fields:\n  title: string\nversion: 2\n');
+  assert.throws(() => readFieldsFile(extraKey), /unexpected top-level line "version: 2"/);
+  const lateFields = writeTempFile(t, 'late.yml', 'name: Invoice\nfields:\n  title: string\n');
+  assert.throws(() => readFieldsFile(lateFields), /"fields:" has to be the first line/);
+});
+
+test('readFieldsFile reads JSON mappings and rejects other shapes', t => {
+  const nested = writeTempFile(t, 'invoice.json', '{ "fields": { "title": "string" } }');
+  assert.deepEqual(readFieldsFile(nested).map(field => field.name), ['title']);
+  const extraKey = writeTempFile(t, 'extra.json', '{ "fields": { "title": "string" }, "version": 2 }');
+  assert.throws(() => readFieldsFile(extraKey), /"fields" must be the only key/);
+  const objects = writeTempFile(t, 'objects.json', '{ "title": { "type": "string" } }');
+  assert.throws(() => readFieldsFile(objects), /type of "title" is not a string/);
+  const empty = writeTempFile(t, 'empty.json', '{}');
+  assert.throws(() => readFieldsFile(empty), /doesn't define any fields/);
+});
+
+test('readFieldsFile resolves relative paths against the base directory', t => {
+  const filePath = writeTempFile(t, 'invoice.yml', 'title: string\n');
+  assert.deepEqual(readFieldsFile('invoice.yml', path.dirname(filePath)).map(field => field.name), ['title']);
+  assert.throws(() => readFieldsFile('invoice.yml', os.tmpdir()), /Fields file not found: invoice.yml/);
+});
+
+test('formatFields and formatMockFields write TypeScript members', () => {
+  const fields = parseFieldSpec('title:string,status:enum(draft|live)[],due?:date');
+  assert.equal(formatFields(fields), "  title: string;\n  status: ('draft' | 'live')[];\n  due?: string;\n");
+  assert.equal(formatFields(fields, { allOptional: true }).split('?:').length - 1, 3);
+  assert.equal(formatMockFields(fields, '    '), "    title: 'Example title',\n    status: ['draft'],\n    due: new Date().toISOString(),\n");
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { environmentForName } = require('../lib/environments');
+
+const keyOf = name => (environmentForName(name) || {}).key || null;
+
+test('environmentForName maps scheme and xcconfig names by their suffix', () => {
+  assert.equal(keyOf('MyApp-Dev'), 'development');
+  assert.equal(keyOf('MyApp-Staging'), 'staging');
+  assert.equal(keyOf('MyAppProduction'), 'production');
+  assert.equal(keyOf('dev'), 'development');
+  assert.equal(keyOf('Config.stage'), 'staging');
+});
+
+test('environmentForName ignores environment words inside the app name', () => {
+  assert.equal(keyOf('DevConnect-Staging'), 'staging');
+  assert.equal(keyOf('ProductHunt.dev'), 'development');
+  assert.equal(keyOf('DevConnect'), null);
+  assert.equal(keyOf('MyApp'), null);
+});
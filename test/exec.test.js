@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { addCommandListener, streamShell } = require('../lib/exec');
+
+const skip = process.platform === 'win32' ? 'needs a POSIX shell' : false;
+
+test('streamShell reports the output of failed commands', { skip }, async t => {
+  const events = [];
+  t.after(addCommandListener(event => events.push(event)));
+
+  await assert.rejects(
+    streamShell('echo installing; echo "network error" >&2; exit 2', { echo: false }),
+    { message: 'Command failed: echo installing; echo "network error" >&2; exit 2 (network error)' },
+  );
+  const end = events.find(event => event.phase === 'end');
+  assert.equal(end.status, 2);
+  assert.equal(end.stdout, 'installing\n');
+  assert.equal(end.stderr, 'network error\n');
+  assert.equal(end.echoed, false);
+});
+
+test('streamShell resolves when the command succeeds', { skip }, async () => {
+  await streamShell('exit 0', { echo: false });
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FEATURES_DIR, findProjectRoot, generateFeature } = require('../lib/feature-generator');
+const { ValidationError, ProjectNotFoundError } = require('../lib/errors');
+
+function createProject(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmi-generate-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'package.json'), '{ "name": "my-app" }\n');
+  fs.mkdirSync(path.join(dir, 'src', 'app', 'modules'), { recursive: true });
+  return dir;
+}
+
+test('findProjectRoot walks up to the project', t => {
+  const dir = createProject(t);
+  const nested = path.join(dir, 'src', 'app', 'modules');
+  assert.equal(findProjectRoot(nested), dir);
+  assert.equal(findProjectRoot(os.tmpdir()), null);
+});
+
+test('generateFeature creates the layers of a feature', t => {
+  const dir = createProject(t);
+  const events = [];
+  const result = generateFeature(dir, 'user-profile', { fields: 'title:string,tags?:string[]', register: false, onProgress: event => events.push(event) });
+
+  assert.equal(result.featureDir, path.join(dir, FEATURES_DIR, 'user-profile'));
+  assert.equal(result.pascalName, 'UserProfile');
+  assert.equal(result.camelName, 'userProfile');
+  assert.equal(result.registration, null);
+  for (const file of ['domain/entities/UserProfile.ts', 'data/userProfileSlice.ts', 'ui/screens/UserProfileScreen.tsx', 'module.ts', 'index.ts']) {
+    assert.ok(result.files.includes(`${FEATURES_DIR}/user-profile/${file}`), file);
+    assert.ok(fs.existsSync(path.join(result.featureDir, file)), file);
+  }
+  assert.match(fs.readFileSync(path.join(result.featureDir, 'domain/entities/UserProfile.ts'), 'utf8'), /  tags\?: string\[\];\n/);
+  assert.deepEqual(events.find(event => event.type === 'files'), { type: 'files', action: 'created', files: result.files });
+});
+
+test('generateFeature skips existing files on a second run', t => {
+  const dir = createProject(t);
+  const first = generateFeature(dir, 'orders', { uiOnly: true, register: false });
+  assert.ok(!first.files.some(file => file.includes('/domain/') || file.includes('/data/')));
+
+  const second = generateFeature(dir, 'orders', { uiOnly: true, register: false });
+  assert.deepEqual(second.files, []);
+  assert.deepEqual(second.skipped, first.files);
+});
+
+test('generateFeature validates its input', t => {
+  const dir = createProject(t);
+  assert.throws(() => generateFeature(dir, '1orders'), ValidationError);
+  assert.throws(() => generateFeature(dir, 'orders', { uiOnly: true, fields: 'title:string' }), /need the domain layer/);
+  assert.throws(() => generateFeature(path.join(dir, 'src'), 'orders'), ProjectNotFoundError);
+  assert.ok(!fs.existsSync(path.join(dir, FEATURES_DIR)));
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { updateFile, findFiles, moveDirectory, insertIntoDict } = require('../lib/files');
+
+test('updateFile only writes changed content', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmi-files-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'a.txt');
+  fs.writeFileSync(filePath, 'hello');
+
+  assert.equal(updateFile(filePath, content => content), false);
+  assert.equal(updateFile(filePath, content => `${content} world`), true);
+  assert.equal(fs.readFileSync(filePath, 'utf8'), 'hello world');
+  assert.equal(updateFile(path.join(dir, 'missing.txt'), () => 'x'), false);
+});
+
+test('findFiles matches names or predicates and skips build directories', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmi-files-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const file of ['ios/App/Info.plist', 'ios/Pods/Lib/Info.plist', 'ios/App/App.entitlements']) {
+    fs.mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), '');
+  }
+
+  assert.deepEqual(findFiles(dir, 'Info.plist'), [path.join(dir, 'ios/App/Info.plist')]);
+  assert.deepEqual(findFiles(dir, name => name.endsWith('.entitlements')), [path.join(dir, 'ios/App/App.entitlements')]);
+  assert.deepEqual(findFiles(path.join(dir, 'android'), 'AndroidManifest.xml'), []);
+});
+
+test('moveDirectory copies across devices', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmi-files-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'staging', 'src'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'staging', 'src', 'App.tsx'), 'app');
+  t.mock.method(fs, 'renameSync', () => {
+    throw Object.assign(new Error('cross-device link not permitted'), { code: 'EXDEV' });
+  });
+
+  moveDirectory(path.join(dir, 'staging'), path.join(dir, 'my-app'));
+  assert.equal(fs.readFileSync(path.join(dir, 'my-app', 'src', 'App.tsx'), 'utf8'), 'app');
+  assert.equal(fs.existsSync(path.join(dir, 'staging')), false);
+});
+
+test('insertIntoDict appends to the root dict', () => {
+  const entry = '\t<key>A</key>\n\t<true/>\n';
+  assert.equal(insertIntoDict('<plist>\n<dict>\n</dict>\n</plist>', entry), `<plist>\n<dict>\n${entry}</dict>\n</plist>`);
+  assert.equal(insertIntoDict('<plist><dict/></plist>', entry), `<plist><dict>\n${entry}</dict></plist>`);
+  assert.equal(insertIntoDict('<plist></plist>', entry), null);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { REGISTRY_FILE, NAVIGATION_TYPES_FILE, registerFeature } = require('../lib/module-registry');
+
+const FEATURE = { name: 'orders', moduleName: 'ordersModule', routeName: 'Orders' };
+
+let typescriptDir = null;
+try {
+  typescriptDir = path.dirname(require.resolve('typescript/package.json'));
+} catch (error) {
+  // Registration needs typescript, installed as a dev dependency
+}
+const skip = typescriptDir ? false : 'typescript is not installed';
+
+// A project with the given files, resolving typescript from the CLI's own
+// node_modules like a generated project resolves its own
+function createProject(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmi-registry-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'node_modules'));
+  fs.symlinkSync(typescriptDir, path.join(dir, 'node_modules', 'typescript'), 'dir');
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+const read = (dir, file) => fs.readFileSync(path.join(dir, file), 'utf8');
+
+test('registerFeature adds the import, module and route once', { skip }, t => {
+  const dir = createProject(t, {
+    [REGISTRY_FILE]: "import { authModule } from '@features/auth';\n\nexport const appModules = [\n  authModule,\n];\n",
+    [NAVIGATION_TYPES_FILE]: 'export type AppStackParamList = {\n  Home: undefined;\n};\n',
+  });
+
+  const result = registerFeature(dir, FEATURE);
+  assert.equal(result.registry.status, 'updated');
+  assert.equal(result.navigation.status, 'updated');
+  assert.equal(read(dir, REGISTRY_FILE), "import { authModule } from '@features/auth';\nimport { ordersModule } from '@features/orders';\n\nexport const appModules = [\n  authModule,\n  ordersModule,\n];\n");
+  assert.equal(read(dir, NAVIGATION_TYPES_FILE), 'export type AppStackParamList = {\n  Home: undefined;\n  Orders: undefined;\n};\n');
+
+  const again = registerFeature(dir, FEATURE);
+  assert.equal(again.registry.status, 'unchanged');
+  assert.equal(again.navigation.status, 'unchanged');
+});
+
+test('registerFeature keeps the style of single line arrays and interfaces', { skip }, t => {
+  const dir = createProject(t, {
+    [REGISTRY_FILE]: 'import {authModule} from "@features/auth"\nexport const appModules = [authModule] as const\n',
+    [NAVIGATION_TYPES_FILE]: 'export interface AppStackParamList {\n  Home: undefined\n}\n',
+  });
+
+  registerFeature(dir, FEATURE);
+  assert.equal(read(dir, REGISTRY_FILE), 'import {authModule} from "@features/auth"\nimport {ordersModule} from "@features/orders"\nexport const appModules = [authModule, ordersModule] as const\n');
+  assert.equal(read(dir, NAVIGATION_TYPES_FILE), 'export interface AppStackParamList {\n  Home: undefined\n  Orders: undefined\n}\n');
+});
+
+test('registerFeature leaves files it cannot edit to the user', { skip }, t => {
+  const dir = createProject(t, {
+    [REGISTRY_FILE]: 'export default [];\n',
+  });
+
+  const result = registerFeature(dir, FEATURE);
+  assert.deepEqual(result.registry, { file: REGISTRY_FILE, status: 'manual', reason: 'no "appModules" array found' });
+  assert.deepEqual(result.navigation, { file: NAVIGATION_TYPES_FILE, status: 'manual', reason: 'file not found' });
+  assert.equal(read(dir, REGISTRY_FILE), 'export default [];\n');
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toPascalCase, toKebabCase, validateProjectName, validateBundleId, escapeRegExp } = require('../lib/naming');
+
+test('toPascalCase joins kebab, snake and spaced names', () => {
+  assert.equal(toPascalCase('my-app'), 'MyApp');
+  assert.equal(toPascalCase('my_cool app'), 'MyCoolApp');
+  assert.equal(toPascalCase('MyApp'), 'MyApp');
+});
+
+test('toKebabCase splits camel case words', () => {
+  assert.equal(toKebabCase('MyApp'), 'my-app');
+  assert.equal(toKebabCase('my_cool app'), 'my-cool-app');
+  assert.equal(toKebabCase('my-app'), 'my-app');
+});
+
+test('validateProjectName accepts identifiers and rejects the rest', () => {
+  assert.equal(validateProjectName('MyApp'), null);
+  assert.equal(validateProjectName('my-app_2'), null);
+  assert.match(validateProjectName(''), /required/);
+  assert.match(validateProjectName('1app'), /start with a letter/);
+  assert.match(validateProjectName('A'), /at least 2/);
+  assert.match(validateProjectName('a'.repeat(51)), /less than 50/);
+});
+
+test('validateBundleId wants lowercase reverse domain names', () => {
+  assert.equal(validateBundleId('com.company.app'), null);
+  assert.match(validateBundleId('com.Company.app'), /format/);
+  assert.match(validateBundleId('app'), /format/);
+  assert.match(validateBundleId(''), /required/);
+});
+
+test('escapeRegExp makes names match literally', () => {
+  const pattern = new RegExp(escapeRegExp('my.app (v2)+'));
+  assert.ok(pattern.test('my.app (v2)+'));
+  assert.ok(!pattern.test('myXapp (v2)'));
+});
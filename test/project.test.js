@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { stageTemplate, verifyProject } = require('../lib/project');
+const { createReporter } = require('../lib/progress');
+const { DEFAULT_MANIFEST } = require('../lib/manifest');
+const { LeftoverTokensError } = require('../lib/errors');
+
+function createTemplate(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmi-project-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'package.json'), '{ "name": "tmi-rn-base" }\n');
+  return dir;
+}
+
+test('stageTemplate stages a local template that contains the working directory', async t => {
+  const templateDir = createTemplate(t);
+  fs.mkdirSync(path.join(templateDir, 'projects'));
+
+  const staged = await stageTemplate({ template: '..', name: 'MyApp', cwd: path.join(templateDir, 'projects'), reporter: createReporter() });
+  t.after(staged.dispose);
+  assert.ok(!staged.dir.startsWith(templateDir));
+  assert.deepEqual(fs.readdirSync(staged.dir).sort(), ['package.json', 'projects']);
+  assert.equal(staged.manifest.source, null);
+});
+
+test('verifyProject reports leftovers and rejects them in strict mode', t => {
+  const projectDir = createTemplate(t);
+  const reporter = createReporter();
+  const replacements = { 'tmi-rn-base': 'my-app' };
+
+  assert.equal(verifyProject(projectDir, { replacements, manifest: DEFAULT_MANIFEST, reporter }).length, 1);
+  assert.deepEqual(reporter.warnings, ['1 leftover template identifier(s) found:']);
+  assert.throws(() => verifyProject(projectDir, { replacements, manifest: DEFAULT_MANIFEST, strict: true, reporter }), LeftoverTokensError);
+});
@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRc, resolvePreset } = require('../lib/rc');
+
+test('template paths keep the directory of the .tmirc that sets them', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmi-rc-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const appDir = path.join(dir, 'apps', 'shop');
+  fs.mkdirSync(appDir, { recursive: true });
+  fs.writeFileSync(path.join(dir, '.tmirc'), JSON.stringify({ template: './templates/rn', expoTemplate: './templates/expo' }));
+  fs.writeFileSync(path.join(dir, 'apps', '.tmirc'), JSON.stringify({
+    expoTemplate: '../templates/expo-v2',
+    presets: { web: { nextTemplate: './web' } },
+  }));
+
+  const rc = loadRc(appDir);
+  const { dirs } = resolvePreset(rc);
+  assert.equal(dirs.template, dir);
+  assert.equal(dirs.expoTemplate, path.join(dir, 'apps'));
+  assert.equal(resolvePreset(rc, 'web').dirs.nextTemplate, path.join(dir, 'apps'));
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReactNativeProject } = require('../lib/react-native');
+const { ValidationError } = require('../lib/errors');
+
+// A bare template without native projects, and a fake npm so that the
+// template's postGenerate steps run without installing anything
+function createWorkspace(t, manifest) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmi-create-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const templateDir = path.join(dir, 'template');
+  fs.mkdirSync(templateDir);
+  fs.writeFileSync(path.join(templateDir, 'package.json'), '{ "name": "tmi-rn-base", "version": "0.0.1" }\n');
+  fs.writeFileSync(path.join(templateDir, 'tmi.template.json'), JSON.stringify({ featuresConfig: null, ...manifest }));
+
+  const binDir = path.join(dir, 'bin');
+  fs.mkdirSync(binDir);
+  fs.writeFileSync(path.join(binDir, 'npm'), '#!/bin/sh\nexit 0\n', { mode: 0o755 });
+  const originalPath = process.env.PATH;
+  process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+  t.after(() => { process.env.PATH = originalPath; });
+
+  const cwd = path.join(dir, 'projects');
+  fs.mkdirSync(cwd);
+  return { template: templateDir, cwd };
+}
+
+function create(workspace, options = {}) {
+  return createReactNativeProject({
+    name: 'MyApp',
+    packageManager: 'npm',
+    skipGit: true,
+    skipChecks: true,
+    stdio: 'pipe',
+    ...workspace,
+    ...options,
+  });
+}
+
+const skip = process.platform === 'win32' ? 'needs a POSIX shell for the fake npm' : false;
+
+test('createReactNativeProject creates the project', { skip }, async t => {
+  const workspace = createWorkspace(t, {});
+  const result = await create(workspace);
+
+  assert.equal(result.projectDir, path.join(workspace.cwd, 'my-app'));
+  assert.equal(JSON.parse(fs.readFileSync(path.join(result.projectDir, 'package.json'), 'utf8')).name, 'my-app');
+  assert.deepEqual(fs.readdirSync(workspace.cwd), ['my-app']);
+});
+
+test('createReactNativeProject removes the staged template when it fails', { skip }, async t => {
+  const workspace = createWorkspace(t, { prompts: [{ name: 'apiKey', message: 'API key' }] });
+
+  await assert.rejects(create(workspace), ValidationError);
+  assert.deepEqual(fs.readdirSync(workspace.cwd), []);
+});
+
+test('createReactNativeProject removes the project when a later step fails', { skip }, async t => {
+  const workspace = createWorkspace(t, { postGenerate: [{ name: 'Broken step', run: 'exit 3' }] });
+  const events = [];
+
+  await assert.rejects(create(workspace, { onProgress: event => events.push(event) }), /Command failed: exit 3/);
+  assert.deepEqual(fs.readdirSync(workspace.cwd), []);
+  assert.ok(events.some(event => event.type === 'info' && event.message.startsWith('Removed partial project')));
+});
+
+test('createReactNativeProject keeps the partial project with keepOnFailure', { skip }, async t => {
+  const workspace = createWorkspace(t, { postGenerate: [{ name: 'Broken step', run: 'exit 3' }] });
+
+  await assert.rejects(create(workspace, { keepOnFailure: true }), /Command failed/);
+  assert.deepEqual(fs.readdirSync(workspace.cwd), ['my-app']);
+});
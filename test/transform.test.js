@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { renameFilesAndFolders } = require('../lib/transform');
+
+function listTree(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(item => {
+    const relativePath = `${prefix}${item.name}`;
+    return item.isDirectory() ? [`${relativePath}/`, ...listTree(path.join(dir, item.name), `${relativePath}/`)] : [relativePath];
+  });
+}
+
+test('renameFilesAndFolders only renames whole project names', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmi-transform-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const files = [
+    'Shop/AppDelegate.swift',
+    'Shop/ShoppingCart.swift',
+    'ShopTests/ShopTests.swift',
+    'Shop.xcodeproj/xcshareddata/xcschemes/Shop-Staging.xcscheme',
+    'Shopify/Shopify.h',
+    'Pods/Shop/Shop.h',
+  ];
+  for (const file of files) {
+    fs.mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), '');
+  }
+
+  renameFilesAndFolders(dir, 'Shop', 'Acme', ['Pods']);
+
+  assert.deepEqual(listTree(dir).sort(), [
+    'Acme/',
+    'Acme.xcodeproj/',
+    'Acme.xcodeproj/xcshareddata/',
+    'Acme.xcodeproj/xcshareddata/xcschemes/',
+    'Acme.xcodeproj/xcshareddata/xcschemes/Acme-Staging.xcscheme',
+    'Acme/AppDelegate.swift',
+    'Acme/ShoppingCart.swift',
+    'AcmeTests/',
+    'AcmeTests/AcmeTests.swift',
+    'Pods/',
+    'Pods/Shop/',
+    'Pods/Shop/Shop.h',
+    'Shopify/',
+    'Shopify/Shopify.h',
+  ].sort());
+});